@@ -0,0 +1,563 @@
+/**
+ * 动画片段 - 精灵图集中的一组帧，每帧可以有自己的持续时间和帧事件
+ *
+ * 帧可以写成精灵名称，或 { sprite, duration, events } 对象（event 可代替只有一个事件的 events）。
+ * 播放模式：
+ *   'loop'     - 播完最后一帧回到第一帧
+ *   'pingPong' - 在首尾帧之间往返
+ *   'once'     - 停在最后一帧并发送 ANIMATION_COMPLETE 事件
+ */
+class AnimationClip {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.spriteSheet = options.spriteSheet || null;
+        this.mode = options.mode || 'loop';
+        this.speed = options.speed !== undefined ? options.speed : 1;
+
+        // 未指定帧时长的帧使用的默认时长（秒）
+        this.frameDuration = options.frameDuration || (options.fps ? 1 / options.fps : 0.1);
+
+        if (!AnimationClip.modes.includes(this.mode)) {
+            console.warn(`Unknown animation mode: ${this.mode}, using 'loop'`);
+            this.mode = 'loop';
+        }
+
+        this.frames = (options.frames || []).map(frame => this.createFrame(frame));
+        if (this.frames.length === 0) {
+            console.warn(`Animation clip has no frames: ${name}`);
+        }
+    }
+
+    // 规范化帧定义
+    createFrame(frame) {
+        if (typeof frame === 'string') {
+            return { sprite: frame, duration: this.frameDuration, events: [] };
+        }
+
+        return {
+            sprite: frame.sprite,
+            duration: frame.duration || this.frameDuration,
+            events: frame.events ? frame.events.slice() : (frame.event ? [frame.event] : [])
+        };
+    }
+
+    // 帧数
+    get length() {
+        return this.frames.length;
+    }
+
+    // 播放一遍的总时长
+    getDuration() {
+        return this.frames.reduce((total, frame) => total + frame.duration, 0);
+    }
+
+    // 获取某帧在图集中的区域（找不到时返回 null）
+    getSprite(index) {
+        const frame = this.frames[index];
+        if (!frame || !this.spriteSheet) return null;
+
+        return this.spriteSheet.sprites.get(frame.sprite) || null;
+    }
+
+    // 从 index 按 direction 前进一帧，返回 { index, direction, finished }
+    step(index, direction) {
+        const last = this.frames.length - 1;
+        if (last <= 0) {
+            return { index: 0, direction: direction, finished: this.mode === 'once' };
+        }
+
+        switch (this.mode) {
+            case 'pingPong': {
+                let next = index + direction;
+                if (next > last || next < 0) {
+                    direction = -direction;
+                    next = index + direction;
+                }
+                return { index: next, direction: direction, finished: false };
+            }
+            case 'once':
+                return index >= last
+                    ? { index: last, direction: direction, finished: true }
+                    : { index: index + 1, direction: direction, finished: false };
+            default:
+                return { index: (index + 1) % (last + 1), direction: direction, finished: false };
+        }
+    }
+
+    // 生成连续编号的帧名称，例如 frameNames('run_', 6) -> ['run_0', ..., 'run_5']
+    static frameNames(prefix, count, start = 0) {
+        const names = [];
+        for (let i = 0; i < count; i++) {
+            names.push(`${prefix}${start + i}`);
+        }
+        return names;
+    }
+}
+
+// 支持的播放模式
+AnimationClip.modes = ['loop', 'pingPong', 'once'];
+
+/**
+ * 动画器 - 由命名状态和状态转换驱动的精灵动画组件
+ *
+ * 每个状态播放一个动画片段，转换条件读取动画器参数，游戏逻辑每帧只需更新参数：
+ *
+ *   const animator = player.addComponent('animator', new Animator({
+ *       spriteSheet: resourceManager.createSpriteSheet('player', playerFrames),
+ *       clips: {
+ *           idle: { frames: ['idle_0', 'idle_1'], frameDuration: 0.4 },
+ *           run: { frames: AnimationClip.frameNames('run_', 6), frameDuration: 0.08 },
+ *           shoot: { frames: ['shoot_0', { sprite: 'shoot_1', event: 'muzzle_flash' }], mode: 'once' },
+ *           die: { frames: AnimationClip.frameNames('die_', 4), mode: 'once' }
+ *       },
+ *       states: {
+ *           idle: { transitions: [{ to: 'run', when: p => p.speed > 10 }, { to: 'shoot', trigger: 'shoot' }] },
+ *           run: { transitions: [{ to: 'idle', when: p => p.speed <= 10 }] },
+ *           shoot: { transitions: [{ to: 'idle', onFinish: true }] },
+ *           die: {}
+ *       },
+ *       anyState: [{ to: 'die', when: { dead: true } }],
+ *       initialState: 'idle'
+ *   }));
+ *   animator.setParameter('speed', Math.abs(controller.velocity.x));
+ *
+ * 状态的 clip 默认与状态同名。转换条件：
+ *   when     - 函数 (parameters, animator) => boolean，或要求参数全部相等的对象
+ *   trigger  - 需要 setTrigger 设置过的触发器，转换发生时消耗该触发器
+ *   onFinish - 当前片段播放完（'once' 模式）后才能转换
+ * anyState 中的转换在任何状态下都会检查（跳到自身除外），优先于当前状态的转换。
+ *
+ * 进入带事件的帧时发送 ANIMATION_EVENT（如 'muzzle_flash'、'footstep'），'footstep' 帧同时发送 FOOTSTEP 事件。
+ * 当前帧赋给实体的 sprite，由 Entity.renderSprite 通过 Renderer.drawSprite 绘制。
+ *
+ * 片段和状态不写入存档，存档只保存播放状态：实体类型必须在构造函数中添加动画器，
+ * 读档时 Entity.restoreComponents 复用该实例。魂斗罗玩家的预设状态机见 Animator.createPlayer。
+ */
+class Animator {
+    constructor(options = {}) {
+        this.entity = null;
+        this.enabled = options.enabled !== false;
+
+        // 默认图集（片段未指定图集时使用）和播放速度倍率
+        this.spriteSheet = options.spriteSheet || null;
+        this.speed = options.speed !== undefined ? options.speed : 1;
+
+        // 片段、状态和任意状态转换
+        this.clips = new Map();
+        this.states = new Map();
+        this.anyStateTransitions = [];
+
+        // 参数和触发器
+        this.parameters = { ...(options.parameters || {}) };
+        this.triggers = new Set();
+
+        // 播放状态
+        this.state = null;
+        this.previousState = null;
+        this.frameIndex = 0;
+        this.frameTime = 0;
+        this.direction = 1;
+        this.stateTime = 0;
+        this.finished = false;
+
+        // 水平翻转（角色朝向）
+        this.flipX = options.flipX || false;
+
+        // 当前帧（赋给实体的 sprite，每次换帧时更新）
+        this.frame = null;
+
+        Object.entries(options.clips || {}).forEach(([name, clip]) => this.addClip(name, clip));
+        Object.entries(options.states || {}).forEach(([name, state]) => this.addState(name, state));
+        (options.anyState || []).forEach(transition => this.addAnyStateTransition(transition));
+
+        this.initialState = options.initialState || null;
+    }
+
+    // 初始化（作为组件添加到实体时调用）
+    initialize() {
+        if (!this.state && this.initialState) {
+            this.play(this.initialState);
+        }
+    }
+
+    // 添加动画片段（AnimationClip 实例或片段选项）
+    addClip(name, clip) {
+        if (!(clip instanceof AnimationClip)) {
+            clip = new AnimationClip(name, { spriteSheet: this.spriteSheet, ...clip });
+        } else if (!clip.spriteSheet) {
+            clip.spriteSheet = this.spriteSheet;
+        }
+
+        this.clips.set(name, clip);
+        return clip;
+    }
+
+    // 添加状态
+    addState(name, definition = {}) {
+        const state = {
+            name: name,
+            clip: definition.clip || name,
+            speed: definition.speed !== undefined ? definition.speed : 1,
+            transitions: (definition.transitions || []).slice()
+        };
+
+        this.states.set(name, state);
+        return state;
+    }
+
+    // 添加状态转换
+    addTransition(from, transition) {
+        const state = this.states.get(from);
+        if (!state) {
+            console.warn(`Unknown animation state: ${from}`);
+            return;
+        }
+
+        state.transitions.push(transition);
+    }
+
+    // 添加任意状态转换
+    addAnyStateTransition(transition) {
+        this.anyStateTransitions.push(transition);
+    }
+
+    // 设置参数
+    setParameter(name, value) {
+        this.parameters[name] = value;
+    }
+
+    // 获取参数
+    getParameter(name) {
+        return this.parameters[name];
+    }
+
+    // 设置触发器（被转换消耗前一直有效）
+    setTrigger(name) {
+        this.triggers.add(name);
+    }
+
+    // 清除触发器
+    resetTrigger(name) {
+        this.triggers.delete(name);
+    }
+
+    // 获取当前片段
+    getClip() {
+        const state = this.states.get(this.state);
+        return state ? this.clips.get(state.clip) || null : null;
+    }
+
+    // 切换到某状态（已在该状态时只有 restart 为 true 才从头播放）
+    play(name, restart = false) {
+        const state = this.states.get(name);
+        if (!state) {
+            console.warn(`Unknown animation state: ${name}`);
+            return false;
+        }
+        if (!this.clips.has(state.clip)) {
+            console.warn(`Animation clip not found: ${state.clip} (state: ${name})`);
+            return false;
+        }
+        if (this.state === name && !restart) {
+            return true;
+        }
+
+        this.previousState = this.state;
+        this.state = name;
+        this.frameIndex = 0;
+        this.frameTime = 0;
+        this.direction = 1;
+        this.stateTime = 0;
+        this.finished = false;
+
+        this.enterFrame();
+        return true;
+    }
+
+    // 更新
+    update(deltaTime) {
+        if (!this.enabled || !this.state) return;
+
+        this.checkTransitions();
+
+        const clip = this.getClip();
+        const state = this.states.get(this.state);
+        if (!clip || clip.length === 0) return;
+
+        this.stateTime += deltaTime;
+        if (this.finished) return;
+
+        this.frameTime += deltaTime * this.speed * state.speed * clip.speed;
+
+        // 一次更新可能跨过多帧，跨过的帧的事件都会发送
+        while (!this.finished && this.frameTime >= clip.frames[this.frameIndex].duration) {
+            this.frameTime -= clip.frames[this.frameIndex].duration;
+
+            const next = clip.step(this.frameIndex, this.direction);
+            this.direction = next.direction;
+
+            if (next.finished) {
+                this.finished = true;
+                this.frameTime = 0;
+                gameEventBus.emit(GameEvents.ANIMATION_COMPLETE, {
+                    entity: this.entity,
+                    animator: this,
+                    state: this.state,
+                    clip: clip.name
+                });
+            } else {
+                this.frameIndex = next.index;
+                this.enterFrame();
+            }
+        }
+    }
+
+    // 检查转换条件，满足时切换状态（每次更新最多一次转换）
+    checkTransitions() {
+        for (const transition of this.anyStateTransitions) {
+            if (transition.to !== this.state && this.canTransition(transition)) {
+                this.takeTransition(transition);
+                return;
+            }
+        }
+
+        const state = this.states.get(this.state);
+        for (const transition of state.transitions) {
+            if (this.canTransition(transition)) {
+                this.takeTransition(transition);
+                return;
+            }
+        }
+    }
+
+    // 转换条件是否满足
+    canTransition(transition) {
+        if (transition.onFinish && !this.finished) return false;
+        if (transition.trigger && !this.triggers.has(transition.trigger)) return false;
+
+        if (typeof transition.when === 'function') {
+            return !!transition.when(this.parameters, this);
+        }
+        if (transition.when) {
+            return Object.entries(transition.when).every(([name, value]) => this.parameters[name] === value);
+        }
+
+        return true;
+    }
+
+    // 执行转换
+    takeTransition(transition) {
+        if (transition.trigger) {
+            this.triggers.delete(transition.trigger);
+        }
+
+        this.play(transition.to, transition.to === this.state);
+    }
+
+    // 进入当前帧：更新实体的精灵并发送帧事件
+    enterFrame() {
+        this.updateFrame();
+
+        const clip = this.getClip();
+        const frame = clip.frames[this.frameIndex];
+        if (!frame) return;
+
+        frame.events.forEach(name => {
+            gameEventBus.emit(GameEvents.ANIMATION_EVENT, {
+                entity: this.entity,
+                animator: this,
+                name: name,
+                state: this.state,
+                clip: clip.name,
+                frame: this.frameIndex
+            });
+
+            if (name === 'footstep') {
+                gameEventBus.emit(GameEvents.FOOTSTEP, this.getFootstep());
+            }
+        });
+    }
+
+    // 脚步事件数据：实体有角色控制器时带上站立表面和材质（与控制器发送的脚步事件格式相同）
+    getFootstep() {
+        const controller = this.getController();
+        const footstep = controller ? controller.getFootstep() : {
+            entity: this.entity,
+            body: this.entity ? this.entity.physicsBody : null,
+            surface: null,
+            material: null,
+            sound: null
+        };
+
+        return { ...footstep, animator: this };
+    }
+
+    // 获取实体上的角色控制器
+    getController() {
+        if (!this.entity) return null;
+
+        for (const component of this.entity.components.values()) {
+            if (component instanceof CharacterController) return component;
+        }
+        return null;
+    }
+
+    // 按角色控制器更新移动参数（grounded、speed）和朝向
+    updateFromController(controller = this.getController()) {
+        if (!controller) return;
+
+        this.setParameter('grounded', controller.isGrounded);
+        this.setParameter('speed', Math.abs(controller.velocity.x));
+
+        if (controller.moveInput !== 0) {
+            this.setFlipX(controller.moveInput < 0);
+        }
+    }
+
+    // 更新当前帧（图集区域 + 图像 + 翻转），并赋给实体的 sprite
+    updateFrame() {
+        const clip = this.getClip();
+        const sprite = clip ? clip.getSprite(this.frameIndex) : null;
+
+        if (!sprite) {
+            if (clip && clip.length > 0 && clip.spriteSheet) {
+                console.warn(`Sprite not found: ${clip.frames[this.frameIndex].sprite} (clip: ${clip.name})`);
+            }
+            this.frame = null;
+        } else {
+            this.frame = { image: clip.spriteSheet.image, ...sprite, flipX: this.flipX };
+        }
+
+        if (this.entity) {
+            this.entity.sprite = this.frame;
+        }
+    }
+
+    // 设置水平翻转
+    setFlipX(flipX) {
+        this.flipX = flipX;
+        if (this.frame) {
+            this.frame.flipX = flipX;
+        }
+    }
+
+    // 当前状态是否为某状态
+    isPlaying(name) {
+        return this.state === name;
+    }
+
+    // 序列化（片段和状态由实体构造函数重新定义，这里只保存播放状态）
+    serialize() {
+        return {
+            state: this.state,
+            previousState: this.previousState,
+            frameIndex: this.frameIndex,
+            frameTime: this.frameTime,
+            direction: this.direction,
+            stateTime: this.stateTime,
+            finished: this.finished,
+            speed: this.speed,
+            flipX: this.flipX,
+            parameters: { ...this.parameters },
+            triggers: Array.from(this.triggers)
+        };
+    }
+
+    // 反序列化（不重复发送帧事件）
+    deserialize(state) {
+        if (state.state !== null && !this.states.has(state.state)) {
+            console.warn(`Cannot restore animation state '${state.state}' on entity ${this.entity ? this.entity.id : '-'}: ` +
+                'the entity type must add its animator (clips and states) in its constructor');
+            return;
+        }
+
+        this.state = state.state;
+        this.previousState = state.previousState;
+        this.frameIndex = state.frameIndex;
+        this.frameTime = state.frameTime;
+        this.direction = state.direction;
+        this.stateTime = state.stateTime;
+        this.finished = state.finished;
+        this.speed = state.speed;
+        this.flipX = state.flipX;
+        this.parameters = { ...state.parameters };
+        this.triggers = new Set(state.triggers);
+
+        this.updateFrame();
+    }
+
+    // 调试信息
+    debug() {
+        const clip = this.getClip();
+
+        console.log('Animator Debug Info:');
+        console.log(`  State: ${this.state} (previous: ${this.previousState}), Clip: ${clip ? `${clip.name} [${clip.mode}]` : '-'}`);
+        console.log(`  Frame: ${this.frameIndex}/${clip ? clip.length : 0}, Time: ${this.frameTime.toFixed(3)}, State Time: ${this.stateTime.toFixed(3)}, Finished: ${this.finished}`);
+        console.log(`  Clips: ${Array.from(this.clips.keys()).join(', ')}`);
+        console.log(`  States: ${Array.from(this.states.keys()).join(', ')}`);
+        console.log('  Parameters:', this.parameters);
+        console.log(`  Triggers: ${Array.from(this.triggers).join(', ') || '-'}`);
+    }
+
+    // 根据玩家参数选择动画状态：dead、grounded、prone、aim（'none'、'up'、'diagonal'）、speed
+    // 斜向瞄准分为站立（aim-diagonal）和跑动（run-diagonal），只有跑动帧带脚步事件
+    static getPlayerState(parameters) {
+        if (parameters.dead) return 'die';
+        if (!parameters.grounded) return 'jump';
+        if (parameters.prone) return 'prone';
+
+        const moving = parameters.speed > Animator.PLAYER_RUN_SPEED;
+        if (parameters.aim === 'diagonal') return moving ? 'run-diagonal' : 'aim-diagonal';
+        if (parameters.aim === 'up' && !moving) return 'aim-up';
+        return moving ? 'run' : 'idle';
+    }
+
+    // 创建魂斗罗玩家的动画器：每个状态都可以从任意状态进入，条件互斥，由 getPlayerState 决定。
+    // 游戏逻辑每帧调用 updateFromController，并设置 aim、prone、dead 参数；
+    // 脚步由跑步帧发送时，角色控制器的 stepDistance 应设为 0
+    static createPlayer(spriteSheet, options = {}) {
+        const states = {};
+        Animator.PLAYER_STATES.forEach(name => {
+            states[name] = {};
+        });
+
+        return new Animator({
+            ...options,
+            spriteSheet: spriteSheet,
+            clips: { ...Animator.PLAYER_CLIPS, ...(options.clips || {}) },
+            states: states,
+            anyState: Animator.PLAYER_STATES.map(name => ({
+                to: name,
+                when: parameters => Animator.getPlayerState(parameters) === name
+            })),
+            parameters: { grounded: true, speed: 0, aim: 'none', prone: false, dead: false, ...(options.parameters || {}) },
+            initialState: 'idle'
+        });
+    }
+}
+
+// 魂斗罗玩家的动画状态
+Animator.PLAYER_STATES = ['die', 'jump', 'prone', 'run-diagonal', 'aim-diagonal', 'aim-up', 'run', 'idle'];
+
+// 玩家水平速度超过该值（像素/秒）时播放跑步动画
+Animator.PLAYER_RUN_SPEED = 10;
+
+// 玩家默认片段（帧名称为 状态前缀_序号，可在 createPlayer 中按图集覆盖）
+Animator.PLAYER_CLIPS = {
+    idle: { frames: AnimationClip.frameNames('idle_', 2), frameDuration: 0.4 },
+    run: {
+        frames: AnimationClip.frameNames('run_', 6).map((sprite, i) => (i % 3 === 1 ? { sprite: sprite, event: 'footstep' } : sprite)),
+        frameDuration: 0.09
+    },
+    jump: { frames: AnimationClip.frameNames('jump_', 4), frameDuration: 0.08 },
+    prone: { frames: ['prone_0'] },
+    'aim-up': { frames: ['aim_up_0'] },
+    'aim-diagonal': { frames: ['aim_diagonal_0'] },
+    'run-diagonal': {
+        frames: AnimationClip.frameNames('run_diagonal_', 3).map((sprite, i) => (i === 1 ? { sprite: sprite, event: 'footstep' } : sprite)),
+        frameDuration: 0.09
+    },
+    die: { frames: AnimationClip.frameNames('die_', 4), frameDuration: 0.15, mode: 'once' }
+};
+
+ComponentTypes.register('Animator', Animator);
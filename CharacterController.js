@@ -0,0 +1,388 @@
+/**
+ * 角色控制器 - 不经过冲量求解、直接以碰撞滑动方式移动运动学物体，实现手感紧凑的平台跳跃移动
+ *
+ * 支持地面检测、可变高度跳跃、土狼时间（离开平台后短时间内仍可起跳）、跳跃缓冲、
+ * 斜坡行走和撞头。站立表面的材质会影响移动（冰面打滑、泥地和水中减速），行走时按材质发送脚步事件。
+ * 可作为实体组件使用：
+ *
+ *   const body = player.setPhysicsBody(physics, { type: 'kinematic', useGravity: false });
+ *   player.addComponent('controller', new CharacterController({ physics: physics, input: inputManager }));
+ *
+ * 控制器自己维护速度，物理体的 velocity 保持为0，避免物理引擎对运动学物体重复积分。
+ */
+class CharacterController {
+    constructor(options = {}) {
+        this.entity = null;
+        this.enabled = options.enabled !== false;
+
+        // 物理引擎和控制的物理体（作为组件时默认使用实体的物理引擎和物理体）
+        this.physics = options.physics || null;
+        this.body = options.body || null;
+
+        // 输入（可选）：设置后每帧从动作读取移动和跳跃
+        this.input = options.input || null;
+
+        // 水平移动（像素/秒）
+        this.moveSpeed = options.moveSpeed || 220;
+        this.groundAcceleration = options.groundAcceleration || 2400;
+        this.airAcceleration = options.airAcceleration || 1400;
+
+        // 跳跃与重力（像素/秒、像素/秒²），未指定重力时使用物理引擎的重力（作为组件时在初始化时确定）
+        this.jumpSpeed = options.jumpSpeed || 520;
+        this.gravity = options.gravity !== undefined ? options.gravity : (this.physics ? this.physics.gravity.y : null);
+        this.maxFallSpeed = options.maxFallSpeed || 900;
+        this.jumpCutMultiplier = options.jumpCutMultiplier !== undefined ? options.jumpCutMultiplier : 0.5;
+
+        // 土狼时间和跳跃缓冲（秒）
+        this.coyoteTime = options.coyoteTime !== undefined ? options.coyoteTime : 0.1;
+        this.jumpBufferTime = options.jumpBufferTime !== undefined ? options.jumpBufferTime : 0.1;
+
+        // 可行走的最大坡度（弧度）、贴地距离、与表面保持的间隙、每次移动最多滑动次数
+        this.maxSlopeAngle = options.maxSlopeAngle !== undefined ? options.maxSlopeAngle : Math.PI / 4;
+        this.snapDistance = options.snapDistance !== undefined ? options.snapDistance : 4;
+        this.skinWidth = options.skinWidth || 0.05;
+        this.maxSlideIterations = options.maxSlideIterations || 4;
+
+        // 每走过多少像素发送一次脚步事件（为 0 时不发送，如由动画器的脚步帧发送）
+        this.stepDistance = options.stepDistance !== undefined ? options.stepDistance : 32;
+
+        // 运动状态
+        this.velocity = new Vector2();
+        this.moveInput = 0;
+
+        // 接触状态（每次移动后更新）
+        this.isGrounded = false;
+        this.groundNormal = new Vector2(0, -1);
+        this.groundBody = null;
+        this.groundMaterial = null;
+        this.touchingWall = 0;      // -1 左侧墙，1 右侧墙，0 没有
+        this.touchingCeiling = false;
+        this.stepProgress = 0;
+
+        // 计时器
+        this.coyoteTimer = 0;
+        this.jumpBufferTimer = 0;
+        this.isJumping = false;
+    }
+
+    // 作为组件加入实体时绑定实体的物理体
+    initialize() {
+        if (!this.body && this.entity) {
+            this.body = this.entity.physicsBody;
+        }
+        if (!this.physics && this.entity) {
+            this.physics = this.entity.physics;
+        }
+        if (this.gravity === null) {
+            this.gravity = this.physics ? this.physics.gravity.y : 980;
+        }
+
+        if (!this.body) {
+            console.warn('CharacterController requires a physics body');
+            return;
+        }
+
+        if (this.body.type !== 'kinematic') {
+            console.warn(`CharacterController body ${this.body.id} should be kinematic, converting it`);
+            this.body.type = 'kinematic';
+        }
+        this.body.useGravity = false;
+    }
+
+    // 设置水平移动输入（-1 到 1）
+    setMoveInput(value) {
+        this.moveInput = Math.max(-1, Math.min(1, value));
+    }
+
+    // 请求跳跃（在缓冲时间内落地也会起跳）
+    jump() {
+        this.jumpBufferTimer = this.jumpBufferTime;
+    }
+
+    // 松开跳跃键：上升中削减速度，实现可变跳跃高度
+    releaseJump() {
+        if (this.isJumping && this.velocity.y < 0) {
+            this.velocity.y *= this.jumpCutMultiplier;
+        }
+        this.isJumping = false;
+    }
+
+    // 按下+跳跃时从单向平台跳下
+    dropThrough(duration = 0.25) {
+        if (this.groundBody && this.groundBody.oneWay) {
+            this.body.dropThrough(duration);
+            this.isGrounded = false;
+            this.groundBody = null;
+            return true;
+        }
+        return false;
+    }
+
+    // 检查是否站在指定物体上
+    standingOn(body) {
+        return this.isGrounded && this.groundBody === body;
+    }
+
+    // 读取输入动作
+    readInput() {
+        this.setMoveInput(this.input.getAxis('move_left', 'move_right'));
+
+        if (this.input.isActionPressed('jump')) {
+            if (this.input.isActionDown('move_down') && this.dropThrough()) return;
+            this.jump();
+        }
+
+        if (this.input.isActionReleased('jump')) {
+            this.releaseJump();
+        }
+    }
+
+    // 更新（deltaTime 单位为秒）
+    update(deltaTime) {
+        if (!this.body || !this.physics) return;
+
+        if (this.input) {
+            this.readInput();
+        }
+
+        // 计时器
+        this.coyoteTimer = this.isGrounded ? this.coyoteTime : Math.max(0, this.coyoteTimer - deltaTime);
+        this.jumpBufferTimer = Math.max(0, this.jumpBufferTimer - deltaTime);
+
+        // 水平速度向目标速度靠近（地面上按表面材质缩放速度和加速度）
+        const surface = this.isGrounded ? this.groundMaterial : null;
+        const speedScale = surface && surface.speedScale !== undefined ? surface.speedScale : 1;
+        const traction = surface && surface.traction !== undefined ? surface.traction : 1;
+        const targetSpeed = this.moveInput * this.moveSpeed * speedScale;
+        const acceleration = (this.isGrounded ? this.groundAcceleration * traction : this.airAcceleration) * deltaTime;
+        const speedDelta = targetSpeed - this.velocity.x;
+        this.velocity.x += Math.max(-acceleration, Math.min(acceleration, speedDelta));
+
+        // 起跳（地面上或土狼时间内）
+        if (this.jumpBufferTimer > 0 && this.coyoteTimer > 0) {
+            this.velocity.y = -this.jumpSpeed;
+            this.jumpBufferTimer = 0;
+            this.coyoteTimer = 0;
+            this.isJumping = true;
+            this.isGrounded = false;
+            this.groundBody = null;
+        } else if (this.isGrounded) {
+            this.velocity.y = 0;
+        }
+
+        // 重力
+        if (!this.isGrounded) {
+            this.velocity.y = Math.min(this.velocity.y + this.gravity * deltaTime, this.maxFallSpeed);
+        }
+
+        const wasGrounded = this.isGrounded;
+        const startX = this.body.position.x;
+        this.move(this.getDisplacement(deltaTime), wasGrounded);
+
+        if (this.isJumping && this.velocity.y >= 0) {
+            this.isJumping = false;
+        }
+
+        this.updateFootsteps(Math.abs(this.body.position.x - startX));
+    }
+
+    // 在地面上累计行走距离，每走过 stepDistance 发送一次脚步事件（带站立表面的材质）
+    updateFootsteps(distance) {
+        if (!this.isGrounded || !this.stepDistance) {
+            this.stepProgress = 0;
+            return;
+        }
+
+        this.stepProgress += distance;
+        if (this.stepProgress < this.stepDistance) return;
+        this.stepProgress -= this.stepDistance;
+
+        gameEventBus.emit(GameEvents.FOOTSTEP, this.getFootstep());
+    }
+
+    // 脚步事件数据：站立的表面、材质和材质对应的脚步声
+    getFootstep() {
+        return {
+            entity: this.entity,
+            body: this.body,
+            surface: this.groundBody,
+            material: this.groundMaterial,
+            sound: this.groundMaterial ? this.groundMaterial.footstep : null
+        };
+    }
+
+    // 本帧位移：在地面上沿地面切线移动（上下斜坡时保持贴地）
+    getDisplacement(deltaTime) {
+        if (this.isGrounded) {
+            const tangent = new Vector2(-this.groundNormal.y, this.groundNormal.x);
+            return Vector2.multiply(tangent, this.velocity.x * deltaTime);
+        }
+
+        return Vector2.multiply(this.velocity, deltaTime);
+    }
+
+    // 以碰撞滑动方式移动：撞到表面后去掉指向表面的分量，沿表面继续移动剩余位移
+    move(displacement, snapToGround = false) {
+        const body = this.body;
+        const previousGround = this.groundBody;
+
+        this.isGrounded = false;
+        this.groundBody = null;
+        this.groundMaterial = null;
+        this.touchingWall = 0;
+        this.touchingCeiling = false;
+
+        body.previousPosition.copy(body.position);
+        this.depenetrate();
+
+        let remaining = displacement.clone();
+        for (let i = 0; i < this.maxSlideIterations && remaining.magnitudeSquared() > 1e-8; i++) {
+            const hit = this.physics.castBody(body, remaining);
+
+            if (!hit) {
+                this.translate(remaining);
+                break;
+            }
+
+            // 移动到接触点，并与表面保持间隙
+            const distance = remaining.magnitude();
+            const travel = Math.max(0, hit.distance - this.skinWidth) / distance;
+            this.translate(Vector2.multiply(remaining, travel));
+
+            this.recordContact(hit);
+
+            // 剩余位移沿表面滑动
+            remaining.multiply(1 - travel);
+            const into = remaining.dot(hit.normal);
+            if (into < 0) {
+                remaining.subtract(Vector2.multiply(hit.normal, into));
+            }
+        }
+
+        // 原本在地面上且没有起跳时，向下贴地（走下斜坡和台阶时不离地）
+        if (snapToGround && !this.isGrounded && !this.isJumping) {
+            this.snapToGround();
+        }
+
+        // 接触表面后修正速度
+        if (this.isGrounded && this.velocity.y > 0) {
+            this.velocity.y = 0;
+        }
+        if (this.touchingCeiling && this.velocity.y < 0) {
+            this.velocity.y = 0;
+            this.isJumping = false;
+        }
+        if (this.touchingWall !== 0 && Math.sign(this.velocity.x) === this.touchingWall) {
+            this.velocity.x = 0;
+        }
+
+        if (this.entity) {
+            this.entity.position.copy(body.position);
+        }
+        this.physics.syncBroadPhase(body);
+
+        if (this.groundBody && this.groundBody !== previousGround) {
+            this.onLand(this.groundBody);
+        }
+    }
+
+    // 落到新的平台上（玩家发送与物理引擎相同的平台碰撞事件）
+    onLand(platform) {
+        if (!this.body.userData || this.body.userData.type !== 'player') return;
+
+        gameEventBus.emit(GameEvents.COLLISION_PLAYER_PLATFORM, {
+            bodyA: this.body,
+            bodyB: platform,
+            collision: null,
+            platformType: platform.oneWay ? 'oneWay' : 'solid',
+            material: this.groundMaterial
+        });
+    }
+
+    // 向下检测地面并贴地
+    snapToGround() {
+        const hit = this.physics.castBody(this.body, new Vector2(0, this.snapDistance + this.skinWidth));
+        if (hit && this.isWalkable(hit.normal)) {
+            this.translate(new Vector2(0, Math.max(0, hit.distance - this.skinWidth)));
+            this.recordContact(hit);
+        }
+    }
+
+    // 将物体推出初始重叠的阻挡物（例如被运动学物体挤入）
+    depenetrate() {
+        const body = this.body;
+
+        this.physics.getBroadPhaseCandidates(body.bounds).forEach(other => {
+            if (other === body || !other.enabled || other.isTrigger || other.oneWay) return;
+            if (!this.physics.shouldCollide(body, other)) return;
+
+            const collision = this.physics.checkCollision(body, other);
+            if (!collision) return;
+
+            // 碰撞法线由控制器物体指向阻挡物
+            const normal = collision.bodyA === body ? collision.normal : Vector2.multiply(collision.normal, -1);
+            this.translate(Vector2.multiply(normal, -(collision.penetration + this.skinWidth)));
+        });
+    }
+
+    // 记录接触表面
+    recordContact(hit) {
+        if (this.isWalkable(hit.normal)) {
+            this.isGrounded = true;
+            this.groundNormal.copy(hit.normal);
+            this.groundBody = hit.body;
+            this.groundMaterial = hit.material || null;
+        } else if (hit.normal.y > 0.5) {
+            this.touchingCeiling = true;
+        } else if (Math.abs(hit.normal.x) > 0.5) {
+            this.touchingWall = hit.normal.x > 0 ? -1 : 1;
+        }
+    }
+
+    // 检查表面坡度是否可以站立（法线朝上且与竖直方向夹角不超过最大坡度）
+    isWalkable(normal) {
+        return -normal.y >= Math.cos(this.maxSlopeAngle);
+    }
+
+    // 平移物体
+    translate(offset) {
+        this.body.position.add(offset);
+        this.body.updateBounds();
+    }
+
+    // 序列化
+    serialize() {
+        return {
+            velocity: { x: this.velocity.x, y: this.velocity.y },
+            moveInput: this.moveInput,
+            isGrounded: this.isGrounded,
+            groundNormal: { x: this.groundNormal.x, y: this.groundNormal.y },
+            coyoteTimer: this.coyoteTimer,
+            jumpBufferTimer: this.jumpBufferTimer,
+            isJumping: this.isJumping
+        };
+    }
+
+    // 反序列化（站立的物体在下一次移动时重新检测）
+    deserialize(state) {
+        this.velocity.set(state.velocity.x, state.velocity.y);
+        this.moveInput = state.moveInput;
+        this.isGrounded = state.isGrounded;
+        this.groundNormal.set(state.groundNormal.x, state.groundNormal.y);
+        this.coyoteTimer = state.coyoteTimer;
+        this.jumpBufferTimer = state.jumpBufferTimer;
+        this.isJumping = state.isJumping;
+    }
+
+    // 调试信息
+    debug() {
+        console.log('Character Controller Debug Info:');
+        console.log(`  Velocity: ${this.velocity.toString()}`);
+        console.log(`  Grounded: ${this.isGrounded}, Ground Normal: ${this.groundNormal.toString()}`);
+        console.log(`  Ground Material: ${this.groundMaterial ? this.groundMaterial.name || 'custom' : 'none'}`);
+        console.log(`  Touching Wall: ${this.touchingWall}, Touching Ceiling: ${this.touchingCeiling}`);
+        console.log(`  Coyote Timer: ${this.coyoteTimer.toFixed(3)}, Jump Buffer: ${this.jumpBufferTimer.toFixed(3)}`);
+    }
+}
+
+ComponentTypes.register('CharacterController', CharacterController);
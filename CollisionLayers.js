@@ -0,0 +1,201 @@
+/**
+ * 碰撞层配置 - 定义命名碰撞层、哪些层之间发生碰撞或只发送通知，以及每对层发送的事件
+ *
+ * response:
+ *   'collide' - 物理碰撞（互相阻挡）并发送事件
+ *   'notify'  - 只检测重叠并发送事件，不做碰撞解决（子弹命中、拾取道具）
+ * 'default' 是未指定层的物体所在的层（位 1，与旧的 collisionLayer 默认值相同），b 为 '*' 表示与所有层。
+ * typeLayers 把旧的 userData.type 映射到层，未指定 layer 的实体物理体按类型自动归层（键为 Entity.setPhysicsBody
+ * 生成的小写类名）。映射为 null 的类型无法按类型确定层，必须显式指定 layer：'bullet' 可能属于玩家也可能属于敌人。
+ * staticLayer 是未指定层、也无法按类型归层的静态物体（地面、墙壁）所在的层，触发器除外。
+ */
+const CollisionConfig = {
+    layers: ['default', 'player', 'enemy', 'playerBullet', 'enemyBullet', 'terrain', 'pickup'],
+
+    pairs: [
+        { a: 'default', b: '*', response: 'collide' },
+        { a: 'player', b: 'terrain', response: 'collide' },
+        { a: 'enemy', b: 'terrain', response: 'collide' },
+        { a: 'pickup', b: 'terrain', response: 'collide' },
+        { a: 'player', b: 'enemy', response: 'collide', event: GameEvents.COLLISION_PLAYER_ENEMY },
+        { a: 'playerBullet', b: 'enemy', response: 'notify', event: GameEvents.COLLISION_BULLET_ENEMY },
+        { a: 'enemyBullet', b: 'player', response: 'notify', event: GameEvents.COLLISION_ENEMY_BULLET_PLAYER },
+        { a: 'playerBullet', b: 'terrain', response: 'notify', event: GameEvents.COLLISION_BULLET_TERRAIN },
+        { a: 'enemyBullet', b: 'terrain', response: 'notify', event: GameEvents.COLLISION_BULLET_TERRAIN },
+        { a: 'player', b: 'pickup', response: 'notify', event: GameEvents.COLLISION_PLAYER_POWERUP }
+    ],
+
+    typeLayers: {
+        player: 'player',
+        enemy: 'enemy',
+        bullet: null,
+        playerbullet: 'playerBullet',
+        enemybullet: 'enemyBullet',
+        powerup: 'pickup',
+        terrain: 'terrain',
+        platform: 'terrain'
+    },
+
+    staticLayer: 'terrain'
+};
+
+/**
+ * 碰撞矩阵 - 根据碰撞层配置计算层位掩码、碰撞响应和事件名称
+ */
+class CollisionMatrix {
+    constructor(config = CollisionConfig) {
+        this.layers = [];
+        this.layerBits = new Map();
+        this.rules = new Map();
+        this.wildcardRules = new Map();
+        this.typeLayers = {};
+        this.staticLayer = null;
+
+        this.configure(config);
+    }
+
+    // 载入配置
+    configure(config) {
+        if (config.layers.length > 32) {
+            console.error(`Too many collision layers: ${config.layers.length} (max 32)`);
+            return;
+        }
+
+        this.layers = config.layers.slice();
+        this.layerBits.clear();
+        this.rules.clear();
+        this.wildcardRules.clear();
+        this.typeLayers = { ...(config.typeLayers || {}) };
+        this.staticLayer = config.staticLayer && config.layers.includes(config.staticLayer) ? config.staticLayer : null;
+
+        this.layers.forEach((name, index) => {
+            this.layerBits.set(name, (1 << index) >>> 0);
+        });
+
+        (config.pairs || []).forEach(pair => this.addRule(pair));
+    }
+
+    // 添加一对层的规则（双向）
+    addRule(pair) {
+        if (!this.layerBits.has(pair.a) || (pair.b !== '*' && !this.layerBits.has(pair.b))) {
+            console.warn(`Unknown collision layer in pair: ${pair.a} / ${pair.b}`);
+            return;
+        }
+
+        const rule = { a: pair.a, b: pair.b, response: pair.response || 'collide', event: pair.event || null };
+
+        if (pair.b === '*') {
+            this.wildcardRules.set(pair.a, rule);
+        } else {
+            this.rules.set(`${pair.a}|${pair.b}`, rule);
+            this.rules.set(`${pair.b}|${pair.a}`, rule);
+        }
+    }
+
+    // 获取层的位
+    getLayerBit(name) {
+        if (!this.layerBits.has(name)) {
+            console.warn(`Unknown collision layer: ${name}`);
+            return 0;
+        }
+        return this.layerBits.get(name);
+    }
+
+    // 获取多个层的掩码，layers 可以是层名称、名称数组或数值掩码
+    getMask(layers) {
+        if (typeof layers === 'number') return layers;
+        if (typeof layers === 'string') return this.getLayerBit(layers);
+        return layers.reduce((mask, name) => (mask | this.getLayerBit(name)) >>> 0, 0);
+    }
+
+    // 获取与该层有规则（碰撞或通知）的所有层组成的掩码
+    getCollisionMask(name) {
+        if (this.wildcardRules.has(name)) return 0xFFFFFFFF;
+
+        let mask = 0;
+        this.layers.forEach(other => {
+            if (this.getRule(name, other)) {
+                mask = (mask | this.layerBits.get(other)) >>> 0;
+            }
+        });
+        return mask;
+    }
+
+    // 获取物体所在层的名称（按碰撞层的最低位查找）
+    getLayerName(body) {
+        if (body.layer) return body.layer;
+
+        const bit = body.collisionLayer & -body.collisionLayer;
+        const index = bit ? Math.log2(bit >>> 0) : 0;
+        return this.layers[index] || 'default';
+    }
+
+    // 获取两层之间的规则
+    getRule(nameA, nameB) {
+        return this.rules.get(`${nameA}|${nameB}`) ||
+               this.wildcardRules.get(nameA) ||
+               this.wildcardRules.get(nameB) ||
+               null;
+    }
+
+    // 为物体设置碰撞层和掩码（未指定 layer 时按 userData.type 归层，静态地形归入 staticLayer）
+    applyLayer(body) {
+        if (!body.layer && body.collisionLayer === 1) {
+            const type = body.userData ? body.userData.type : undefined;
+            if (this.typeLayers[type]) {
+                body.layer = this.typeLayers[type];
+            } else if (this.typeLayers[type] === null) {
+                console.warn(`Body ${body.id} of type '${type}' needs an explicit collision layer`);
+            } else if (this.staticLayer && body.type === 'static' && !body.isTrigger) {
+                body.layer = this.staticLayer;
+            }
+        }
+
+        if (body.layer && this.layerBits.has(body.layer)) {
+            body.collisionLayer = this.layerBits.get(body.layer);
+            body.collisionMask = this.getCollisionMask(body.layer);
+        }
+    }
+
+    // 获取两个物体之间的响应：'collide'、'notify' 或 null（互不影响）
+    getResponse(bodyA, bodyB) {
+        if ((bodyA.collisionMask & bodyB.collisionLayer) === 0 &&
+            (bodyB.collisionMask & bodyA.collisionLayer) === 0) {
+            return null;
+        }
+
+        // 掩码允许但没有规则的层（自定义掩码）按碰撞处理
+        const rule = this.getRule(this.getLayerName(bodyA), this.getLayerName(bodyB));
+        return rule ? rule.response : 'collide';
+    }
+
+    // 获取两个物体之间的事件，返回 { event, bodyA, bodyB }，bodyA/bodyB 按配置中 a/b 的顺序排列
+    getEvent(bodyA, bodyB) {
+        const nameA = this.getLayerName(bodyA);
+        const nameB = this.getLayerName(bodyB);
+        const rule = this.getRule(nameA, nameB);
+
+        if (!rule || !rule.event) return null;
+
+        const swapped = rule.b !== '*' && nameA !== rule.a;
+        return {
+            event: rule.event,
+            bodyA: swapped ? bodyB : bodyA,
+            bodyB: swapped ? bodyA : bodyB
+        };
+    }
+
+    // 调试信息
+    debug() {
+        console.log('Collision Matrix Debug Info:');
+        this.layers.forEach(name => {
+            console.log(`  ${name}: bit=0x${this.layerBits.get(name).toString(16)} mask=0x${this.getCollisionMask(name).toString(16)}`);
+        });
+        const printed = new Set();
+        this.rules.forEach(rule => {
+            if (printed.has(rule)) return;
+            printed.add(rule);
+            console.log(`  ${rule.a} <-> ${rule.b}: ${rule.response}${rule.event ? ` -> ${rule.event}` : ''}`);
+        });
+    }
+}
@@ -0,0 +1,379 @@
+/**
+ * 碰撞形状 - 旋转矩形、凸多边形和胶囊体的分离轴（SAT）检测、点包含测试和射线检测
+ *
+ * 形状定义（坐标相对物体位置，随物体 rotation 旋转）：
+ *   { type: 'polygon', vertices: [{ x, y }, ...] }  凸多边形，顶点按顺时针或逆时针排列均可
+ *   { type: 'capsule', radius, height }              竖直胶囊体，height 为包含两端半圆的总高度
+ * 每个形状表示为“核心 + 半径”：多边形的核心是顶点（半径为 0），胶囊体是中轴线段，圆是圆心。
+ * 未旋转（或旋转 90° 整数倍）的矩形和圆仍使用 PhysicsEngine 中基于边界框的快速检测。
+ * 多边形在创建物理体时由 normalizeShape 检查：顶点统一为顺时针（屏幕坐标，y 轴向下），
+ * 凹多边形或自相交的顶点会警告并改用凸包，不足以围成面积的顶点改用外接矩形。
+ */
+class CollisionShapes {
+    // 检查并规范化形状定义（多边形返回新的形状对象，其他形状原样返回）
+    static normalizeShape(shape) {
+        if (!shape || shape.type !== 'polygon') return shape;
+
+        const vertices = (shape.vertices || []).map(vertex => ({ x: vertex.x, y: vertex.y }));
+        if (this.isConvex(vertices)) {
+            return { ...shape, vertices: this.getSignedArea(vertices) < 0 ? vertices.reverse() : vertices };
+        }
+
+        const hull = this.getConvexHull(vertices);
+        if (hull.length >= 3) {
+            console.warn(`Polygon vertices are not a simple convex polygon, using their convex hull (${hull.length} vertices)`);
+            return { ...shape, vertices: hull };
+        }
+
+        // 顶点不足或共线：改用外接矩形（至少 1 像素）
+        const xs = vertices.map(vertex => vertex.x);
+        const ys = vertices.map(vertex => vertex.y);
+        const left = xs.length ? Math.min(...xs) : 0;
+        const top = ys.length ? Math.min(...ys) : 0;
+        const right = Math.max(left + 1, ...xs);
+        const bottom = Math.max(top + 1, ...ys);
+        console.warn(`Polygon needs at least 3 non-collinear vertices (got ${vertices.length}), using its bounding box`);
+        return {
+            ...shape,
+            vertices: [
+                { x: left, y: top },
+                { x: right, y: top },
+                { x: right, y: bottom },
+                { x: left, y: bottom }
+            ]
+        };
+    }
+
+    // 有向面积（屏幕坐标中顺时针为正）
+    static getSignedArea(vertices) {
+        let area = 0;
+        for (let i = 0; i < vertices.length; i++) {
+            const current = vertices[i];
+            const next = vertices[(i + 1) % vertices.length];
+            area += current.x * next.y - next.x * current.y;
+        }
+        return area / 2;
+    }
+
+    // 顶点是否围成凸多边形：面积不为 0，每个顶点转向相同（允许共线），并且只绕一圈
+    static isConvex(vertices) {
+        if (vertices.length < 3 || Math.abs(this.getSignedArea(vertices)) < 1e-9) return false;
+
+        let sign = 0;
+        let turning = 0;
+        for (let i = 0; i < vertices.length; i++) {
+            const previous = vertices[(i + vertices.length - 1) % vertices.length];
+            const current = vertices[i];
+            const next = vertices[(i + 1) % vertices.length];
+            const inX = current.x - previous.x;
+            const inY = current.y - previous.y;
+            const outX = next.x - current.x;
+            const outY = next.y - current.y;
+
+            // 重复的顶点
+            if ((inX === 0 && inY === 0) || (outX === 0 && outY === 0)) return false;
+
+            const cross = inX * outY - inY * outX;
+            if (cross !== 0) {
+                if (sign !== 0 && Math.sign(cross) !== sign) return false;
+                sign = Math.sign(cross);
+            }
+            turning += Math.atan2(cross, inX * outX + inY * outY);
+        }
+
+        return Math.abs(Math.abs(turning) - 2 * Math.PI) < 1e-6;
+    }
+
+    // 凸包（单调链算法，顺时针，不含共线点）
+    static getConvexHull(vertices) {
+        const points = vertices
+            .slice()
+            .sort((a, b) => (a.x - b.x) || (a.y - b.y))
+            .filter((point, i, sorted) => i === 0 || point.x !== sorted[i - 1].x || point.y !== sorted[i - 1].y);
+        if (points.length < 3) return [];
+
+        const cross = (origin, a, b) => (a.x - origin.x) * (b.y - origin.y) - (a.y - origin.y) * (b.x - origin.x);
+        const buildChain = list => {
+            const chain = [];
+            list.forEach(point => {
+                while (chain.length >= 2 && cross(chain[chain.length - 2], chain[chain.length - 1], point) <= 0) {
+                    chain.pop();
+                }
+                chain.push(point);
+            });
+            chain.pop();
+            return chain;
+        };
+
+        const hull = buildChain(points).concat(buildChain(points.slice().reverse()));
+        return hull.length >= 3 ? hull : [];
+    }
+
+    // 是否可以使用轴对齐矩形/圆的快速检测
+    static isSimple(body) {
+        if (body.shape.type === 'circle') return true;
+        return body.shape.type === 'rect' && Math.abs(Math.sin(2 * body.rotation)) < 1e-9;
+    }
+
+    // 形状的局部顶点（矩形的四个角或多边形的顶点）
+    static getLocalVertices(shape) {
+        if (shape.type === 'rect') {
+            const halfWidth = shape.width / 2;
+            const halfHeight = shape.height / 2;
+            return [
+                { x: -halfWidth, y: -halfHeight },
+                { x: halfWidth, y: -halfHeight },
+                { x: halfWidth, y: halfHeight },
+                { x: -halfWidth, y: halfHeight }
+            ];
+        }
+
+        return shape.vertices || [];
+    }
+
+    // 局部坐标转世界坐标
+    static toWorld(body, point) {
+        return new Vector2(point.x, point.y).rotate(body.rotation).add(body.position);
+    }
+
+    // 获取形状的核心点（世界坐标）和半径
+    static getCore(body) {
+        const shape = body.shape;
+
+        if (shape.type === 'circle') {
+            return { points: [body.position.clone()], radius: shape.radius };
+        }
+
+        if (shape.type === 'capsule') {
+            const halfSegment = Math.max(0, shape.height / 2 - shape.radius);
+            return {
+                points: [this.toWorld(body, { x: 0, y: -halfSegment }), this.toWorld(body, { x: 0, y: halfSegment })],
+                radius: shape.radius
+            };
+        }
+
+        return { points: this.getLocalVertices(shape).map(vertex => this.toWorld(body, vertex)), radius: 0 };
+    }
+
+    // 计算边界框
+    static computeBounds(body, bounds) {
+        const core = this.getCore(body);
+
+        bounds.left = Infinity;
+        bounds.top = Infinity;
+        bounds.right = -Infinity;
+        bounds.bottom = -Infinity;
+
+        core.points.forEach(point => {
+            bounds.left = Math.min(bounds.left, point.x - core.radius);
+            bounds.top = Math.min(bounds.top, point.y - core.radius);
+            bounds.right = Math.max(bounds.right, point.x + core.radius);
+            bounds.bottom = Math.max(bounds.bottom, point.y + core.radius);
+        });
+    }
+
+    // 分离轴检测，返回与 PhysicsEngine.checkCollision 相同格式的结果（法线由 bodyA 指向 bodyB）
+    static collide(bodyA, bodyB) {
+        const coreA = this.getCore(bodyA);
+        const coreB = this.getCore(bodyB);
+
+        const axes = this.getAxes(coreA, coreB).concat(this.getAxes(coreB, coreA));
+        if (axes.length === 0) {
+            // 两个圆心重合，任取一个方向分开
+            axes.push(new Vector2(0, 1));
+        }
+
+        let normal = null;
+        let penetration = Infinity;
+
+        for (const axis of axes) {
+            const projectionA = this.project(coreA, axis);
+            const projectionB = this.project(coreB, axis);
+
+            // forward: B 在 A 沿轴正方向一侧时的重叠量；backward: 在负方向一侧时的重叠量
+            const forward = projectionA.max - projectionB.min;
+            const backward = projectionB.max - projectionA.min;
+            const overlap = Math.min(forward, backward);
+
+            // 找到分离轴，没有碰撞
+            if (overlap <= 0) return null;
+
+            if (overlap < penetration) {
+                penetration = overlap;
+                normal = forward <= backward ? axis.clone() : Vector2.multiply(axis, -1);
+            }
+        }
+
+        return {
+            bodyA: bodyA,
+            bodyB: bodyB,
+            normal: normal,
+            penetration: penetration,
+            contactPoint: this.getSupportPoint(coreB, Vector2.multiply(normal, -1))
+        };
+    }
+
+    // 候选分离轴：多边形的边法线、线段的法线，以及点/线段核心指向另一形状各顶点的方向
+    static getAxes(core, other) {
+        const axes = [];
+        const points = core.points;
+
+        if (points.length >= 2) {
+            const edgeCount = points.length === 2 ? 1 : points.length;
+            for (let i = 0; i < edgeCount; i++) {
+                const edge = Vector2.subtract(points[(i + 1) % points.length], points[i]);
+                if (!edge.isZero()) {
+                    axes.push(new Vector2(-edge.y, edge.x).normalize());
+                }
+            }
+        }
+
+        if (points.length < 3) {
+            other.points.forEach(point => {
+                const offset = Vector2.subtract(point, this.closestPointOnCore(core, point));
+                if (offset.magnitudeSquared() > 1e-12) {
+                    axes.push(offset.normalize());
+                }
+            });
+        }
+
+        return axes;
+    }
+
+    // 形状在轴上的投影区间
+    static project(core, axis) {
+        let min = Infinity;
+        let max = -Infinity;
+
+        core.points.forEach(point => {
+            const distance = point.dot(axis);
+            min = Math.min(min, distance);
+            max = Math.max(max, distance);
+        });
+
+        return { min: min - core.radius, max: max + core.radius };
+    }
+
+    // 形状沿某方向最远的点
+    static getSupportPoint(core, direction) {
+        let best = core.points[0];
+        let bestDistance = -Infinity;
+
+        core.points.forEach(point => {
+            const distance = point.dot(direction);
+            if (distance > bestDistance) {
+                best = point;
+                bestDistance = distance;
+            }
+        });
+
+        return Vector2.add(best, Vector2.multiply(direction, core.radius));
+    }
+
+    // 点/线段核心上离某点最近的点
+    static closestPointOnCore(core, point) {
+        if (core.points.length === 1) return core.points[0].clone();
+        return this.closestPointOnSegment(point, core.points[0], core.points[1]);
+    }
+
+    // 线段上离某点最近的点
+    static closestPointOnSegment(point, start, end) {
+        const segment = Vector2.subtract(end, start);
+        const lengthSq = segment.magnitudeSquared();
+        const t = lengthSq > 0
+            ? Math.max(0, Math.min(1, Vector2.subtract(point, start).dot(segment) / lengthSq))
+            : 0;
+
+        return Vector2.add(start, segment.multiply(t));
+    }
+
+    // 检查点是否在形状内
+    static containsPoint(body, point) {
+        const core = this.getCore(body);
+
+        if (core.points.length >= 3) {
+            return this.polygonContains(core.points, point);
+        }
+
+        const closest = this.closestPointOnCore(core, point);
+        return point.distanceToSquared(closest) <= core.radius * core.radius;
+    }
+
+    // 检查点是否在凸多边形内（在边上也算）
+    static polygonContains(points, point) {
+        let sign = 0;
+
+        for (let i = 0; i < points.length; i++) {
+            const start = points[i];
+            const end = points[(i + 1) % points.length];
+            const cross = Vector2.subtract(end, start).cross(Vector2.subtract(point, start));
+            if (cross === 0) continue;
+
+            if (sign === 0) {
+                sign = Math.sign(cross);
+            } else if (Math.sign(cross) !== sign) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    // 线段（起点 + 位移）与凸多边形的首次相交（起点在多边形内时返回 null）
+    static sweepPointPolygon(origin, motion, points) {
+        const center = points.reduce((sum, point) => sum.add(point), new Vector2()).divide(points.length);
+        let entryTime = 0;
+        let exitTime = 1;
+        let normal = null;
+
+        for (let i = 0; i < points.length; i++) {
+            const start = points[i];
+            const edge = Vector2.subtract(points[(i + 1) % points.length], start);
+            if (edge.isZero()) continue;
+
+            // 边的外法线
+            const edgeNormal = new Vector2(edge.y, -edge.x).normalize();
+            if (edgeNormal.dot(Vector2.subtract(start, center)) < 0) {
+                edgeNormal.negate();
+            }
+
+            // distance > 0 表示起点在这条边的内侧
+            const distance = edgeNormal.dot(Vector2.subtract(start, origin));
+            const approach = edgeNormal.dot(motion);
+
+            if (approach === 0) {
+                if (distance < 0) return null;
+                continue;
+            }
+
+            const time = distance / approach;
+            if (approach < 0) {
+                if (time > entryTime) {
+                    entryTime = time;
+                    normal = edgeNormal;
+                }
+            } else {
+                exitTime = Math.min(exitTime, time);
+            }
+
+            if (entryTime > exitTime) return null;
+        }
+
+        return normal ? { time: entryTime, normal: normal } : null;
+    }
+
+    // 胶囊体中段的矩形（线段长度为 0 时返回 null）
+    static getSegmentBox(core) {
+        const [start, end] = core.points;
+        const segment = Vector2.subtract(end, start);
+        if (segment.isZero()) return null;
+
+        const side = new Vector2(-segment.y, segment.x).normalize().multiply(core.radius);
+        return [
+            Vector2.add(start, side),
+            Vector2.add(end, side),
+            Vector2.subtract(end, side),
+            Vector2.subtract(start, side)
+        ];
+    }
+}
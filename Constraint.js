@@ -0,0 +1,404 @@
+/**
+ * 约束基类 - 连接两个物理体（或一个物理体与世界上的固定点）的关节
+ *
+ * 锚点以物体局部坐标表示并随物体旋转；bodyB 为 null 时 anchorB 是世界坐标。
+ * 物理引擎每步先在速度迭代中消除违反约束的相对速度，再在位置迭代中修正残余误差。
+ * 设置 breakImpulse 后，单步内约束冲量超过该值时约束断裂（用于会塌的吊桥等）。
+ */
+class Constraint {
+    constructor(bodyA, bodyB = null, options = {}) {
+        this.id = gameRandom.stream(RandomStreams.IDS).nextId();
+        this.type = 'constraint';
+
+        this.bodyA = bodyA;
+        this.bodyB = bodyB;
+        this.anchorA = options.anchorA ? options.anchorA.clone() : new Vector2();
+        this.anchorB = options.anchorB ? options.anchorB.clone() : (bodyB ? new Vector2() : bodyA.position.clone());
+
+        // 位置修正强度（0-1）
+        this.stiffness = options.stiffness !== undefined ? options.stiffness : 1;
+
+        // 断裂冲量（0 表示不会断裂）和本步累计冲量
+        this.breakImpulse = options.breakImpulse || 0;
+        this.impulse = 0;
+        this.broken = false;
+
+        this.enabled = options.enabled !== false;
+        this.userData = options.userData || null;
+    }
+
+    // 锚点的世界坐标
+    getWorldAnchorA() {
+        return Vector2.add(this.bodyA.position, this.anchorA.clone().rotate(this.bodyA.rotation));
+    }
+
+    getWorldAnchorB() {
+        if (!this.bodyB) return this.anchorB.clone();
+        return Vector2.add(this.bodyB.position, this.anchorB.clone().rotate(this.bodyB.rotation));
+    }
+
+    // 约束求解使用的质量倒数（只有启用的动态物体会被约束移动）
+    getInverseMass(body) {
+        return body && body.enabled && body.type === 'dynamic' ? body.getInverseMass() : 0;
+    }
+
+    // 两端的速度
+    getVelocityA() {
+        return this.bodyA.velocity;
+    }
+
+    getVelocityB() {
+        return this.bodyB ? this.bodyB.velocity : Vector2.ZERO;
+    }
+
+    // 沿方向施加冲量（bodyA 受反向冲量）
+    applyImpulse(impulse) {
+        const inverseMassA = this.getInverseMass(this.bodyA);
+        const inverseMassB = this.getInverseMass(this.bodyB);
+
+        this.bodyA.velocity.subtract(Vector2.multiply(impulse, inverseMassA));
+        if (this.bodyB) {
+            this.bodyB.velocity.add(Vector2.multiply(impulse, inverseMassB));
+        }
+
+        this.impulse += impulse.magnitude();
+    }
+
+    // 按位置误差移动两端（bodyA 沿 correction 方向移动，bodyB 反向）
+    applyCorrection(correction) {
+        const inverseMassA = this.getInverseMass(this.bodyA);
+        const inverseMassB = this.getInverseMass(this.bodyB);
+        const totalInverseMass = inverseMassA + inverseMassB;
+        if (totalInverseMass === 0) return;
+
+        const scaled = Vector2.multiply(correction, this.stiffness / totalInverseMass);
+
+        if (inverseMassA > 0) {
+            this.bodyA.position.add(Vector2.multiply(scaled, inverseMassA));
+            this.bodyA.updateBounds();
+        }
+        if (inverseMassB > 0) {
+            this.bodyB.position.subtract(Vector2.multiply(scaled, inverseMassB));
+            this.bodyB.updateBounds();
+        }
+    }
+
+    // 每步开始时重置累计冲量
+    preStep() {
+        this.impulse = 0;
+    }
+
+    // 速度求解（子类实现）
+    solveVelocity(deltaTime) {
+    }
+
+    // 位置求解（子类实现）
+    solvePosition() {
+    }
+
+    // 检查是否超过断裂冲量
+    shouldBreak() {
+        return this.breakImpulse > 0 && this.impulse > this.breakImpulse;
+    }
+
+    // 序列化（物体以 id 引用）
+    serialize() {
+        return {
+            type: this.type,
+            id: this.id,
+            bodyA: this.bodyA.id,
+            bodyB: this.bodyB ? this.bodyB.id : null,
+            anchorA: { x: this.anchorA.x, y: this.anchorA.y },
+            anchorB: { x: this.anchorB.x, y: this.anchorB.y },
+            stiffness: this.stiffness,
+            breakImpulse: this.breakImpulse,
+            enabled: this.enabled,
+            userData: this.userData
+        };
+    }
+
+    // 从序列化数据创建约束，物体不存在时返回 null
+    static deserialize(data, bodiesById) {
+        const ConstraintClass = Constraint.types[data.type];
+        const bodyA = bodiesById.get(data.bodyA);
+        const bodyB = data.bodyB ? bodiesById.get(data.bodyB) : null;
+
+        if (!ConstraintClass || !bodyA || (data.bodyB && !bodyB)) {
+            console.warn(`Cannot restore constraint ${data.id} (${data.type})`);
+            return null;
+        }
+
+        const constraint = new ConstraintClass(bodyA, bodyB, {
+            ...data,
+            anchorA: new Vector2(data.anchorA.x, data.anchorA.y),
+            anchorB: new Vector2(data.anchorB.x, data.anchorB.y)
+        });
+        constraint.id = data.id;
+
+        return constraint;
+    }
+
+    // 按类型名称创建约束
+    static create(type, bodyA, bodyB, options = {}) {
+        const ConstraintClass = Constraint.types[type];
+        if (!ConstraintClass) {
+            console.error(`Unknown constraint type: ${type}`);
+            return null;
+        }
+
+        return new ConstraintClass(bodyA, bodyB, options);
+    }
+}
+
+/**
+ * 距离约束 - 保持两个锚点之间的距离不变（刚性杆，可用于吊桥木板和连体Boss的各节）
+ */
+class DistanceConstraint extends Constraint {
+    constructor(bodyA, bodyB = null, options = {}) {
+        super(bodyA, bodyB, options);
+        this.type = 'distance';
+
+        // 未指定长度时使用创建时两个锚点的距离
+        this.length = options.length !== undefined
+            ? options.length
+            : Vector2.distance(this.getWorldAnchorA(), this.getWorldAnchorB());
+    }
+
+    // 当前方向（A 指向 B）和长度
+    getAxis() {
+        const delta = Vector2.subtract(this.getWorldAnchorB(), this.getWorldAnchorA());
+        const distance = delta.magnitude();
+        return {
+            normal: distance > 0 ? delta.divide(distance) : new Vector2(0, 1),
+            distance: distance
+        };
+    }
+
+    // 约束当前是否生效
+    isActive(distance) {
+        return true;
+    }
+
+    solveVelocity(deltaTime) {
+        const { normal, distance } = this.getAxis();
+        if (!this.isActive(distance)) return;
+
+        const totalInverseMass = this.getInverseMass(this.bodyA) + this.getInverseMass(this.bodyB);
+        if (totalInverseMass === 0) return;
+
+        const relativeVelocity = Vector2.subtract(this.getVelocityB(), this.getVelocityA()).dot(normal);
+        if (!this.isVelocityViolated(relativeVelocity)) return;
+
+        this.applyImpulse(Vector2.multiply(normal, -relativeVelocity / totalInverseMass));
+    }
+
+    // 是否需要消除该相对速度（距离约束两个方向都消除）
+    isVelocityViolated(relativeVelocity) {
+        return relativeVelocity !== 0;
+    }
+
+    solvePosition() {
+        const { normal, distance } = this.getAxis();
+        if (!this.isActive(distance)) return;
+
+        this.applyCorrection(Vector2.multiply(normal, distance - this.length));
+    }
+
+    serialize() {
+        return { ...super.serialize(), length: this.length };
+    }
+}
+
+/**
+ * 绳索约束 - 两个锚点之间的距离不超过最大长度，松弛时不产生作用（摆动的陷阱、吊索）
+ */
+class RopeConstraint extends DistanceConstraint {
+    constructor(bodyA, bodyB = null, options = {}) {
+        super(bodyA, bodyB, options);
+        this.type = 'rope';
+    }
+
+    // 只在绳子拉紧时生效
+    isActive(distance) {
+        return distance >= this.length;
+    }
+
+    // 只消除继续拉长的相对速度
+    isVelocityViolated(relativeVelocity) {
+        return relativeVelocity > 0;
+    }
+}
+
+/**
+ * 弹簧约束 - 按胡克定律和阻尼向静止长度拉回，不做位置修正
+ */
+class SpringConstraint extends Constraint {
+    constructor(bodyA, bodyB = null, options = {}) {
+        super(bodyA, bodyB, options);
+        this.type = 'spring';
+
+        this.restLength = options.restLength !== undefined
+            ? options.restLength
+            : Vector2.distance(this.getWorldAnchorA(), this.getWorldAnchorB());
+
+        // 劲度系数（像素/秒² 每像素，与质量相乘得到力）和阻尼系数
+        this.springConstant = options.springConstant !== undefined ? options.springConstant : 50;
+        this.damping = options.damping !== undefined ? options.damping : 2;
+        this.applied = false;
+    }
+
+    // 弹簧力只需每步施加一次，放在第一次速度迭代中
+    preStep() {
+        super.preStep();
+        this.applied = false;
+    }
+
+    solveVelocity(deltaTime) {
+        if (this.applied) return;
+        this.applied = true;
+
+        const delta = Vector2.subtract(this.getWorldAnchorB(), this.getWorldAnchorA());
+        const distance = delta.magnitude();
+        if (distance === 0) return;
+
+        const normal = delta.divide(distance);
+        const relativeVelocity = Vector2.subtract(this.getVelocityB(), this.getVelocityA()).dot(normal);
+
+        // 拉伸时为正，冲量把两端拉近
+        const force = this.springConstant * (distance - this.restLength) + this.damping * relativeVelocity;
+        const massA = this.getInverseMass(this.bodyA) > 0 ? this.bodyA.mass : 0;
+        const massB = this.getInverseMass(this.bodyB) > 0 ? this.bodyB.mass : 0;
+        const mass = massA && massB ? (massA * massB) / (massA + massB) : (massA || massB);
+        if (mass === 0) return;
+
+        this.applyImpulse(Vector2.multiply(normal, -force * mass * deltaTime));
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            restLength: this.restLength,
+            springConstant: this.springConstant,
+            damping: this.damping
+        };
+    }
+}
+
+/**
+ * 销钉约束 - 把两个锚点固定在同一位置，物体可以绕该点自由摆动（锁链、吊环）
+ */
+class PinConstraint extends Constraint {
+    constructor(bodyA, bodyB = null, options = {}) {
+        super(bodyA, bodyB, options);
+        this.type = 'pin';
+    }
+
+    solveVelocity(deltaTime) {
+        const totalInverseMass = this.getInverseMass(this.bodyA) + this.getInverseMass(this.bodyB);
+        if (totalInverseMass === 0) return;
+
+        const relativeVelocity = Vector2.subtract(this.getVelocityB(), this.getVelocityA());
+        if (relativeVelocity.isZero()) return;
+
+        this.applyImpulse(Vector2.multiply(relativeVelocity, -1 / totalInverseMass));
+    }
+
+    solvePosition() {
+        this.applyCorrection(Vector2.subtract(this.getWorldAnchorB(), this.getWorldAnchorA()));
+    }
+}
+
+/**
+ * 铰链约束 - 在销钉的基础上限制相对转角（铰接的平台、只能向下翻的吊桥板、摆动角度有限的门）
+ *
+ * 转角为 bodyA 相对 bodyB（bodyB 为 null 时相对世界）的旋转减去 referenceAngle，
+ * 默认 referenceAngle 为创建时的相对旋转。lowerAngle/upperAngle（弧度）为 null 时该方向不限制，
+ * 两者都为 null 时与 pin 相同。
+ */
+class HingeConstraint extends PinConstraint {
+    constructor(bodyA, bodyB = null, options = {}) {
+        super(bodyA, bodyB, options);
+        this.type = 'hinge';
+
+        this.referenceAngle = options.referenceAngle !== undefined
+            ? options.referenceAngle
+            : bodyA.rotation - (bodyB ? bodyB.rotation : 0);
+        this.lowerAngle = options.lowerAngle !== undefined ? options.lowerAngle : null;
+        this.upperAngle = options.upperAngle !== undefined ? options.upperAngle : null;
+    }
+
+    // 当前相对转角
+    getAngle() {
+        return this.bodyA.rotation - (this.bodyB ? this.bodyB.rotation : 0) - this.referenceAngle;
+    }
+
+    // 超出限制的角度（低于下限为负，高于上限为正，未超出为 0）
+    getLimitError(angle) {
+        if (this.lowerAngle !== null && angle < this.lowerAngle) return angle - this.lowerAngle;
+        if (this.upperAngle !== null && angle > this.upperAngle) return angle - this.upperAngle;
+        return 0;
+    }
+
+    // 在限制处消除继续向外转的相对角速度
+    solveVelocity(deltaTime) {
+        super.solveVelocity(deltaTime);
+
+        const inverseMassA = this.getInverseMass(this.bodyA);
+        const inverseMassB = this.getInverseMass(this.bodyB);
+        const totalInverseMass = inverseMassA + inverseMassB;
+        if (totalInverseMass === 0) return;
+
+        const angle = this.getAngle();
+        const relativeAngularVelocity = this.bodyA.angularVelocity - (this.bodyB ? this.bodyB.angularVelocity : 0);
+        const atLower = this.lowerAngle !== null && angle <= this.lowerAngle && relativeAngularVelocity < 0;
+        const atUpper = this.upperAngle !== null && angle >= this.upperAngle && relativeAngularVelocity > 0;
+        if (!atLower && !atUpper) return;
+
+        const scale = relativeAngularVelocity / totalInverseMass;
+        this.bodyA.angularVelocity -= scale * inverseMassA;
+        if (this.bodyB) {
+            this.bodyB.angularVelocity += scale * inverseMassB;
+        }
+    }
+
+    // 把超出限制的转角转回限制内
+    solvePosition() {
+        super.solvePosition();
+
+        const inverseMassA = this.getInverseMass(this.bodyA);
+        const inverseMassB = this.getInverseMass(this.bodyB);
+        const totalInverseMass = inverseMassA + inverseMassB;
+        if (totalInverseMass === 0) return;
+
+        const error = this.getLimitError(this.getAngle());
+        if (error === 0) return;
+
+        const scale = error * this.stiffness / totalInverseMass;
+        if (inverseMassA > 0) {
+            this.bodyA.rotation -= scale * inverseMassA;
+            this.bodyA.updateBounds();
+        }
+        if (inverseMassB > 0) {
+            this.bodyB.rotation += scale * inverseMassB;
+            this.bodyB.updateBounds();
+        }
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            referenceAngle: this.referenceAngle,
+            lowerAngle: this.lowerAngle,
+            upperAngle: this.upperAngle
+        };
+    }
+}
+
+// 约束类型名称
+Constraint.types = {
+    distance: DistanceConstraint,
+    rope: RopeConstraint,
+    spring: SpringConstraint,
+    pin: PinConstraint,
+    hinge: HingeConstraint
+};
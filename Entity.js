@@ -4,7 +4,7 @@
 class Entity {
     constructor(x = 0, y = 0, options = {}) {
         // 唯一标识符
-        this.id = Math.random().toString(36).substr(2, 9);
+        this.id = gameRandom.stream(RandomStreams.IDS).nextId();
         
         // 基本属性
         this.position = new Vector2(x, y);
@@ -29,11 +29,12 @@ class Entity {
         // 渲染属性
         this.sprite = options.sprite || null;
         this.color = options.color || '#ffffff';
-        this.alpha = options.alpha || 1;
+        this.alpha = options.alpha !== undefined ? options.alpha : 1;
         this.layer = options.layer || 'game';
         this.zIndex = options.zIndex || 0;
         
-        // 物理属性
+        // 物理属性（physics 为物理体所在的物理引擎，由 setPhysicsBody 或 options.physics 设置）
+        this.physics = options.physics || null;
         this.physicsBody = null;
         this.usePhysics = options.usePhysics || false;
         
@@ -60,6 +61,12 @@ class Entity {
         // 事件处理
         this.eventHandlers = new Map();
         
+        // 所属世界（由 World.add 设置）
+        this.world = null;
+        
+        // 是否由对象池管理
+        this.pooled = false;
+        
         // 初始化
         this.initialize(options);
     }
@@ -167,6 +174,29 @@ class Entity {
             alpha: this.alpha
         };
         
+        // 图集中的帧（ResourceManager.getSprite 或动画器的当前帧）：按帧尺寸居中绘制，翻转时偏移也镜像
+        if (this.sprite.image) {
+            const frame = this.sprite;
+            const offsetX = (frame.offsetX || 0) * (frame.flipX ? -1 : 1);
+            
+            options.sourceX = frame.x;
+            options.sourceY = frame.y;
+            options.sourceWidth = frame.width;
+            options.sourceHeight = frame.height;
+            options.flipX = frame.flipX || false;
+            
+            renderer.drawSprite(
+                frame.image,
+                this.position.x - frame.width / 2 + offsetX,
+                this.position.y - frame.height / 2 + (frame.offsetY || 0),
+                frame.width,
+                frame.height,
+                this.layer,
+                options
+            );
+            return;
+        }
+        
         renderer.drawSprite(
             this.sprite,
             this.position.x - this.width / 2,
@@ -249,6 +279,10 @@ class Entity {
         component.entity = this;
         this.components.set(name, component);
         
+        if (this.world) {
+            this.world.indexComponent(this, name);
+        }
+        
         if (component.initialize) {
             component.initialize();
         }
@@ -269,6 +303,10 @@ class Entity {
                 component.destroy();
             }
             this.components.delete(name);
+            
+            if (this.world) {
+                this.world.unindexComponent(this, name);
+            }
         }
     }
 
@@ -280,11 +318,19 @@ class Entity {
     // 添加标签
     addTag(tag) {
         this.tags.add(tag);
+        
+        if (this.world) {
+            this.world.indexTag(this, tag);
+        }
     }
 
     // 移除标签
     removeTag(tag) {
         this.tags.delete(tag);
+        
+        if (this.world) {
+            this.world.unindexTag(this, tag);
+        }
     }
 
     // 检查是否有标签
@@ -308,6 +354,7 @@ class Entity {
             ...options
         };
         
+        this.physics = physicsEngine;
         this.physicsBody = physicsEngine.createBody(bodyOptions);
         this.usePhysics = true;
         
@@ -408,11 +455,21 @@ class Entity {
         // 子类重写此方法处理触发器
     }
 
+    // 触发器停留（每个物理步调用）
+    onTriggerStay(other) {
+        // 子类重写此方法处理触发器
+    }
+
     // 触发器退出
     onTriggerExit(other) {
         // 子类重写此方法处理触发器
     }
 
+    // 被移动平台挤在墙壁、天花板等阻挡物上
+    onCrush(platform) {
+        // 子类重写此方法处理挤压（例如玩家死亡）
+    }
+
     // 事件监听
     addEventListener(event, handler) {
         if (!this.eventHandlers.has(event)) {
@@ -445,7 +502,7 @@ class Entity {
     setPosition(x, y) {
         this.position.set(x, y);
         if (this.physicsBody) {
-            this.physicsBody.position.set(x, y);
+            this.physicsBody.setPosition(x, y);
         }
     }
 
@@ -454,6 +511,7 @@ class Entity {
         this.position.add(new Vector2(deltaX, deltaY));
         if (this.physicsBody) {
             this.physicsBody.position.copy(this.position);
+            this.physicsBody.wake();
         }
     }
 
@@ -462,6 +520,7 @@ class Entity {
         this.velocity.set(x, y);
         if (this.physicsBody) {
             this.physicsBody.velocity.set(x, y);
+            this.physicsBody.wake();
         }
     }
 
@@ -507,27 +566,31 @@ class Entity {
         this.active = false;
         this.visible = false;
         
-        // 销毁组件
+        // 销毁组件（对象池中的实体保留组件，复用时重新初始化）
         this.components.forEach(component => {
             if (component.destroy) {
                 component.destroy();
             }
         });
-        this.components.clear();
+        if (!this.pooled) {
+            this.components.clear();
+        }
         
         // 移除物理体
-        if (this.physicsBody && window.physicsEngine) {
-            window.physicsEngine.removeBody(this.physicsBody);
+        if (this.physicsBody && this.physics) {
+            this.physics.removeBody(this.physicsBody);
         }
         
-        // 清除事件监听器
-        this.eventHandlers.clear();
+        // 清除事件监听器（对象池中的实体保留构造时注册的监听器）
+        if (!this.pooled) {
+            this.eventHandlers.clear();
+        }
         
         // 子类销毁逻辑
         this.onDestroy();
         
         // 发送销毁事件
-        gameEventBus.emit('entity_destroyed', { entity: this });
+        gameEventBus.emit(GameEvents.ENTITY_DESTROYED, { entity: this });
     }
 
     // 子类销毁逻辑（子类重写）
@@ -535,6 +598,60 @@ class Entity {
         // 子类实现具体销毁逻辑
     }
 
+    // 从对象池中复用：重置基础状态，重新加入物理世界并重新初始化组件，再调用 reset 钩子
+    revive(x, y, options = {}) {
+        this.id = gameRandom.stream(RandomStreams.IDS).nextId();
+        
+        this.position.set(x, y);
+        this.velocity.set(0, 0);
+        this.acceleration.set(0, 0);
+        this.rotation = 0;
+        this.scale.set(1, 1);
+        
+        this.active = true;
+        this.visible = true;
+        this.destroyed = false;
+        this.age = 0;
+        this.maxAge = options.maxAge || Infinity;
+        
+        if (options.color) this.color = options.color;
+        if (options.alpha !== undefined) this.alpha = options.alpha;
+        if (options.zIndex !== undefined) this.zIndex = options.zIndex;
+        
+        this.tags.clear();
+        (options.tags || []).forEach(tag => this.tags.add(tag));
+        this.userData = options.userData || {};
+        
+        // 复用原有物理体
+        if (this.physicsBody) {
+            const body = this.physicsBody;
+            body.setPosition(x, y);
+            body.velocity.set(0, 0);
+            body.rotation = 0;
+            body.angularVelocity = 0;
+            body.enabled = true;
+            body.updateBounds();
+            
+            if (this.physics) {
+                this.physics.addBody(body);
+            }
+        }
+        
+        // 组件在销毁时保留，重新绑定物理体等运行时状态
+        this.components.forEach(component => {
+            if (component.initialize) {
+                component.initialize();
+            }
+        });
+        
+        this.reset(options);
+    }
+
+    // 对象池复用时的重置逻辑（子类重写，重新设置 initialize 中初始化的状态）
+    reset(options) {
+        // 子类实现具体重置逻辑
+    }
+
     // 克隆实体
     clone() {
         const cloned = new this.constructor(this.position.x, this.position.y);
@@ -561,43 +678,161 @@ class Entity {
         return cloned;
     }
 
-    // 序列化
+    // 序列化（子类重写时先调用 super.serialize() 再追加自己的字段）
     serialize() {
+        const type = EntityTypes.getName(this.constructor);
+        
         return {
             id: this.id,
-            type: this.constructor.name,
+            type: type,
+            schemaVersion: EntityTypes.getVersion(type),
             position: { x: this.position.x, y: this.position.y },
             velocity: { x: this.velocity.x, y: this.velocity.y },
+            acceleration: { x: this.acceleration.x, y: this.acceleration.y },
             rotation: this.rotation,
             scale: { x: this.scale.x, y: this.scale.y },
             width: this.width,
             height: this.height,
             active: this.active,
             visible: this.visible,
+            age: this.age,
+            maxAge: this.maxAge === Infinity ? null : this.maxAge,
+            color: this.color,
+            alpha: this.alpha,
+            layer: this.layer,
+            zIndex: this.zIndex,
+            collider: {
+                ...this.collider,
+                offset: { x: this.collider.offset.x, y: this.collider.offset.y }
+            },
+            physicsBodyId: this.physicsBody ? this.physicsBody.id : null,
+            components: this.serializeComponents(),
             tags: Array.from(this.tags),
             userData: this.userData
         };
     }
 
-    // 反序列化
-    static deserialize(data) {
-        const entity = new Entity(data.position.x, data.position.y);
+    // 序列化组件（只保存实现了 serialize 的组件）
+    serializeComponents() {
+        const components = {};
+        
+        this.components.forEach((component, name) => {
+            if (component.serialize) {
+                const type = ComponentTypes.getName(component.constructor);
+                components[name] = {
+                    type: type,
+                    schemaVersion: ComponentTypes.getVersion(type),
+                    state: component.serialize()
+                };
+            }
+        });
+        
+        return components;
+    }
+
+    // 从序列化数据恢复状态（子类重写时先调用 super.restoreState(data)）
+    restoreState(data, options = {}) {
+        this.id = data.id;
+        this.position.set(data.position.x, data.position.y);
+        this.velocity.set(data.velocity.x, data.velocity.y);
+        this.rotation = data.rotation;
+        this.scale.set(data.scale.x, data.scale.y);
+        this.width = data.width;
+        this.height = data.height;
+        this.active = data.active;
+        this.visible = data.visible;
+        this.userData = data.userData;
+        
+        this.tags.clear();
+        data.tags.forEach(tag => this.addTag(tag));
+        
+        // 完整存档中的附加字段
+        if (data.acceleration) {
+            this.acceleration.set(data.acceleration.x, data.acceleration.y);
+        }
+        if (data.age !== undefined) {
+            this.age = data.age;
+            this.maxAge = data.maxAge === null ? Infinity : data.maxAge;
+            this.color = data.color;
+            this.alpha = data.alpha;
+            this.layer = data.layer;
+            this.zIndex = data.zIndex;
+        }
+        if (data.collider) {
+            Object.assign(this.collider, data.collider, {
+                offset: new Vector2(data.collider.offset.x, data.collider.offset.y)
+            });
+        }
         
-        entity.id = data.id;
-        entity.velocity.set(data.velocity.x, data.velocity.y);
-        entity.rotation = data.rotation;
-        entity.scale.set(data.scale.x, data.scale.y);
-        entity.width = data.width;
-        entity.height = data.height;
-        entity.active = data.active;
-        entity.visible = data.visible;
-        entity.userData = data.userData;
+        // 先关联恢复的物理体，组件初始化时（如角色控制器、移动平台）需要使用实体的物理体
+        if (options.linkPhysicsBody) {
+            options.linkPhysicsBody(this, data.physicsBodyId);
+        }
         
-        data.tags.forEach(tag => entity.addTag(tag));
+        this.restoreComponents(data.components || {}, options);
+    }
+
+    // 恢复组件：已注册类型按类创建，否则交给 options.componentFactory
+    restoreComponents(componentsData, options = {}) {
+        Object.entries(componentsData).forEach(([name, componentData]) => {
+            const { version, state } = ComponentTypes.migrate(
+                componentData.type,
+                componentData.schemaVersion,
+                componentData.state
+            );
+            
+            const ComponentClass = ComponentTypes.get(componentData.type);
+            const existing = this.getComponent(name);
+            let component = null;
+            
+            // 子类初始化时已添加的同类组件直接复用
+            if (ComponentClass && existing instanceof ComponentClass) {
+                component = existing;
+            } else if (ComponentClass) {
+                component = new ComponentClass();
+            } else if (options.componentFactory) {
+                component = options.componentFactory(name, state, this, componentData.type);
+            }
+            
+            if (!component) {
+                console.warn(`Cannot restore component '${name}' (${componentData.type}) on entity ${this.id}`);
+                return;
+            }
+            
+            if (component !== existing) {
+                if (existing) {
+                    this.removeComponent(name);
+                }
+                this.addComponent(name, component);
+            }
+            
+            if (component.deserialize) {
+                component.deserialize(state, version);
+            }
+        });
+    }
+
+    // 反序列化：按注册的类型名称创建对应子类，并执行结构版本迁移
+    static deserialize(data, options = {}) {
+        const { entity, state } = Entity.instantiate(data);
+        entity.restoreState(state, options);
         
         return entity;
     }
 
+    // 按注册的类型名称创建子类实例并迁移序列化数据，返回 { entity, state }（尚未恢复状态）
+    static instantiate(data) {
+        const { state } = EntityTypes.migrate(data.type, data.schemaVersion, data);
+        
+        let EntityClass = EntityTypes.get(data.type);
+        if (!EntityClass) {
+            console.warn(`Unknown entity type '${data.type}', restoring as Entity`);
+            EntityClass = Entity;
+        }
+        
+        return { entity: new EntityClass(state.position.x, state.position.y), state: state };
+    }
+
     // 调试信息
     debug() {
         console.log(`Entity ${this.id} (${this.constructor.name}):`);
@@ -611,3 +846,5 @@ class Entity {
     }
 }
 
+// 注册基础实体类型
+EntityTypes.register('Entity', Entity);
@@ -0,0 +1,183 @@
+/**
+ * 实体对象池 - 复用已销毁的实体（包括其物理体），减少子弹、粒子等短生命周期对象的内存分配
+ *
+ * 实体类通过静态属性声明池大小，并重写 reset(options) 完成每次取出时的初始化（新建和复用都会调用）。
+ * 池中的实体销毁时保留组件和构造时注册的事件监听器，复用时重新初始化组件：
+ *
+ *   class Bullet extends Entity {
+ *       reset(options) { this.damage = options.damage || 1; }
+ *   }
+ *   Bullet.poolSize = 256;
+ */
+class EntityPool {
+    constructor(EntityClass, size = EntityClass.poolSize || 0) {
+        this.EntityClass = EntityClass;
+        this.size = size;
+        this.available = [];
+
+        // 统计
+        this.stats = {
+            hits: 0,        // 从池中复用
+            misses: 0,      // 池为空时新建
+            releases: 0,    // 归还到池中
+            discarded: 0,   // 池已满被丢弃
+            inUse: 0,
+            peakInUse: 0
+        };
+    }
+
+    // 预先创建实例
+    prewarm(count = this.size) {
+        while (this.available.length < Math.min(count, this.size)) {
+            const entity = new this.EntityClass(0, 0);
+            entity.pooled = true;
+            this.park(entity);
+            this.available.push(entity);
+        }
+    }
+
+    // 将实例置为休眠状态（不触发销毁事件）
+    park(entity) {
+        entity.active = false;
+        entity.visible = false;
+        entity.destroyed = true;
+
+        if (entity.physicsBody && entity.physics) {
+            entity.physics.removeBody(entity.physicsBody);
+        }
+    }
+
+    // 获取实例
+    acquire(x, y, options = {}) {
+        let entity;
+
+        if (this.available.length > 0) {
+            entity = this.available.pop();
+            entity.revive(x, y, options);
+            this.stats.hits++;
+        } else {
+            entity = new this.EntityClass(x, y, options);
+            entity.pooled = true;
+            entity.reset(options);
+            this.stats.misses++;
+        }
+
+        this.stats.inUse++;
+        this.stats.peakInUse = Math.max(this.stats.peakInUse, this.stats.inUse);
+
+        return entity;
+    }
+
+    // 归还已销毁的实例
+    release(entity) {
+        if (!entity.destroyed) {
+            console.warn(`Entity ${entity.id} must be destroyed before being released to the pool`);
+            return false;
+        }
+
+        if (this.available.includes(entity)) {
+            console.warn(`Entity ${entity.id} has already been released to the pool`);
+            return false;
+        }
+
+        this.stats.inUse = Math.max(0, this.stats.inUse - 1);
+
+        if (this.available.length >= this.size) {
+            this.stats.discarded++;
+            return false;
+        }
+
+        this.available.push(entity);
+        this.stats.releases++;
+        return true;
+    }
+
+    // 获取命中率
+    getHitRate() {
+        const total = this.stats.hits + this.stats.misses;
+        return total === 0 ? 1 : this.stats.hits / total;
+    }
+
+    // 获取统计信息
+    getStats() {
+        return {
+            ...this.stats,
+            available: this.available.length,
+            size: this.size,
+            hitRate: this.getHitRate()
+        };
+    }
+
+    // 重置统计
+    resetStats() {
+        this.stats.hits = 0;
+        this.stats.misses = 0;
+        this.stats.releases = 0;
+        this.stats.discarded = 0;
+        this.stats.peakInUse = this.stats.inUse;
+    }
+}
+
+/**
+ * 对象池管理器 - 为声明了 poolSize 的实体类自动创建对象池
+ */
+class PoolManager {
+    constructor() {
+        this.pools = new Map();
+    }
+
+    // 获取实体类的对象池（未声明 poolSize 的类返回 null）
+    getPool(EntityClass) {
+        if (!this.pools.has(EntityClass)) {
+            if (!EntityClass.poolSize) return null;
+            this.pools.set(EntityClass, new EntityPool(EntityClass));
+        }
+        return this.pools.get(EntityClass);
+    }
+
+    // 预先创建实例
+    prewarm(EntityClass, count) {
+        const pool = this.getPool(EntityClass);
+        if (pool) {
+            pool.prewarm(count);
+        }
+    }
+
+    // 创建或复用实体
+    acquire(EntityClass, x, y, options = {}) {
+        const pool = this.getPool(EntityClass);
+        return pool ? pool.acquire(x, y, options) : new EntityClass(x, y, options);
+    }
+
+    // 归还实体（不属于对象池的实体直接忽略）
+    release(entity) {
+        if (!entity.pooled) return false;
+
+        const pool = this.getPool(entity.constructor);
+        return pool ? pool.release(entity) : false;
+    }
+
+    // 获取所有对象池的统计信息
+    getStats() {
+        const stats = {};
+        this.pools.forEach((pool, EntityClass) => {
+            stats[EntityTypes.getName(EntityClass)] = pool.getStats();
+        });
+        return stats;
+    }
+
+    // 重置所有统计
+    resetStats() {
+        this.pools.forEach(pool => pool.resetStats());
+    }
+
+    // 调试信息
+    debug() {
+        console.log('Pool Manager Debug Info:');
+        this.pools.forEach((pool, EntityClass) => {
+            const stats = pool.getStats();
+            console.log(`  ${EntityTypes.getName(EntityClass)}: ${stats.inUse} in use, ${stats.available}/${stats.size} available, ` +
+                `hits=${stats.hits} misses=${stats.misses} hitRate=${(stats.hitRate * 100).toFixed(1)}%`);
+        });
+    }
+}
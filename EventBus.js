@@ -139,6 +139,15 @@ const GameEvents = {
     GAME_OVER: 'game_over',
     LEVEL_START: 'level_start',
     LEVEL_COMPLETE: 'level_complete',
+    GAME_SAVE: 'game_save',
+    GAME_LOAD: 'game_load',
+    
+    // 实体事件
+    ENTITY_CREATED: 'entity_created',
+    ENTITY_DESTROYED: 'entity_destroyed',
+    FOOTSTEP: 'footstep',
+    ANIMATION_EVENT: 'animation_event',
+    ANIMATION_COMPLETE: 'animation_complete',
     
     // 玩家事件
     PLAYER_SPAWN: 'player_spawn',
@@ -166,6 +175,14 @@ const GameEvents = {
     COLLISION_BULLET_ENEMY: 'collision_bullet_enemy',
     COLLISION_PLAYER_POWERUP: 'collision_player_powerup',
     COLLISION_PLAYER_PLATFORM: 'collision_player_platform',
+    COLLISION_ENEMY_BULLET_PLAYER: 'collision_enemy_bullet_player',
+    COLLISION_BULLET_TERRAIN: 'collision_bullet_terrain',
+    TRIGGER_ENTER: 'trigger_enter',
+    TRIGGER_STAY: 'trigger_stay',
+    TRIGGER_EXIT: 'trigger_exit',
+    CONSTRAINT_BREAK: 'constraint_break',
+    PLATFORM_WAYPOINT: 'platform_waypoint',
+    PLATFORM_CRUSH: 'platform_crush',
     
     // UI事件
     UI_UPDATE_HEALTH: 'ui_update_health',
@@ -183,6 +200,7 @@ const GameEvents = {
     INPUT_KEY_UP: 'input_key_up',
     INPUT_TOUCH_START: 'input_touch_start',
     INPUT_TOUCH_END: 'input_touch_end',
+    REPLAY_END: 'replay_end',
     
     // 系统事件
     RESOURCE_LOADED: 'resource_loaded',
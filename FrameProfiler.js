@@ -0,0 +1,267 @@
+/**
+ * 帧性能分析器 - 按系统记录 fixedUpdate/update/render 耗时，保存最近N帧的历史
+ */
+class FrameProfiler {
+    constructor(options = {}) {
+        // 环形缓冲区容量（帧数）
+        this.capacity = options.capacity || 300;
+
+        // 帧预算（毫秒），用于叠加层比例和超预算统计
+        this.frameBudget = options.frameBudget || 1000 / 60;
+
+        // 每个计时项一条历史：key 为 'phase:system'，帧总耗时使用 'frame:total'
+        this.series = new Map();
+
+        // 当前帧累计（一帧内 fixedUpdate 可能执行多次）
+        this.currentFrame = new Map();
+        this.frameStartTime = 0;
+        this.inFrame = false;
+
+        // 已记录帧数
+        this.frameCount = 0;
+        this.overBudgetFrames = 0;
+
+        this.enabled = options.enabled !== false;
+
+        // 叠加层颜色
+        this.colors = ['#ff6b6b', '#ffd93d', '#6bcb77', '#4d96ff', '#c77dff', '#ff9f1c', '#2ec4b6', '#e71d36'];
+    }
+
+    // 开始一帧
+    beginFrame() {
+        if (!this.enabled) return;
+
+        this.currentFrame.clear();
+        this.frameStartTime = performance.now();
+        this.inFrame = true;
+    }
+
+    // 记录一次系统调用耗时
+    record(phase, systemName, duration) {
+        if (!this.enabled || !this.inFrame) return;
+
+        const key = `${phase}:${systemName}`;
+        this.currentFrame.set(key, (this.currentFrame.get(key) || 0) + duration);
+    }
+
+    // 结束一帧，写入环形缓冲区
+    endFrame() {
+        if (!this.enabled || !this.inFrame) return;
+
+        const frameTime = performance.now() - this.frameStartTime;
+        this.currentFrame.set('frame:total', frameTime);
+        this.inFrame = false;
+
+        const index = this.frameCount % this.capacity;
+
+        // 新出现的计时项从当前帧开始记录，之前的帧记为0
+        this.currentFrame.forEach((duration, key) => {
+            if (!this.series.has(key)) {
+                this.series.set(key, new Float64Array(this.capacity));
+            }
+        });
+
+        this.series.forEach((values, key) => {
+            values[index] = this.currentFrame.get(key) || 0;
+        });
+
+        this.frameCount++;
+        if (frameTime > this.frameBudget) {
+            this.overBudgetFrames++;
+        }
+    }
+
+    // 获取有效历史帧数
+    getSampleCount() {
+        return Math.min(this.frameCount, this.capacity);
+    }
+
+    // 获取计时项历史（从旧到新）
+    getHistory(phase, systemName) {
+        const values = this.series.get(`${phase}:${systemName}`);
+        if (!values) return [];
+
+        const count = this.getSampleCount();
+        const start = this.frameCount - count;
+        const history = [];
+
+        for (let i = start; i < this.frameCount; i++) {
+            history.push(values[i % this.capacity]);
+        }
+
+        return history;
+    }
+
+    // 计算计时项统计（min/avg/p95/max）
+    getStats(phase, systemName) {
+        const history = this.getHistory(phase, systemName);
+        if (history.length === 0) {
+            return { min: 0, avg: 0, p95: 0, max: 0 };
+        }
+
+        const sorted = history.slice().sort((a, b) => a - b);
+        const sum = sorted.reduce((total, value) => total + value, 0);
+        const p95Index = Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1);
+
+        return {
+            min: sorted[0],
+            avg: sum / sorted.length,
+            p95: sorted[p95Index],
+            max: sorted[sorted.length - 1]
+        };
+    }
+
+    // 获取最近一帧的耗时
+    getLastFrame() {
+        const frame = {};
+        if (this.frameCount === 0) return frame;
+
+        const index = (this.frameCount - 1) % this.capacity;
+        this.series.forEach((values, key) => {
+            frame[key] = values[index];
+        });
+
+        return frame;
+    }
+
+    // 获取所有计时项，按阶段分组
+    getKeysByPhase() {
+        const phases = {};
+
+        this.series.forEach((values, key) => {
+            const separator = key.indexOf(':');
+            const phase = key.slice(0, separator);
+            const systemName = key.slice(separator + 1);
+
+            if (!phases[phase]) {
+                phases[phase] = [];
+            }
+            phases[phase].push(systemName);
+        });
+
+        return phases;
+    }
+
+    // 导出报告（用于不同构建之间对比）
+    export(metadata = {}) {
+        const phases = {};
+        const keysByPhase = this.getKeysByPhase();
+
+        Object.keys(keysByPhase).sort().forEach(phase => {
+            phases[phase] = {};
+            keysByPhase[phase].sort().forEach(systemName => {
+                phases[phase][systemName] = this.getStats(phase, systemName);
+            });
+        });
+
+        return {
+            version: 1,
+            metadata: metadata,
+            frameBudget: this.frameBudget,
+            samples: this.getSampleCount(),
+            overBudgetFrames: this.overBudgetFrames,
+            phases: phases
+        };
+    }
+
+    // 导出为JSON字符串
+    exportJSON(metadata = {}) {
+        return JSON.stringify(this.export(metadata), null, 2);
+    }
+
+    // 对比两份报告，返回超过阈值的性能退化项
+    static compare(baseline, current, options = {}) {
+        const threshold = options.threshold !== undefined ? options.threshold : 0.1; // 相对增长
+        const minDelta = options.minDelta !== undefined ? options.minDelta : 0.05;   // 毫秒
+        const metric = options.metric || 'p95';
+        const regressions = [];
+
+        Object.entries(current.phases).forEach(([phase, systems]) => {
+            Object.entries(systems).forEach(([systemName, stats]) => {
+                const baseStats = baseline.phases[phase] && baseline.phases[phase][systemName];
+                if (!baseStats) return;
+
+                const before = baseStats[metric];
+                const after = stats[metric];
+                const delta = after - before;
+
+                if (delta > minDelta && (before === 0 || delta / before > threshold)) {
+                    regressions.push({
+                        phase: phase,
+                        system: systemName,
+                        metric: metric,
+                        before: before,
+                        after: after,
+                        change: before === 0 ? Infinity : delta / before
+                    });
+                }
+            });
+        });
+
+        return regressions.sort((a, b) => (b.after - b.before) - (a.after - a.before));
+    }
+
+    // 渲染火焰条叠加层（屏幕空间）
+    renderOverlay(renderer, x = 10, y = 80, width = 320) {
+        const lastFrame = this.getLastFrame();
+        const keysByPhase = this.getKeysByPhase();
+        const layer = 'overlay';
+        const barHeight = 12;
+        const rowHeight = 30;
+        const scale = width / this.frameBudget;
+
+        const frameStats = this.getStats('frame', 'total');
+        renderer.drawRect(x - 4, y - 4, width + 8, rowHeight * 3 + 24, '#000000', layer, { alpha: 0.6 });
+        renderer.drawText(
+            `frame ${(lastFrame['frame:total'] || 0).toFixed(2)}ms  avg ${frameStats.avg.toFixed(2)}  p95 ${frameStats.p95.toFixed(2)}  max ${frameStats.max.toFixed(2)}`,
+            x, y, '11px monospace', '#ffffff', layer
+        );
+
+        ['fixedUpdate', 'update', 'render'].forEach((phase, row) => {
+            const rowY = y + 16 + row * rowHeight;
+            const systems = keysByPhase[phase] || [];
+            let offset = 0;
+
+            renderer.drawText(phase, x, rowY, '10px monospace', '#cccccc', layer);
+            renderer.drawRect(x, rowY + 12, width, barHeight, '#ffffff', layer, { filled: false, alpha: 0.4 });
+
+            systems.forEach((systemName, index) => {
+                const duration = lastFrame[`${phase}:${systemName}`] || 0;
+                const segmentWidth = Math.min(duration * scale, width - offset);
+                if (segmentWidth <= 0) return;
+
+                renderer.drawRect(x + offset, rowY + 12, segmentWidth, barHeight, this.colors[index % this.colors.length], layer);
+                if (segmentWidth > 40) {
+                    renderer.drawText(systemName, x + offset + 2, rowY + 13, '9px monospace', '#000000', layer);
+                }
+
+                offset += segmentWidth;
+            });
+        });
+    }
+
+    // 重置历史
+    reset() {
+        this.series.clear();
+        this.currentFrame.clear();
+        this.frameCount = 0;
+        this.overBudgetFrames = 0;
+        this.inFrame = false;
+    }
+
+    // 调试信息
+    debug() {
+        console.log('Frame Profiler Debug Info:');
+        console.log(`  Samples: ${this.getSampleCount()}/${this.capacity}`);
+        console.log(`  Over Budget Frames: ${this.overBudgetFrames}`);
+
+        const keysByPhase = this.getKeysByPhase();
+        Object.keys(keysByPhase).forEach(phase => {
+            console.log(`  ${phase}:`);
+            keysByPhase[phase].forEach(systemName => {
+                const stats = this.getStats(phase, systemName);
+                console.log(`    ${systemName}: avg=${stats.avg.toFixed(3)}ms p95=${stats.p95.toFixed(3)}ms max=${stats.max.toFixed(3)}ms`);
+            });
+        });
+    }
+}
@@ -2,7 +2,10 @@
  * 游戏引擎核心 - 管理游戏循环、时间和系统协调
  */
 class GameEngine {
-    constructor() {
+    constructor(options = {}) {
+        // 无头模式：不依赖 requestAnimationFrame 和 DOM，通过 step() 手动推进
+        this.headless = options.headless || false;
+        
         this.isRunning = false;
         this.isPaused = false;
         this.lastTime = 0;
@@ -21,12 +24,19 @@ class GameEngine {
         // 系统管理
         this.systems = new Map();
         this.systemOrder = [];
+        this.systemRegistrationCount = 0;
         
         // 时间管理
         this.timeScale = 1.0;
         this.gameTime = 0;
         this.realTime = 0;
         
+        // 随机数与确定性模拟
+        this.random = gameRandom;
+        this.deterministic = false;
+        this.tick = 0; // 已执行的固定步数
+        this.inFixedUpdate = false; // 是否正在执行固定步（输入管理器据此返回按固定步锁存的按键边沿）
+        
         // 绑定方法
         this.gameLoop = this.gameLoop.bind(this);
         
@@ -42,22 +52,160 @@ class GameEngine {
             renderTime: 0,
             memoryUsage: 0
         };
+        
+        // 按系统的帧性能分析器（可选）
+        this.profiler = null;
+    }
+
+    // 设置帧性能分析器（传入 null 关闭）
+    setProfiler(profiler) {
+        this.profiler = profiler;
+    }
+
+    // 获取帧性能分析器
+    getProfiler() {
+        return this.profiler;
     }
 
     // 注册系统
-    registerSystem(name, system, priority = 0) {
+    // options 可以是优先级数字，也可以是 { priority, after, before, enabled, fixedStepOnly }：
+    // after/before 为系统名称列表（如物理系统 after: ['input']），执行顺序按依赖拓扑排序，
+    // 没有依赖关系的系统之间按优先级排序。fixedStepOnly 的系统只执行 fixedUpdate，
+    // 不调用其 update（未指定时使用系统自身的 fixedStepOnly 属性，如 PhysicsEngine）
+    registerSystem(name, system, options = 0) {
+        const config = typeof options === 'number' ? { priority: options } : options;
+        const priority = config.priority || 0;
+        
+        // 替换同名系统前先让旧实例完成清理
+        if (this.systems.has(name)) {
+            console.warn(`System '${name}' is already registered and will be replaced`);
+            this.unregisterSystem(name);
+        }
+        
         this.systems.set(name, {
             instance: system,
             priority: priority,
-            enabled: true
+            after: config.after || [],
+            before: config.before || [],
+            enabled: config.enabled !== false,
+            fixedStepOnly: config.fixedStepOnly !== undefined ? config.fixedStepOnly : system.fixedStepOnly === true,
+            registrationIndex: this.systemRegistrationCount++
         });
         
-        // 按优先级排序系统
-        this.systemOrder = Array.from(this.systems.entries())
-            .sort((a, b) => a[1].priority - b[1].priority)
-            .map(entry => entry[0]);
+        // 重新计算系统执行顺序
+        this.resolveSystemOrder();
         
         console.log(`System '${name}' registered with priority ${priority}`);
+        
+        // 生命周期回调
+        this.callSystemHook(name, 'onRegister', this);
+        if (this.isRunning) {
+            this.callSystemHook(name, 'onStart');
+        }
+    }
+
+    // 注销系统（引擎运行中时先调用 onStop，再调用 onUnregister）
+    unregisterSystem(name) {
+        if (!this.systems.has(name)) {
+            console.warn(`System '${name}' is not registered`);
+            return false;
+        }
+        
+        if (this.isRunning) {
+            this.callSystemHook(name, 'onStop');
+        }
+        this.callSystemHook(name, 'onUnregister', this);
+        
+        this.systems.delete(name);
+        this.resolveSystemOrder();
+        
+        console.log(`System '${name}' unregistered`);
+        return true;
+    }
+
+    // 计算系统执行顺序（拓扑排序，依赖未注册的系统时忽略该依赖）
+    resolveSystemOrder() {
+        const names = Array.from(this.systems.keys());
+        const successors = new Map(names.map(name => [name, new Set()]));
+        const inDegree = new Map(names.map(name => [name, 0]));
+        
+        const addEdge = (from, to) => {
+            if (!this.systems.has(from) || !this.systems.has(to) || successors.get(from).has(to)) return;
+            successors.get(from).add(to);
+            inDegree.set(to, inDegree.get(to) + 1);
+        };
+        
+        this.systems.forEach((systemData, name) => {
+            systemData.after.forEach(dependency => addEdge(dependency, name));
+            systemData.before.forEach(dependent => addEdge(name, dependent));
+        });
+        
+        const compare = (a, b) => {
+            const systemA = this.systems.get(a);
+            const systemB = this.systems.get(b);
+            return systemA.priority - systemB.priority || systemA.registrationIndex - systemB.registrationIndex;
+        };
+        
+        const ready = names.filter(name => inDegree.get(name) === 0).sort(compare);
+        const order = [];
+        
+        while (ready.length > 0) {
+            const name = ready.shift();
+            order.push(name);
+            
+            successors.get(name).forEach(successor => {
+                inDegree.set(successor, inDegree.get(successor) - 1);
+                if (inDegree.get(successor) === 0) {
+                    ready.push(successor);
+                }
+            });
+            
+            ready.sort(compare);
+        }
+        
+        // 存在循环依赖：报告循环路径，剩余系统按优先级排在最后
+        if (order.length < names.length) {
+            const remaining = names.filter(name => !order.includes(name)).sort(compare);
+            const cycle = this.findSystemCycle(remaining, successors);
+            console.error(`System dependency cycle detected: ${cycle.join(' -> ')}`);
+            order.push(...remaining);
+        }
+        
+        this.systemOrder = order;
+    }
+
+    // 在未能排序的系统中找出一条循环依赖路径
+    findSystemCycle(remaining, successors) {
+        // 剩余系统都至少有一个同样剩余的前驱，沿前驱回溯必然进入循环
+        const predecessorOf = name => remaining.find(other => successors.get(other).has(name));
+        
+        const visited = [];
+        let current = remaining[0];
+        while (!visited.includes(current)) {
+            visited.push(current);
+            current = predecessorOf(current);
+        }
+        
+        const cycle = visited.slice(visited.indexOf(current)).reverse();
+        cycle.push(cycle[0]);
+        return cycle;
+    }
+
+    // 调用系统生命周期回调
+    callSystemHook(name, hook, ...args) {
+        const systemData = this.systems.get(name);
+        if (!systemData || typeof systemData.instance[hook] !== 'function') return;
+        
+        try {
+            systemData.instance[hook](...args);
+        } catch (error) {
+            console.error(`Error in system '${name}' ${hook}:`, error);
+        }
+    }
+
+    // 获取系统执行顺序
+    getSystemOrder() {
+        return [...this.systemOrder];
     }
 
     // 获取系统
@@ -69,8 +217,9 @@ class GameEngine {
     // 启用/禁用系统
     setSystemEnabled(name, enabled) {
         const systemData = this.systems.get(name);
-        if (systemData) {
+        if (systemData && systemData.enabled !== enabled) {
             systemData.enabled = enabled;
+            this.callSystemHook(name, enabled ? 'onEnable' : 'onDisable');
         }
     }
 
@@ -86,21 +235,29 @@ class GameEngine {
         this.lastTime = performance.now();
         this.gameTime = 0;
         this.realTime = 0;
+        this.tick = 0;
         
         console.log('Game engine started');
-        gameEventBus.emit(GameEvents.GAME_START);
+        this.systemOrder.forEach(name => this.callSystemHook(name, 'onStart'));
         
-        // 启动游戏循环
-        requestAnimationFrame(this.gameLoop);
+        // 启动游戏循环（无头模式由 step() 驱动）
+        if (!this.headless) {
+            requestAnimationFrame(this.gameLoop);
+        }
     }
 
     // 停止游戏引擎
     stop() {
+        const wasRunning = this.isRunning;
         this.isRunning = false;
         this.isPaused = false;
         
         console.log('Game engine stopped');
-        gameEventBus.emit(GameEvents.GAME_OVER);
+        
+        // 按执行顺序的逆序通知系统停止
+        if (wasRunning) {
+            [...this.systemOrder].reverse().forEach(name => this.callSystemHook(name, 'onStop'));
+        }
     }
 
     // 暂停游戏
@@ -141,11 +298,16 @@ class GameEngine {
             return;
         }
         
-        // 更新游戏时间
-        this.gameTime += this.deltaTime * this.timeScale;
+        // 更新游戏时间（确定性模式下由固定步数推进）
+        if (!this.deterministic) {
+            this.gameTime += this.deltaTime * this.timeScale;
+        }
         
         // 性能监控开始
         const frameStartTime = performance.now();
+        if (this.profiler) {
+            this.profiler.beginFrame();
+        }
         
         // 固定时间步长更新
         this.accumulator += this.deltaTime;
@@ -167,6 +329,9 @@ class GameEngine {
         
         // 性能监控结束
         this.performanceData.frameTime = performance.now() - frameStartTime;
+        if (this.profiler) {
+            this.profiler.endFrame();
+        }
         
         // 更新FPS计数器
         this.updateFPSCounter(currentTime);
@@ -182,60 +347,103 @@ class GameEngine {
         requestAnimationFrame(this.gameLoop);
     }
 
+    // 手动推进指定帧数（无头模式），每帧执行一次固定步更新和一次可变步更新，不进行渲染
+    step(frames = 1) {
+        if (!this.headless) {
+            console.warn('step() is only available in headless mode');
+            return 0;
+        }
+        
+        if (!this.isRunning) {
+            console.warn('Game engine is not running');
+            return 0;
+        }
+        
+        for (let i = 0; i < frames; i++) {
+            this.deltaTime = this.frameTime;
+            this.realTime += this.frameTime;
+            
+            if (this.isPaused) {
+                this.updatePausedSystems();
+                continue;
+            }
+            
+            if (!this.deterministic) {
+                this.gameTime += this.frameTime * this.timeScale;
+            }
+            
+            if (this.profiler) {
+                this.profiler.beginFrame();
+            }
+            
+            this.fixedUpdate(this.frameTime);
+            this.update(this.frameTime);
+            
+            if (this.profiler) {
+                this.profiler.endFrame();
+            }
+            
+            gameEventBus.emit(GameEvents.FRAME_UPDATE, {
+                deltaTime: this.deltaTime,
+                gameTime: this.gameTime,
+                fps: this.targetFPS
+            });
+            
+            // 引擎可能在帧内被停止
+            if (!this.isRunning) {
+                return i + 1;
+            }
+        }
+        
+        return frames;
+    }
+
+    // 调用系统方法（启用性能分析器时记录耗时）
+    invokeSystem(systemName, method, arg) {
+        const systemData = this.systems.get(systemName);
+        if (!systemData || !systemData.enabled || !systemData.instance[method]) return;
+        
+        const startTime = this.profiler ? performance.now() : 0;
+        
+        try {
+            systemData.instance[method](arg);
+        } catch (error) {
+            console.error(`Error in system '${systemName}' ${method}:`, error);
+        }
+        
+        if (this.profiler) {
+            this.profiler.record(method, systemName, performance.now() - startTime);
+        }
+    }
+
     // 固定时间步长更新（用于物理等需要稳定时间步长的系统）
     fixedUpdate(fixedDeltaTime) {
-        this.systemOrder.forEach(systemName => {
-            const systemData = this.systems.get(systemName);
-            if (systemData && systemData.enabled && systemData.instance.fixedUpdate) {
-                try {
-                    systemData.instance.fixedUpdate(fixedDeltaTime);
-                } catch (error) {
-                    console.error(`Error in system '${systemName}' fixedUpdate:`, error);
-                }
-            }
-        });
+        this.inFixedUpdate = true;
+        this.systemOrder.forEach(systemName => this.invokeSystem(systemName, 'fixedUpdate', fixedDeltaTime));
+        this.inFixedUpdate = false;
+        
+        this.tick++;
+        if (this.deterministic) {
+            this.gameTime += fixedDeltaTime * this.timeScale;
+        }
     }
 
     // 可变时间步长更新
     update(deltaTime) {
         this.systemOrder.forEach(systemName => {
-            const systemData = this.systems.get(systemName);
-            if (systemData && systemData.enabled && systemData.instance.update) {
-                try {
-                    systemData.instance.update(deltaTime);
-                } catch (error) {
-                    console.error(`Error in system '${systemName}' update:`, error);
-                }
-            }
+            if (this.systems.get(systemName).fixedStepOnly) return;
+            this.invokeSystem(systemName, 'update', deltaTime);
         });
     }
 
     // 渲染
     render(interpolation) {
-        this.systemOrder.forEach(systemName => {
-            const systemData = this.systems.get(systemName);
-            if (systemData && systemData.enabled && systemData.instance.render) {
-                try {
-                    systemData.instance.render(interpolation);
-                } catch (error) {
-                    console.error(`Error in system '${systemName}' render:`, error);
-                }
-            }
-        });
+        this.systemOrder.forEach(systemName => this.invokeSystem(systemName, 'render', interpolation));
     }
 
     // 更新暂停状态下的系统
     updatePausedSystems() {
-        this.systemOrder.forEach(systemName => {
-            const systemData = this.systems.get(systemName);
-            if (systemData && systemData.enabled && systemData.instance.updatePaused) {
-                try {
-                    systemData.instance.updatePaused(this.deltaTime);
-                } catch (error) {
-                    console.error(`Error in system '${systemName}' updatePaused:`, error);
-                }
-            }
-        });
+        this.systemOrder.forEach(systemName => this.invokeSystem(systemName, 'updatePaused', this.deltaTime));
     }
 
     // 更新FPS计数器
@@ -254,6 +462,42 @@ class GameEngine {
         }
     }
 
+    // 设置随机数种子（重置所有随机数流）
+    setSeed(seed) {
+        this.random.setSeed(seed);
+    }
+
+    // 获取随机数种子
+    getSeed() {
+        return this.random.getSeed();
+    }
+
+    // 启用/禁用确定性模拟
+    // 确定性模式下，相同种子和相同输入序列会让 fixedUpdate 产生逐位一致的结果，
+    // 前提是游戏逻辑只在 fixedUpdate 中修改模拟状态，并只使用 gameplay 随机数流（不直接调用 Math.random）
+    setDeterministic(enabled, seed = this.random.getSeed()) {
+        this.deterministic = enabled;
+        
+        if (enabled) {
+            this.random.setSeed(seed);
+        }
+    }
+
+    // 检查是否为确定性模式
+    isDeterministic() {
+        return this.deterministic;
+    }
+
+    // 检查是否正在执行固定步
+    isInFixedUpdate() {
+        return this.inFixedUpdate;
+    }
+
+    // 获取已执行的固定步数
+    getTick() {
+        return this.tick;
+    }
+
     // 设置时间缩放
     setTimeScale(scale) {
         this.timeScale = Math.max(0, scale);
@@ -297,13 +541,16 @@ class GameEngine {
     // 调试信息
     debug() {
         console.log('Game Engine Debug Info:');
-        console.log(`  Running: ${this.isRunning}`);
+        console.log(`  Running: ${this.isRunning}${this.headless ? ' (headless)' : ''}`);
         console.log(`  Paused: ${this.isPaused}`);
         console.log(`  FPS: ${this.currentFPS}`);
         console.log(`  Time Scale: ${this.timeScale}`);
         console.log(`  Game Time: ${this.gameTime.toFixed(2)}ms`);
         console.log(`  Real Time: ${this.realTime.toFixed(2)}ms`);
+        console.log(`  Tick: ${this.tick}`);
+        console.log(`  Deterministic: ${this.deterministic} (seed ${this.random.getSeed()})`);
         console.log(`  Systems: ${this.systems.size}`);
+        console.log(`  System Order: ${this.systemOrder.join(' -> ')}`);
         console.log('  Performance:');
         console.log(`    Frame Time: ${this.performanceData.frameTime.toFixed(2)}ms`);
         console.log(`    Update Time: ${this.performanceData.updateTime.toFixed(2)}ms`);
@@ -0,0 +1,1609 @@
+/**
+ * 无头测试 - 用无头运行器在 Node 中执行引擎的行为测试（物理、实体、存档和游戏逻辑），供 CI 运行
+ *
+ * 每个测试创建独立的无头游戏（独立的 vm 上下文和全局状态），任一测试失败时以非零状态码退出。
+ * 用法（可选参数只运行名称包含该字符串的测试）：
+ *
+ *   node HeadlessTests.js [名称过滤]
+ */
+const assert = require('assert');
+const { createHeadlessGame } = require('./HeadlessRunner');
+
+const tests = [];
+
+// 注册测试
+function test(name, fn) {
+    tests.push({ name: name, fn: fn });
+}
+
+// 创建无头游戏：引擎日志不输出，警告和错误收集到 game.warnings
+function createGame(options = {}) {
+    const warnings = [];
+    const record = (...args) => warnings.push(args.map(String).join(' '));
+    const quiet = { log() {}, info() {}, debug() {}, warn: record, error: record };
+
+    const game = createHeadlessGame({ seed: 1, console: quiet, ...options });
+    game.warnings = warnings;
+    return game;
+}
+
+// 数值近似相等
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message || 'value'}: expected ${expected} ± ${tolerance}, got ${actual}`);
+}
+
+// ---------------------------------------------------------------------------
+// 无头引擎
+// ---------------------------------------------------------------------------
+
+test('engine.step advances ticks and game time in headless mode', () => {
+    const game = createGame();
+    game.engine.start();
+
+    assert.strictEqual(game.engine.step(30), 30);
+    assert.strictEqual(game.engine.getTick(), 30);
+    assertClose(game.engine.getGameTime(), 500, 1e-6, 'game time (ms)');
+});
+
+test('physics registered as an engine system steps in seconds', () => {
+    const game = createGame();
+    const physics = new game.PhysicsEngine();
+    const body = physics.createBody({
+        shape: { type: 'rect', width: 10, height: 10 },
+        position: new game.Vector2(0, 0),
+        linearDamping: 0
+    });
+
+    game.engine.registerSystem('physics', physics, 10);
+    game.engine.start();
+    game.engine.step(60);
+
+    // 半隐式欧拉：v = g·t，y = g·dt²·(1 + 2 + ... + 60)
+    assertClose(body.velocity.y, 980, 1e-6, 'velocity after 1s');
+    assertClose(body.position.y, 980 / 3600 * 1830, 1e-6, 'fall distance after 1s');
+});
+
+test('world entities only simulate on fixed steps', () => {
+    const game = createGame();
+    const world = new game.World();
+    const entity = world.add(new game.Entity(0, 0));
+    const steps = [];
+    entity.addComponent('probe', { enabled: true, update: deltaTime => steps.push(deltaTime) });
+
+    game.engine.registerSystem('world', world, 20);
+    game.engine.start();
+
+    // 渲染帧之间的可变步不推进实体
+    game.engine.update(7);
+    game.engine.update(25);
+    assert.deepStrictEqual(steps, []);
+
+    game.engine.fixedUpdate(1000 / 60);
+    game.engine.fixedUpdate(1000 / 60);
+    assert.strictEqual(steps.length, 2);
+    assertClose(steps[0], 1 / 60, 1e-12, 'entity step (s)');
+});
+
+test('scene transitions own GAME_START and GAME_OVER', () => {
+    const game = createGame();
+    const scenes = new game.SceneManager(game.engine);
+    scenes.register('gameplay', game.run('new GameplayScene()'));
+    scenes.register('gameOver', game.run('new GameOverScene()'));
+    game.engine.registerSystem('scenes', scenes, 500);
+
+    const events = [];
+    ['GAME_START', 'GAME_OVER', 'LEVEL_START'].forEach(name => {
+        game.gameEventBus.on(game.GameEvents[name], () => events.push(name));
+    });
+
+    game.engine.start();
+    scenes.push('gameplay', { level: 2 });
+    scenes.reset('gameplay', { level: 1 });
+    scenes.getCurrentScene().gameOver();
+    game.engine.stop();
+
+    assert.deepStrictEqual(events, ['GAME_START', 'LEVEL_START', 'GAME_START', 'LEVEL_START', 'GAME_OVER']);
+});
+
+test('replacing a system tears down the old instance first', () => {
+    const game = createGame();
+    const calls = [];
+    const makeSystem = label => ({
+        onRegister: () => calls.push(`${label}:register`),
+        onStart: () => calls.push(`${label}:start`),
+        onStop: () => calls.push(`${label}:stop`),
+        onUnregister: () => calls.push(`${label}:unregister`)
+    });
+
+    game.engine.registerSystem('audio', makeSystem('old'));
+    game.engine.start();
+    calls.length = 0;
+
+    game.engine.registerSystem('audio', makeSystem('new'));
+    assert.deepStrictEqual(calls, ['old:stop', 'old:unregister', 'new:register', 'new:start']);
+    assert.strictEqual(game.engine.getSystemOrder().filter(name => name === 'audio').length, 1);
+
+    calls.length = 0;
+    assert.strictEqual(game.engine.unregisterSystem('audio'), true);
+    assert.deepStrictEqual(calls, ['new:stop', 'new:unregister']);
+    assert.ok(!game.engine.getSystemOrder().includes('audio'));
+    assert.strictEqual(game.engine.unregisterSystem('audio'), false);
+});
+
+// ---------------------------------------------------------------------------
+// 输入录制
+// ---------------------------------------------------------------------------
+
+test('replays restore the recorded start tick and reproduce input per tick', () => {
+    const game = createGame();
+    const recorder = new game.InputRecorder(game.input, game.engine);
+    const log = [];
+
+    game.engine.registerSystem('recorder', recorder, 0);
+    game.engine.registerSystem('probe', {
+        fixedUpdate() {
+            log.push(`${game.engine.getTick()}:${game.input.isActionDown('move_right')}`);
+        }
+    }, 10);
+    game.engine.start();
+    game.engine.step(5);
+
+    recorder.startRecording();
+    log.length = 0;
+    game.input.setVirtualKey('KeyD', true);
+    game.engine.step(10);
+    game.input.setVirtualKey('KeyD', false);
+    game.engine.step(5);
+    const replay = recorder.stopRecording();
+    const recorded = log.slice();
+
+    log.length = 0;
+    assert.ok(recorder.startPlayback(JSON.parse(JSON.stringify(replay))));
+    game.engine.step(15);
+
+    assert.strictEqual(recorded.length, 15);
+    assert.strictEqual(recorded[0], '5:true');
+    assert.strictEqual(recorded[14], '19:false');
+    assert.deepStrictEqual(log, recorded);
+    assert.strictEqual(recorder.isPlaying(), true);
+    game.engine.step(1);
+    assert.strictEqual(recorder.isPlaying(), false);
+});
+
+test('input edges are latched per fixed tick regardless of render frames', () => {
+    const game = createGame();
+    const recorder = new game.InputRecorder(game.input, game.engine);
+    const log = [];
+
+    game.engine.registerSystem('recorder', recorder, 0);
+    game.engine.registerSystem('probe', {
+        fixedUpdate() {
+            log.push(game.input.isActionPressed('jump'));
+        }
+    }, 10);
+    game.engine.start();
+    recorder.startRecording();
+
+    // 按下后的渲染帧没有执行固定步，边沿保留到下一个固定步
+    game.input.setVirtualKey('Space', true);
+    assert.ok(game.input.isActionPressed('jump'), 'frame edge is visible outside the fixed step');
+    game.engine.update(16);
+    assert.ok(!game.input.isActionPressed('jump'), 'frame edge is cleared by the render frame');
+
+    // 同一渲染帧内的两个固定步只有第一个看到边沿
+    game.engine.fixedUpdate(game.engine.frameTime);
+    game.engine.fixedUpdate(game.engine.frameTime);
+    game.engine.update(33);
+    assert.deepStrictEqual(log, [true, false]);
+
+    const replay = recorder.stopRecording();
+    log.length = 0;
+    recorder.startPlayback(replay);
+    game.engine.step(2);
+    assert.deepStrictEqual(log, [true, false]);
+});
+
+test('empty replays are rejected instead of crashing playback', () => {
+    const game = createGame();
+    const recorder = new game.InputRecorder(game.input, game.engine);
+    game.engine.registerSystem('recorder', recorder, 0);
+    game.engine.start();
+
+    recorder.startRecording();
+    const replay = recorder.stopRecording();
+    assert.strictEqual(replay.frameCount, 0);
+
+    assert.strictEqual(recorder.startPlayback(replay, { loop: true }), false);
+    assert.strictEqual(game.engine.step(3), 3);
+    assert.ok(game.warnings.some(warning => warning.includes('Replay contains no frames')));
+    assert.ok(!game.warnings.some(warning => warning.includes('Error in system')));
+});
+
+// ---------------------------------------------------------------------------
+// 确定性模拟
+// ---------------------------------------------------------------------------
+
+// 用 gameplay 随机数流在固定步中生成物体，模拟 steps 步后返回实体和物理体的状态
+function runRandomizedSimulation(seed, steps) {
+    const game = createGame({ seed: seed });
+    const physics = new game.PhysicsEngine();
+    const random = game.gameRandom.stream(game.RandomStreams.GAMEPLAY);
+    const entities = [];
+
+    physics.createBody({
+        type: 'static',
+        shape: { type: 'rect', width: 800, height: 20 },
+        position: new game.Vector2(0, 300)
+    });
+
+    game.engine.registerSystem('spawner', {
+        fixedUpdate() {
+            if (game.engine.getTick() % 10 !== 0) return;
+
+            const entity = new game.Entity(random.range(-300, 300), random.range(-200, 0));
+            entity.setPhysicsBody(physics, {
+                shape: random.chance(0.5) ? { type: 'circle', radius: 6 } : { type: 'rect', width: 12, height: 12 },
+                velocity: new game.Vector2(random.range(-200, 200), random.range(-100, 100))
+            });
+            entities.push(entity);
+        }
+    }, 0);
+    game.engine.registerSystem('physics', physics, 10);
+
+    game.engine.start();
+    game.engine.step(steps);
+
+    return JSON.stringify({
+        tick: game.engine.getTick(),
+        random: game.gameRandom.getState(),
+        entities: entities.map(entity => [entity.id, entity.physicsBody.id]),
+        bodies: Array.from(physics.bodies.values()).map(body => body.serialize())
+    });
+}
+
+test('same seed produces bit-identical fixed-step results', () => {
+    const first = runRandomizedSimulation(1234, 300);
+    const second = runRandomizedSimulation(1234, 300);
+
+    assert.strictEqual(first, second);
+    assert.notStrictEqual(runRandomizedSimulation(4321, 300), first, 'a different seed should diverge');
+});
+
+test('fixed steps leave the global Math.random untouched', () => {
+    const game = createGame();
+    const nativeRandom = game.run('Math.random');
+    let seen = null;
+
+    game.engine.registerSystem('probe', {
+        fixedUpdate() {
+            seen = game.run('Math.random');
+        }
+    });
+    game.engine.start();
+    game.engine.step(1);
+
+    assert.strictEqual(seen, nativeRandom);
+});
+
+// ---------------------------------------------------------------------------
+// 对象池
+// ---------------------------------------------------------------------------
+
+test('pooled entities keep their components and reset on every acquire', () => {
+    const game = createGame();
+    const resets = [];
+
+    class Bullet extends game.Entity {
+        initialize() {
+            this.addComponent('probe', { enabled: true, initialized: 0, initialize() { this.initialized++; } });
+        }
+
+        reset(options) {
+            this.damage = options.damage || 1;
+            resets.push(this.damage);
+        }
+    }
+    Bullet.poolSize = 4;
+
+    const pool = new game.EntityPool(Bullet);
+    const first = pool.acquire(0, 0, { damage: 2, alpha: 0 });
+    assert.strictEqual(first.damage, 2);
+    assert.strictEqual(first.alpha, 0);
+
+    first.destroy();
+    assert.strictEqual(pool.release(first), true);
+    assert.strictEqual(pool.release(first), false);
+    assert.deepStrictEqual([pool.stats.inUse, pool.stats.releases, pool.stats.discarded], [0, 1, 0]);
+
+    const second = pool.acquire(10, 0, { damage: 3 });
+    assert.strictEqual(second, first);
+    assert.strictEqual(second.damage, 3);
+    assert.strictEqual(second.getComponent('probe').initialized, 2);
+    assert.deepStrictEqual(resets, [2, 3]);
+
+    assert.strictEqual(new game.Entity(0, 0, { alpha: 0 }).alpha, 0);
+});
+
+test('entities remove and re-add bodies in the physics engine that created them', () => {
+    const game = createGame();
+    const physics = new game.PhysicsEngine();
+
+    class Shell extends game.Entity {
+        initialize() {
+            this.setPhysicsBody(physics, { useGravity: false });
+        }
+    }
+    Shell.poolSize = 2;
+
+    const pool = new game.EntityPool(Shell);
+    const shell = pool.acquire(0, 0);
+    const body = shell.physicsBody;
+    assert.ok(physics.bodies.has(body.id));
+
+    shell.destroy();
+    assert.ok(!physics.bodies.has(body.id), 'destroy removes the body');
+    pool.release(shell);
+
+    assert.strictEqual(pool.acquire(50, 0), shell);
+    assert.strictEqual(physics.bodies.get(body.id), body, 'revive re-adds the same body');
+    assert.strictEqual(body.position.x, 50);
+});
+
+// ---------------------------------------------------------------------------
+// 物理积分
+// ---------------------------------------------------------------------------
+
+// 创建关闭休眠的物理引擎和一个 10x10 的动态物体
+function createFallingBody(game, options = {}) {
+    const physics = new game.PhysicsEngine({ sleepEnabled: false });
+    const body = physics.createBody({
+        shape: { type: 'rect', width: 10, height: 10 },
+        position: new game.Vector2(0, 0),
+        linearDamping: 0,
+        ...options
+    });
+    return { physics, body };
+}
+
+test('dynamic body falls under 980 px/s² gravity', () => {
+    const game = createGame();
+    const { physics, body } = createFallingBody(game);
+
+    for (let i = 0; i < 120; i++) physics.update(1 / 60);
+
+    // 半隐式欧拉：y = g·dt²·n(n + 1)/2
+    assertClose(body.velocity.y, 1960, 1e-6, 'velocity after 2s');
+    assertClose(body.position.y, 980 / 3600 * 120 * 121 / 2, 1e-6, 'fall distance after 2s');
+    assert.strictEqual(body.velocity.x, 0);
+});
+
+test('setGravity, useGravity and maxVelocity are applied', () => {
+    const game = createGame();
+    const { physics, body } = createFallingBody(game, { maxVelocity: 300 });
+    const floating = physics.createBody({
+        shape: { type: 'rect', width: 10, height: 10 },
+        position: new game.Vector2(100, 0),
+        useGravity: false
+    });
+
+    physics.setGravity(0, -490);
+    for (let i = 0; i < 120; i++) physics.update(1 / 60);
+
+    assertClose(body.velocity.y, -300, 1e-6, 'velocity clamped to maxVelocity');
+    assert.ok(body.position.y < 0, 'body falls upward under negative gravity');
+    assert.strictEqual(floating.position.y, 0);
+});
+
+test('linear damping slows a moving body', () => {
+    const game = createGame();
+    const { physics, body } = createFallingBody(game, { useGravity: false, linearDamping: 0.5, velocity: new game.Vector2(100, 0) });
+
+    for (let i = 0; i < 60; i++) physics.update(1 / 60);
+
+    // 阻尼系数表示每秒损失的速度比例
+    assertClose(body.velocity.x, 50, 1e-6, 'velocity after 1s of 50% damping');
+});
+
+test('applied forces last one step and kinematic bodies ignore gravity', () => {
+    const game = createGame();
+    const { physics, body } = createFallingBody(game, { useGravity: false, mass: 2 });
+    const kinematic = physics.createBody({
+        type: 'kinematic',
+        shape: { type: 'rect', width: 10, height: 10 },
+        position: new game.Vector2(100, 0),
+        velocity: new game.Vector2(60, 0)
+    });
+
+    body.applyForce(new game.Vector2(120, 0));
+    physics.update(1 / 60);
+    assertClose(body.velocity.x, 1, 1e-9, 'velocity after one step of F/m');
+    assert.strictEqual(body.force.x, 0);
+
+    physics.update(1 / 60);
+    assertClose(body.velocity.x, 1, 1e-9, 'force cleared after the step');
+
+    assertClose(kinematic.position.x, 102, 1e-9, 'kinematic position');
+    assert.strictEqual(kinematic.position.y, 0);
+    assert.strictEqual(kinematic.velocity.y, 0);
+});
+
+// ---------------------------------------------------------------------------
+// 约束
+// ---------------------------------------------------------------------------
+
+// 用铰链（或销钉）把 20x20 的动态物体挂在世界点 (0, 0) 上，物体中心在锚点右侧 30 像素
+function createHingedBody(game, type, options = {}) {
+    const physics = new game.PhysicsEngine({ sleepEnabled: false });
+    const body = physics.createBody({
+        shape: { type: 'rect', width: 20, height: 20 },
+        position: new game.Vector2(30, 0),
+        angularDamping: 0,
+        ...(options.body || {})
+    });
+    const constraint = physics.createConstraint(type, body, null, {
+        anchorA: new game.Vector2(-30, 0),
+        anchorB: new game.Vector2(0, 0),
+        ...(options.constraint || {})
+    });
+    return { physics, body, constraint };
+}
+
+test('pin constraints hold the anchors together under gravity and between bodies', () => {
+    const game = createGame();
+    const { physics, body, constraint } = createHingedBody(game, 'pin');
+
+    for (let i = 0; i < 60; i++) physics.update(1 / 60);
+    assert.ok(constraint instanceof game.PinConstraint);
+    assertClose(game.Vector2.distance(constraint.getWorldAnchorA(), constraint.getWorldAnchorB()), 0, 0.5, 'world pin gap');
+    assertClose(body.position.y, 0, 0.5, 'pinned body does not fall');
+
+    const top = physics.createBody({ shape: { type: 'rect', width: 10, height: 10 }, position: new game.Vector2(200, 0) });
+    const bottom = physics.createBody({ shape: { type: 'rect', width: 10, height: 10 }, position: new game.Vector2(200, 20) });
+    const link = physics.createConstraint('pin', top, bottom, { anchorA: new game.Vector2(0, 10), anchorB: new game.Vector2(0, -10) });
+    top.velocity.x = 120;
+
+    for (let i = 0; i < 60; i++) physics.update(1 / 60);
+    assertClose(game.Vector2.distance(link.getWorldAnchorA(), link.getWorldAnchorB()), 0, 0.5, 'body pin gap');
+    assertClose(bottom.position.x, top.position.x, 0.5, 'pinned bodies move together');
+    assert.ok(top.position.y > 100, 'the pair falls together');
+});
+
+test('hinge constraints keep the pin and limit the relative angle', () => {
+    const game = createGame();
+    const { physics, body, constraint } = createHingedBody(game, 'hinge', {
+        body: { useGravity: false, angularVelocity: 4 },
+        constraint: { lowerAngle: -0.5, upperAngle: 0.5 }
+    });
+
+    assert.ok(constraint instanceof game.HingeConstraint);
+    for (let i = 0; i < 60; i++) physics.update(1 / 60);
+    assertClose(body.rotation, 0.5, 1e-6, 'stopped at the upper limit');
+    assert.strictEqual(body.angularVelocity, 0);
+    assertClose(game.Vector2.distance(constraint.getWorldAnchorA(), constraint.getWorldAnchorB()), 0, 0.5, 'pin gap while rotated');
+    assertClose(body.position.y, 30 * Math.sin(0.5), 0.5, 'body swung around the anchor');
+
+    body.angularVelocity = -4;
+    for (let i = 0; i < 60; i++) physics.update(1 / 60);
+    assertClose(body.rotation, -0.5, 1e-6, 'stopped at the lower limit');
+
+    // 没有限制时与 pin 相同，可以自由转动
+    const free = createHingedBody(game, 'hinge', { body: { useGravity: false, angularVelocity: 4 } });
+    for (let i = 0; i < 60; i++) free.physics.update(1 / 60);
+    assert.ok(free.body.rotation > 3, `free hinge rotated ${free.body.rotation}`);
+    assertClose(game.Vector2.distance(free.constraint.getWorldAnchorA(), free.constraint.getWorldAnchorB()), 0, 0.5, 'free hinge pin gap');
+
+    // 限制随存档保存
+    const bodiesById = new Map([[body.id, body]]);
+    const restored = game.Constraint.deserialize(JSON.parse(JSON.stringify(constraint.serialize())), bodiesById);
+    assert.ok(restored instanceof game.HingeConstraint);
+    assert.strictEqual(restored.lowerAngle, -0.5);
+    assert.strictEqual(restored.upperAngle, 0.5);
+    assert.strictEqual(restored.referenceAngle, 0);
+    assert.deepStrictEqual(game.warnings, []);
+});
+
+// ---------------------------------------------------------------------------
+// 碰撞形状
+// ---------------------------------------------------------------------------
+
+// 边长 20 的菱形（顺时针，屏幕坐标）
+const DIAMOND = [{ x: 0, y: -10 }, { x: 10, y: 0 }, { x: 0, y: 10 }, { x: -10, y: 0 }];
+
+test('SAT resolves polygons against rotated rects and capsules in either winding', () => {
+    const game = createGame();
+    const physics = new game.PhysicsEngine({ sleepEnabled: false });
+    const create = (shape, x, y, options = {}) => physics.createBody({
+        type: 'static', shape: shape, position: new game.Vector2(x, y), ...options
+    });
+
+    const clockwise = create({ type: 'polygon', vertices: DIAMOND }, 0, 0);
+    const counterClockwise = create({ type: 'polygon', vertices: DIAMOND.slice().reverse() }, 0, 0);
+    const box = create({ type: 'rect', width: 20, height: 20 }, 14, 0, { rotation: Math.PI / 4 });
+
+    // 两个菱形的边平行，最小穿透沿斜边法线
+    const results = [clockwise, counterClockwise].map(polygon => physics.checkCollision(polygon, box));
+    results.forEach(collision => {
+        assert.ok(collision, 'diamond overlaps the rotated box');
+        assertClose(collision.normal.x, Math.SQRT1_2, 1e-9, 'normal points from the diamond to the box');
+        assertClose(Math.abs(collision.normal.y), Math.SQRT1_2, 1e-9, 'edge normal');
+        assertClose(collision.penetration, 10 - 4 * Math.SQRT1_2, 1e-9, 'penetration');
+    });
+    assert.deepStrictEqual(
+        [results[1].normal.x, results[1].normal.y, results[1].penetration],
+        [results[0].normal.x, results[0].normal.y, results[0].penetration],
+        'winding does not change the result'
+    );
+
+    box.position.x = 30;
+    box.updateBounds();
+    assert.strictEqual(physics.checkCollision(clockwise, box), null);
+
+    // 菱形的斜边与胶囊体的半圆端
+    const capsule = create({ type: 'capsule', radius: 5, height: 30 }, 7, -17);
+    const capsuleHit = physics.checkCollision(clockwise, capsule);
+    assert.ok(capsuleHit, 'diamond edge overlaps the capsule end');
+    assertClose(capsuleHit.normal.x, Math.SQRT1_2, 1e-9, 'edge normal x');
+    assertClose(capsuleHit.normal.y, -Math.SQRT1_2, 1e-9, 'edge normal y');
+    assertClose(capsuleHit.penetration, 5 - 4 * Math.SQRT1_2, 1e-9, 'capsule penetration');
+
+    assert.ok(physics.containsPoint(counterClockwise, new game.Vector2(4, 4)));
+    assert.ok(!physics.containsPoint(counterClockwise, new game.Vector2(8, 8)));
+
+    // 落在地面上的多边形停在顶点着地的位置
+    const ground = create({ type: 'rect', width: 200, height: 20 }, 0, 110);
+    const falling = physics.createBody({ shape: { type: 'polygon', vertices: DIAMOND.slice().reverse() }, position: new game.Vector2(0, 50) });
+    for (let i = 0; i < 240; i++) physics.update(1 / 60);
+    assertClose(falling.position.y, ground.bounds.top - 10, 1, 'diamond rests on its bottom vertex');
+    assertClose(falling.velocity.y, 0, 980 / 60, 'resting velocity stays within one step of gravity');
+    assert.deepStrictEqual(game.warnings, []);
+});
+
+test('polygon shapes are checked for convexity and wound clockwise at creation', () => {
+    const game = createGame();
+    const physics = new game.PhysicsEngine();
+    const polygon = vertices => physics.createBody({ type: 'static', shape: { type: 'polygon', vertices: vertices } });
+
+    const counterClockwise = DIAMOND.slice().reverse();
+    const normalized = polygon(counterClockwise);
+    assert.ok(game.CollisionShapes.getSignedArea(normalized.shape.vertices) > 0, 'wound clockwise');
+    assert.deepStrictEqual(counterClockwise[0], { x: -10, y: 0 }, 'caller vertices are not modified');
+    assert.deepStrictEqual(game.warnings, []);
+
+    // 凹的箭头改用凸包
+    const arrow = polygon([{ x: 0, y: 0 }, { x: 20, y: 10 }, { x: 0, y: 20 }, { x: 5, y: 10 }]);
+    assert.deepStrictEqual(Array.from(arrow.shape.vertices, vertex => [vertex.x, vertex.y]), [[0, 0], [20, 10], [0, 20]]);
+    assert.ok(game.CollisionShapes.getSignedArea(arrow.shape.vertices) > 0);
+    assert.ok(game.CollisionShapes.isConvex(arrow.shape.vertices));
+
+    // 自相交的“蝴蝶结”同样改用凸包
+    const bowtie = polygon([{ x: 0, y: 0 }, { x: 20, y: 20 }, { x: 20, y: 0 }, { x: 0, y: 20 }]);
+    assert.strictEqual(bowtie.shape.vertices.length, 4);
+    assert.ok(game.CollisionShapes.isConvex(bowtie.shape.vertices));
+
+    // 共线或不足三个顶点改用外接矩形
+    const line = polygon([{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 20, y: 0 }]);
+    assert.deepStrictEqual(Array.from(line.shape.vertices, vertex => [vertex.x, vertex.y]), [[0, 0], [20, 0], [20, 1], [0, 1]]);
+
+    assert.strictEqual(game.warnings.length, 3);
+    assert.ok(game.warnings[0].includes('convex hull'), game.warnings[0]);
+    assert.ok(game.warnings[2].includes('bounding box'), game.warnings[2]);
+});
+
+// ---------------------------------------------------------------------------
+// 触发器
+// ---------------------------------------------------------------------------
+
+test('removed bodies get no stale trigger stay or exit events', () => {
+    const game = createGame();
+    const physics = new game.PhysicsEngine({ sleepEnabled: false });
+    const zone = physics.createBody({
+        type: 'static',
+        isTrigger: true,
+        shape: { type: 'rect', width: 100, height: 100 },
+        position: new game.Vector2(0, 0)
+    });
+    const body = physics.createBody({
+        shape: { type: 'circle', radius: 5 },
+        position: new game.Vector2(0, 0),
+        useGravity: false
+    });
+
+    const events = [];
+    ['TRIGGER_ENTER', 'TRIGGER_STAY', 'TRIGGER_EXIT'].forEach(name => {
+        game.gameEventBus.on(game.GameEvents[name], event => events.push(`${name}:${event.other.id}`));
+    });
+
+    physics.update(1 / 60);
+    physics.update(1 / 60);
+    assert.deepStrictEqual(events, [`TRIGGER_ENTER:${body.id}`, `TRIGGER_STAY:${body.id}`]);
+    assert.ok(physics.isTouchingTrigger(zone, body));
+
+    events.length = 0;
+    physics.removeBody(body);
+    assert.ok(!physics.isTouchingTrigger(zone, body));
+
+    physics.update(1 / 60);
+    physics.update(1 / 60);
+    assert.deepStrictEqual(events, []);
+});
+
+// ---------------------------------------------------------------------------
+// 碰撞层
+// ---------------------------------------------------------------------------
+
+test('bullets notify on untyped terrain and players still collide with enemies', () => {
+    const game = createGame();
+    const physics = new game.PhysicsEngine({ sleepEnabled: false });
+    const events = [];
+    ['COLLISION_BULLET_TERRAIN', 'COLLISION_PLAYER_ENEMY'].forEach(name => {
+        game.gameEventBus.on(game.GameEvents[name], event => events.push(`${name}:${event.bodyA.id}:${event.bodyB.id}`));
+    });
+
+    const terrain = physics.createBody({
+        type: 'static',
+        shape: { type: 'rect', width: 40, height: 40 },
+        position: new game.Vector2(0, 0)
+    });
+    const bullet = physics.createBody({
+        shape: { type: 'circle', radius: 2 },
+        position: new game.Vector2(0, 0),
+        useGravity: false,
+        userData: { type: 'playerbullet' }
+    });
+    assert.strictEqual(terrain.layer, 'terrain');
+
+    physics.update(1 / 60);
+    assert.deepStrictEqual(events, [`COLLISION_BULLET_TERRAIN:${bullet.id}:${terrain.id}`]);
+    assert.strictEqual(bullet.position.x, 0);
+    assert.strictEqual(bullet.position.y, 0);
+    physics.removeBody(bullet);
+
+    events.length = 0;
+    const player = physics.createBody({
+        shape: { type: 'rect', width: 20, height: 20 },
+        position: new game.Vector2(200, 0),
+        useGravity: false,
+        userData: { type: 'player' }
+    });
+    const enemy = physics.createBody({
+        shape: { type: 'rect', width: 20, height: 20 },
+        position: new game.Vector2(210, 0),
+        useGravity: false,
+        userData: { type: 'enemy' }
+    });
+
+    physics.update(1 / 60);
+    assert.deepStrictEqual(events, [`COLLISION_PLAYER_ENEMY:${player.id}:${enemy.id}`]);
+    assert.ok(enemy.position.x - player.position.x > 10, 'player and enemy are pushed apart');
+});
+
+test('enemy bullets hit the player, not enemies, and plain bullets need a layer', () => {
+    const game = createGame();
+    const physics = new game.PhysicsEngine({ sleepEnabled: false });
+    const events = [];
+    ['COLLISION_BULLET_ENEMY', 'COLLISION_ENEMY_BULLET_PLAYER'].forEach(name => {
+        game.gameEventBus.on(game.GameEvents[name], () => events.push(name));
+    });
+    const body = (x, type) => physics.createBody({
+        shape: { type: 'rect', width: 20, height: 20 },
+        position: new game.Vector2(x, 0),
+        useGravity: false,
+        userData: { type: type }
+    });
+
+    body(0, 'enemy');
+    const bullet = body(0, 'enemybullet');
+    assert.strictEqual(bullet.layer, 'enemyBullet');
+    physics.update(1 / 60);
+    assert.deepStrictEqual(events, []);
+
+    body(200, 'player');
+    body(200, 'enemybullet');
+    physics.update(1 / 60);
+    assert.deepStrictEqual(events, ['COLLISION_ENEMY_BULLET_PLAYER']);
+
+    const plain = body(400, 'bullet');
+    assert.strictEqual(plain.layer, null);
+    assert.ok(game.warnings.some(message => message.includes('needs an explicit collision layer')));
+});
+
+test('moving platforms without a layer use the configured static layer', () => {
+    const game = createGame();
+    const config = {
+        ...game.CollisionConfig,
+        layers: game.CollisionConfig.layers.concat('ground'),
+        staticLayer: 'ground'
+    };
+    const physics = new game.PhysicsEngine({ collisionConfig: config });
+    const platform = new game.Entity(0, 0, { width: 80, height: 16 });
+    platform.setPhysicsBody(physics, { type: 'kinematic' });
+    platform.addComponent('platform', new game.MovingPlatform({ physics: physics, waypoints: [{ x: 0, y: 0 }] }));
+
+    assert.strictEqual(platform.physicsBody.layer, 'ground');
+});
+
+// ---------------------------------------------------------------------------
+// 单向平台
+// ---------------------------------------------------------------------------
+
+// 顶面在 y = 100 的单向平台和顶面在 y = 300 的实心地面，玩家（20x20 动态物体）从 (0, startY) 开始
+// 玩家使用不反弹的泥地材质，每次落地只发送一次平台事件
+function createLedge(game, startY, velocityY = 0) {
+    const physics = new game.PhysicsEngine({ sleepEnabled: false });
+    const ledge = physics.createBody({
+        type: 'static',
+        oneWay: true,
+        shape: { type: 'rect', width: 200, height: 10 },
+        position: new game.Vector2(0, 105)
+    });
+    const ground = physics.createBody({
+        type: 'static',
+        shape: { type: 'rect', width: 400, height: 20 },
+        position: new game.Vector2(0, 310)
+    });
+    const player = physics.createBody({
+        shape: { type: 'rect', width: 20, height: 20 },
+        position: new game.Vector2(0, startY),
+        velocity: new game.Vector2(0, velocityY),
+        linearDamping: 0,
+        material: 'mud',
+        userData: { type: 'player' }
+    });
+
+    const landings = [];
+    game.gameEventBus.on(game.GameEvents.COLLISION_PLAYER_PLATFORM, event => landings.push(event));
+    return { physics, ledge, ground, player, landings };
+}
+
+test('one-way platforms only collide from the top face', () => {
+    const game = createGame();
+    const { physics, ledge, player, landings } = createLedge(game, 50);
+
+    for (let i = 0; i < 60; i++) physics.update(1 / 60);
+    assertClose(player.bounds.bottom, ledge.bounds.top, 0.5, 'lands on the top face');
+    assert.strictEqual(physics.getPlatformUnder(player), ledge);
+    assert.strictEqual(landings.length, 1);
+    assert.strictEqual(landings[0].bodyA, player);
+    assert.strictEqual(landings[0].bodyB, ledge);
+    assert.strictEqual(landings[0].platformType, 'oneWay');
+
+    // 从下方跳起穿过平台，落回顶面
+    const below = createLedge(createGame(), 150, -600);
+    let passedThrough = false;
+    for (let i = 0; i < 90; i++) {
+        below.physics.update(1 / 60);
+        if (below.player.bounds.bottom < below.ledge.bounds.top) passedThrough = true;
+    }
+    assert.ok(passedThrough, 'jumped up through the ledge');
+    assertClose(below.player.bounds.bottom, below.ledge.bounds.top, 0.5, 'lands back on the ledge');
+    assert.strictEqual(below.landings.length, 1);
+    assert.strictEqual(below.landings[0].platformType, 'oneWay');
+});
+
+test('drop-through ignores one-way platforms but not solid ground', () => {
+    const game = createGame();
+    const { physics, ledge, ground, player, landings } = createLedge(game, 50);
+    for (let i = 0; i < 60; i++) physics.update(1 / 60);
+    assert.strictEqual(physics.getPlatformUnder(player), ledge);
+
+    physics.dropThrough(player);
+    for (let i = 0; i < 60; i++) physics.update(1 / 60);
+    assertClose(player.bounds.bottom, ground.bounds.top, 0.5, 'dropped onto the ground');
+    assert.strictEqual(player.oneWayIgnoreTime, 0, 'ignore time ran out');
+    assert.deepStrictEqual(landings.map(event => event.platformType), ['oneWay', 'solid']);
+    assert.strictEqual(landings[1].bodyB, ground);
+    assert.deepStrictEqual(game.warnings, []);
+});
+
+// ---------------------------------------------------------------------------
+// 角色控制器
+// ---------------------------------------------------------------------------
+
+// 顶面在 y = 300 的地面（bodies 中的其他静态物体一起创建），以及站在 (x, 284) 的 20x32 玩家实体
+function createControllerWorld(game, x = 0, bodies = []) {
+    const physics = new game.PhysicsEngine({ sleepEnabled: false });
+    const ground = physics.createBody({
+        type: 'static',
+        shape: { type: 'rect', width: 400, height: 40 },
+        position: new game.Vector2(0, 320)
+    });
+    const statics = bodies.map(options => physics.createBody({ type: 'static', ...options }));
+
+    const player = new game.Entity(x, 284, { width: 20, height: 32 });
+    player.setPhysicsBody(physics, { type: 'kinematic', useGravity: false });
+    const controller = player.addComponent('controller', new game.CharacterController({ stepDistance: 0 }));
+    const step = (frames = 1) => {
+        for (let i = 0; i < frames; i++) {
+            player.update(1 / 60);
+            physics.update(1 / 60);
+        }
+    };
+    return { physics, ground, statics, player, controller, step };
+}
+
+test('character controller reports ground, walls and ceilings', () => {
+    const game = createGame();
+    const { ground, statics, player, controller, step } = createControllerWorld(game, 0, [
+        { shape: { type: 'rect', width: 20, height: 200 }, position: new game.Vector2(100, 200) }
+    ]);
+    const [wall] = statics;
+
+    assert.strictEqual(controller.physics, player.physics, 'component uses the entity physics');
+    step();
+    assert.ok(controller.isGrounded);
+    assert.ok(controller.standingOn(ground));
+    assert.strictEqual(controller.groundNormal.y, -1);
+
+    controller.setMoveInput(1);
+    step(60);
+    assert.strictEqual(controller.touchingWall, 1);
+    assertClose(player.physicsBody.bounds.right, wall.bounds.left, 0.1, 'stopped at the wall');
+    assert.strictEqual(controller.velocity.x, 0);
+    assert.ok(controller.isGrounded && player.position.y === 284, 'still standing');
+
+    // 撞到低矮天花板时速度归零并落回地面
+    const low = createControllerWorld(createGame(), 0, [
+        { shape: { type: 'rect', width: 200, height: 20 }, position: new game.Vector2(0, 230) }
+    ]);
+    const ceiling = low.statics[0];
+    low.controller.jump();
+    let bumped = false;
+    for (let i = 0; i < 60; i++) {
+        low.step();
+        bumped = bumped || low.controller.touchingCeiling;
+        assert.ok(low.player.physicsBody.bounds.top >= ceiling.bounds.bottom - 1e-6, 'never passes the ceiling');
+    }
+    assert.ok(bumped, 'bumped the ceiling');
+    assert.ok(low.controller.isGrounded, 'landed again');
+});
+
+test('character controller jumps with variable height and coyote time', () => {
+    const apex = release => {
+        const { player, controller, step } = createControllerWorld(createGame());
+        step();
+        controller.jump();
+        let top = player.position.y;
+        for (let i = 0; i < 90; i++) {
+            if (i === release) controller.releaseJump();
+            step();
+            top = Math.min(top, player.position.y);
+        }
+        assert.ok(controller.isGrounded, 'landed');
+        return 284 - top;
+    };
+    const full = apex(-1);
+    const short = apex(4);
+    assertClose(full, 520 * 520 / (2 * 980), 10, 'full jump height');
+    assert.ok(short < full / 2, `released jump is lower (${short} vs ${full})`);
+
+    // 走出平台边缘后，土狼时间内仍可起跳，超过后不能
+    const leaveLedge = framesAfter => {
+        const game = createGame();
+        const { physics, ground, controller, step } = createControllerWorld(game, 185);
+        physics.removeBody(ground);
+        physics.createBody({ type: 'static', shape: { type: 'rect', width: 100, height: 40 }, position: new game.Vector2(150, 320) });
+        step();
+        controller.setMoveInput(1);
+        while (controller.isGrounded) step();
+        controller.setMoveInput(0);
+        step(framesAfter);
+        controller.jump();
+        step();
+        return controller.velocity.y;
+    };
+    assert.ok(leaveLedge(2) < -400, 'coyote jump');
+    assert.ok(leaveLedge(12) > 0, 'too late to jump');
+});
+
+test('character controller walks up slopes along the ground normal', () => {
+    const game = createGame();
+    const { player, controller, statics, step } = createControllerWorld(game, -150, [
+        {
+            shape: { type: 'polygon', vertices: [{ x: -100, y: 0 }, { x: 100, y: -100 }, { x: 100, y: 0 }] },
+            position: new game.Vector2(0, 300)
+        }
+    ]);
+    const [ramp] = statics;
+
+    controller.setMoveInput(1);
+    step(45);
+    assert.ok(controller.standingOn(ramp), 'standing on the ramp');
+    assertClose(controller.groundNormal.x, -1 / Math.sqrt(5), 1e-6, 'slope normal x');
+    assertClose(controller.groundNormal.y, -2 / Math.sqrt(5), 1e-6, 'slope normal y');
+    assert.ok(player.position.y < 270, `climbed the slope (y = ${player.position.y})`);
+    assert.strictEqual(controller.touchingWall, 0);
+    assert.deepStrictEqual(game.warnings, []);
+});
+
+// ---------------------------------------------------------------------------
+// 材质
+// ---------------------------------------------------------------------------
+
+test('named materials are looked up and combined per property rule', () => {
+    const game = createGame();
+    const physics = new game.PhysicsEngine();
+    const body = material => ({ material: material });
+    const combine = (a, b) => physics.combineMaterials(body(a), body(b));
+
+    assert.strictEqual(physics.getMaterial(body('ice')).name, 'ice');
+    assert.strictEqual(physics.getMaterial(body('lava')).name, 'default', 'unknown names fall back to default');
+    const custom = { name: 'rubber', friction: 0.7, restitution: 0.6 };
+    assert.strictEqual(physics.getMaterial(body(custom)), custom);
+
+    // 引擎默认规则：摩擦取几何平均，反弹取最小值
+    assertClose(combine('default', 'metal').friction, Math.sqrt(0.3 * 0.4), 1e-12, 'geometric friction');
+    assertClose(combine('default', 'metal').restitution, 0.2, 1e-12, 'min restitution');
+    // 材质规则覆盖默认规则，两个规则不同时优先级高的生效（average < geometric < min < multiply < max）
+    assertClose(combine('default', 'bouncy').restitution, 0.9, 1e-12, 'bouncy max restitution');
+    assertClose(combine('ice', 'metal').friction, 0.05, 1e-12, 'ice min friction');
+    assertClose(combine('ice', 'sticky').friction, 0.9, 1e-12, 'max beats min');
+
+    physics.registerMaterial('grating', { friction: 0.5, frictionCombine: 'multiply' });
+    assertClose(combine('grating', 'default').friction, 0.15, 1e-12, 'multiply friction');
+    assertClose(combine('grating', 'ice').friction, 0.025, 1e-12, 'multiply beats min');
+    physics.registerMaterial('broken', { frictionCombine: 'median' });
+    assert.ok(game.warnings.some(message => message.includes("Unknown frictionCombine rule 'median'")));
+    assert.strictEqual(physics.getMaterial(body('broken')).frictionCombine, null);
+
+    // 反弹系数影响落地反弹
+    const bounce = floorMaterial => {
+        const world = new game.PhysicsEngine({ sleepEnabled: false });
+        world.createBody({ type: 'static', shape: { type: 'rect', width: 200, height: 20 }, position: new game.Vector2(0, 110), material: floorMaterial });
+        const ball = world.createBody({ shape: { type: 'circle', radius: 10 }, position: new game.Vector2(0, 0), linearDamping: 0 });
+        let upward = 0;
+        for (let i = 0; i < 60; i++) {
+            world.update(1 / 60);
+            upward = Math.max(upward, -ball.velocity.y);
+        }
+        return upward;
+    };
+    assert.ok(bounce('bouncy') > 3 * bounce('default'), `bouncy ${bounce('bouncy')} vs default ${bounce('default')}`);
+});
+
+test('contacts report the surface material to landings, queries and the character controller', () => {
+    const game = createGame();
+    const physics = new game.PhysicsEngine({ sleepEnabled: false });
+    const floor = (x, material) => physics.createBody({
+        type: 'static', shape: { type: 'rect', width: 400, height: 40 }, position: new game.Vector2(x, 320), material: material
+    });
+    floor(0, 'ice');
+    floor(1000, 'mud');
+    floor(2000, 'default');
+
+    const landings = [];
+    game.gameEventBus.on(game.GameEvents.COLLISION_PLAYER_PLATFORM, event => landings.push(event.material.name));
+    const falling = physics.createBody({
+        shape: { type: 'rect', width: 20, height: 20 },
+        position: new game.Vector2(0, 250),
+        userData: { type: 'player' }
+    });
+    for (let i = 0; i < 30; i++) physics.update(1 / 60);
+    assert.strictEqual(landings[0], 'ice');
+    assert.strictEqual(physics.getGroundMaterial(falling).name, 'ice');
+    physics.removeBody(falling);
+
+    assert.strictEqual(physics.raycastClosest(new game.Vector2(1000, 0), new game.Vector2(0, 1)).material.name, 'mud');
+
+    // 冰面加速慢，泥地限制最高速度
+    const walk = (x, frames) => {
+        const player = new game.Entity(x, 284, { width: 20, height: 32 });
+        player.setPhysicsBody(physics, { type: 'kinematic', useGravity: false });
+        const controller = player.addComponent('controller', new game.CharacterController({ stepDistance: 0 }));
+        player.update(1 / 60);
+        controller.setMoveInput(1);
+        for (let i = 0; i < frames; i++) player.update(1 / 60);
+        player.destroy();
+        return controller;
+    };
+    const onIce = walk(0, 3);
+    const onGround = walk(2000, 3);
+    assert.strictEqual(onIce.groundMaterial.name, 'ice');
+    assertClose(onIce.velocity.x, onGround.velocity.x * 0.15, 1e-6, 'ice traction');
+
+    const onMud = walk(1000, 60);
+    assert.strictEqual(onMud.groundMaterial.name, 'mud');
+    assertClose(onMud.velocity.x, 220 * 0.55, 1e-6, 'mud speed');
+});
+
+// ---------------------------------------------------------------------------
+// 连续碰撞检测
+// ---------------------------------------------------------------------------
+
+// 以 6000 像素/秒（每步 100 像素）射向 4 像素厚的目标的高速物体，两步后会越过目标
+// 默认是玩家子弹（命中只通知），options.type 为 null 时是 default 层的实心物体
+function fireAtThinTarget(game, options = {}) {
+    const physics = new game.PhysicsEngine({ sleepEnabled: false });
+    const target = physics.createBody({
+        type: options.targetType || 'static',
+        shape: { type: 'rect', width: 4, height: 100 },
+        position: new game.Vector2(100, 0),
+        useGravity: false,
+        userData: options.targetType ? { type: 'enemy' } : null
+    });
+    const type = options.type !== undefined ? options.type : 'playerbullet';
+    const bullet = physics.createBody({
+        shape: { type: 'circle', radius: 2 },
+        position: new game.Vector2(-30, 0),
+        velocity: new game.Vector2(6000, 0),
+        useGravity: false,
+        linearDamping: 0,
+        bullet: options.bullet !== false,
+        userData: type ? { type: type } : null
+    });
+
+    const events = [];
+    ['COLLISION_BULLET_TERRAIN', 'COLLISION_BULLET_ENEMY'].forEach(name => {
+        game.gameEventBus.on(game.GameEvents[name], event => events.push({ name: name, ...event }));
+    });
+
+    physics.update(1 / 60);
+    physics.update(1 / 60);
+    return { physics, target, bullet, events };
+}
+
+test('bullet bodies stop at thin walls instead of tunnelling', () => {
+    const { target, bullet } = fireAtThinTarget(createGame(), { type: null });
+    assertClose(bullet.position.x, target.bounds.left - 2, 1e-6, 'swept body stops at the wall face');
+    assert.ok(bullet.velocity.x <= 0, `no longer moving into the wall (${bullet.velocity.x})`);
+
+    // 未开启 bullet 的同样物体会穿过去
+    const discrete = fireAtThinTarget(createGame(), { type: null, bullet: false });
+    assertClose(discrete.bullet.position.x, 170, 1e-6, 'discrete body tunnelled');
+});
+
+test('swept bullet hits report time of impact and feed the bullet events', () => {
+    const game = createGame();
+    const { target, bullet, events } = fireAtThinTarget(game);
+    assert.deepStrictEqual(events.map(event => event.name), ['COLLISION_BULLET_TERRAIN']);
+    assert.strictEqual(events[0].bodyB, target);
+    assert.ok(events[0].collision.continuous);
+    assertClose(events[0].collision.timeOfImpact, 0.26, 1e-6, 'time of impact');
+    assertClose(events[0].collision.normal.x, 1, 1e-9, 'normal points from the bullet to the wall');
+    assertClose(bullet.position.x, 170, 1e-6, 'notify hits do not stop the bullet');
+
+    const enemy = fireAtThinTarget(createGame(), { targetType: 'dynamic' });
+    assert.deepStrictEqual(enemy.events.map(event => event.name), ['COLLISION_BULLET_ENEMY']);
+    assert.strictEqual(enemy.events[0].bodyA, enemy.bullet);
+    assert.strictEqual(enemy.events[0].bodyB, enemy.target);
+    assertClose(enemy.events[0].collision.timeOfImpact, 0.26, 1e-6, 'enemy time of impact');
+
+    assert.strictEqual(fireAtThinTarget(createGame(), { bullet: false }).events.length, 0, 'discrete bullets miss');
+    assert.deepStrictEqual(game.warnings, []);
+});
+
+// ---------------------------------------------------------------------------
+// 空间查询
+// ---------------------------------------------------------------------------
+
+test('raycasts hit every shape with surface normals, including axis-aligned rays', () => {
+    const game = createGame();
+    const physics = new game.PhysicsEngine();
+    const create = (x, shape, options = {}) => physics.createBody({
+        type: 'static', shape: shape, position: new game.Vector2(x, 0), ...options
+    });
+    const down = new game.Vector2(0, 1);
+    const cast = x => physics.raycastClosest(new game.Vector2(x, -100), down);
+
+    const cases = [
+        { body: create(0, { type: 'rect', width: 20, height: 20 }), x: 0, distance: 90, normal: [0, -1] },
+        { body: create(100, { type: 'circle', radius: 10 }), x: 100, distance: 90, normal: [0, -1] },
+        { body: create(200, { type: 'polygon', vertices: DIAMOND }), x: 205, distance: 95, normal: [Math.SQRT1_2, -Math.SQRT1_2] },
+        { body: create(300, { type: 'capsule', radius: 5, height: 30 }), x: 300, distance: 85, normal: [0, -1] },
+        {
+            body: create(400, { type: 'rect', width: 20, height: 20 }, { rotation: Math.PI / 4 }),
+            x: 405,
+            distance: 100 - (10 * Math.SQRT2 - 5),
+            normal: [Math.SQRT1_2, -Math.SQRT1_2]
+        }
+    ];
+    physics.updateSpatialHash();
+
+    cases.forEach(({ body, x, distance, normal }) => {
+        const hit = cast(x);
+        const label = body.shape.type + (body.rotation ? ' (rotated)' : '');
+        assert.ok(hit, `${label} is hit`);
+        assert.strictEqual(hit.body, body, label);
+        assertClose(hit.distance, distance, 1e-6, `${label} distance`);
+        assertClose(hit.point.y, distance - 100, 1e-6, `${label} point`);
+        assertClose(hit.normal.x, normal[0], 1e-6, `${label} normal x`);
+        assertClose(hit.normal.y, normal[1], 1e-6, `${label} normal y`);
+        assert.strictEqual(hit.material.name, 'default');
+    });
+
+    // 水平射线、起点在形状内部时不算命中
+    const sideways = physics.raycastClosest(new game.Vector2(-50, 0), new game.Vector2(1, 0));
+    assert.strictEqual(sideways.body, cases[0].body);
+    assertClose(sideways.distance, 40, 1e-6, 'horizontal ray distance');
+    assert.strictEqual(physics.raycast(new game.Vector2(100, 0), down).length, 0);
+    assert.deepStrictEqual(game.warnings, []);
+});
+
+test('raycasts honour layer masks and max distance and sort every hit', () => {
+    const game = createGame();
+    const physics = new game.PhysicsEngine();
+    const enemy = physics.createBody({
+        shape: { type: 'rect', width: 20, height: 20 },
+        position: new game.Vector2(100, 0),
+        userData: { type: 'enemy' }
+    });
+    const wall = physics.createBody({
+        type: 'static',
+        shape: { type: 'rect', width: 20, height: 20 },
+        position: new game.Vector2(200, 0)
+    });
+    physics.updateSpatialHash();
+
+    const origin = new game.Vector2(0, 0);
+    const right = new game.Vector2(1, 0);
+    assert.deepStrictEqual(Array.from(physics.raycast(origin, right), hit => [hit.body.id, hit.distance]), [[enemy.id, 90], [wall.id, 190]]);
+    assert.strictEqual(physics.raycastClosest(origin, right, Infinity, 'terrain').body, wall);
+    assert.strictEqual(physics.raycastClosest(origin, right, Infinity, ['enemy', 'player']).body, enemy);
+    assert.deepStrictEqual(Array.from(physics.raycast(origin, right, 150), hit => hit.body), [enemy]);
+    assert.strictEqual(physics.raycastClosest(origin, right, 50), null);
+    assert.strictEqual(physics.raycastClosest(origin, right, Infinity, 0xFFFFFFFF, { filter: body => body !== enemy }).body, wall);
+});
+
+test('infinite rays only visit broadphase cells along the ray', () => {
+    const game = createGame();
+    const physics = new game.PhysicsEngine();
+
+    for (let i = 0; i < 500; i++) {
+        physics.createBody({
+            type: 'static',
+            shape: { type: 'rect', width: 10, height: 10 },
+            position: new game.Vector2((i % 25) * 40, 200 + Math.floor(i / 25) * 40)
+        });
+    }
+    const far = physics.createBody({
+        type: 'static',
+        shape: { type: 'circle', radius: 10 },
+        position: new game.Vector2(5000, 0)
+    });
+    physics.updateSpatialHash();
+
+    // 射线查询不应遍历全部物体
+    physics.bodies.forEach = () => { throw new Error('raycast iterated every body'); };
+    physics.bodies.values = physics.bodies.forEach;
+
+    const closest = physics.raycastClosest(new game.Vector2(0, 0), new game.Vector2(1, 0));
+    assert.strictEqual(closest.body, far);
+    assertClose(closest.distance, 4990, 1e-6, 'hit distance');
+
+    const hits = physics.raycast(new game.Vector2(0, 0), new game.Vector2(1, 0));
+    assert.strictEqual(hits.length, 1);
+
+    assert.strictEqual(physics.raycastClosest(new game.Vector2(0, 0), new game.Vector2(-1, 0)), null);
+});
+
+// ---------------------------------------------------------------------------
+// 调试绘制
+// ---------------------------------------------------------------------------
+
+test('debug overlays draw the injected physics world per toggle', () => {
+    const game = createGame();
+    const physics = new game.PhysicsEngine({ debugRender: true });
+    physics.createBody({
+        shape: { type: 'rect', width: 20, height: 20 },
+        position: new game.Vector2(100, 100),
+        velocity: new game.Vector2(50, 0),
+        useGravity: false
+    });
+    physics.createBody({
+        shape: { type: 'circle', radius: 10 },
+        position: new game.Vector2(-100, 100),
+        useGravity: false
+    });
+
+    const renderer = new game.Renderer(null);
+    const queue = () => renderer.layers.get(game.PhysicsDebugDraw.LAYER).renderQueue;
+    const draw = () => {
+        renderer.beginFrame();
+        renderer.queueDebugOverlays();
+        return Array.from(queue(), command => command.type);
+    };
+
+    renderer.setDebugOption('showColliders', true);
+    assert.deepStrictEqual(draw(), [], 'nothing is drawn without a physics engine');
+
+    renderer.setPhysics(physics);
+    assert.deepStrictEqual(draw(), ['rect', 'circle', 'line']);
+
+    assert.strictEqual(renderer.toggleDebugOption('showVelocities'), true);
+    assert.deepStrictEqual(draw(), ['rect', 'circle', 'line', 'line']);
+
+    renderer.toggleDebugOption('showColliders');
+    assert.deepStrictEqual(draw(), ['line']);
+
+    physics.debugRender = false;
+    assert.deepStrictEqual(draw(), []);
+});
+
+// ---------------------------------------------------------------------------
+// 休眠
+// ---------------------------------------------------------------------------
+
+// 静止在地面上的箱子，步进到它休眠
+function createSleepingBox(game) {
+    const physics = new game.PhysicsEngine();
+    const ground = physics.createBody({
+        type: 'static',
+        shape: { type: 'rect', width: 400, height: 20 },
+        position: new game.Vector2(0, 100)
+    });
+    const box = physics.createBody({
+        shape: { type: 'rect', width: 20, height: 20 },
+        position: new game.Vector2(0, 80)
+    });
+
+    for (let i = 0; i < 60; i++) physics.update(1 / 60);
+    return { physics, ground, box };
+}
+
+test('resting bodies fall asleep and wake on impulse', () => {
+    const game = createGame();
+    const { physics, box } = createSleepingBox(game);
+
+    assert.ok(box.isSleeping, 'box sleeps after resting');
+    assert.strictEqual(physics.getStats().sleepingBodies, 1);
+
+    const y = box.position.y;
+    physics.update(1 / 60);
+    assert.strictEqual(box.position.y, y, 'sleeping bodies do not move');
+
+    box.applyImpulse(new game.Vector2(0, -100));
+    assert.ok(!box.isSleeping, 'impulse wakes the box');
+    physics.update(1 / 60);
+    assert.ok(box.position.y < y, 'woken box moves');
+});
+
+test('removing or disabling a support wakes the bodies resting on it', () => {
+    const game = createGame();
+
+    const removed = createSleepingBox(game);
+    assert.ok(removed.box.isSleeping);
+    removed.physics.removeBody(removed.ground);
+    assert.ok(!removed.box.isSleeping, 'removing the ground wakes the box');
+    const y = removed.box.position.y;
+    removed.physics.update(1 / 60);
+    assert.ok(removed.box.position.y > y, 'box falls after the ground is removed');
+
+    const disabled = createSleepingBox(game);
+    disabled.ground.enabled = false;
+    disabled.physics.update(1 / 60);
+    assert.ok(!disabled.box.isSleeping, 'disabling the ground wakes the box');
+    disabled.physics.update(1 / 60);
+    assert.ok(disabled.box.position.y > y, 'box falls after the ground is disabled');
+});
+
+test('a body pinned to a moving kinematic anchor wakes up', () => {
+    const game = createGame();
+    const physics = new game.PhysicsEngine();
+    const anchor = physics.createBody({
+        type: 'kinematic',
+        shape: { type: 'rect', width: 10, height: 10 },
+        position: new game.Vector2(0, 0)
+    });
+    const body = physics.createBody({
+        shape: { type: 'rect', width: 10, height: 10 },
+        position: new game.Vector2(0, 30)
+    });
+    physics.createConstraint('pin', body, anchor, { anchorB: new game.Vector2(0, 30) });
+
+    for (let i = 0; i < 60; i++) physics.update(1 / 60);
+    assert.ok(body.isSleeping, 'pinned body sleeps while the anchor is still');
+
+    anchor.velocity.set(60, 0);
+    for (let i = 0; i < 10; i++) physics.update(1 / 60);
+    assert.ok(!body.isSleeping, 'moving anchor wakes the pinned body');
+    assertClose(body.position.x, anchor.position.x, 1e-6, 'pinned body follows the anchor');
+});
+
+// ---------------------------------------------------------------------------
+// 存档
+// ---------------------------------------------------------------------------
+
+// 创建含地面、玩家（角色控制器）和移动平台的世界，物理引擎和世界都注册为引擎系统
+function createSaveScene(game) {
+    const physics = new game.PhysicsEngine({ sleepEnabled: false });
+    const world = new game.World();
+
+    game.engine.registerSystem('physics', physics, 10);
+    game.engine.registerSystem('world', world, 20);
+
+    const ground = world.add(new game.Entity(0, 320, { width: 2000, height: 40 }));
+    ground.setPhysicsBody(physics, { type: 'static' });
+
+    const player = world.add(new game.Entity(0, 284, { width: 20, height: 32 }));
+    player.setPhysicsBody(physics, { type: 'kinematic', useGravity: false });
+    player.addComponent('controller', new game.CharacterController({ physics: physics }));
+
+    const platform = world.add(new game.Entity(300, 200, { width: 80, height: 16 }));
+    platform.setPhysicsBody(physics, { type: 'kinematic' });
+    platform.addComponent('platform', new game.MovingPlatform({
+        physics: physics,
+        waypoints: [{ x: 0, y: 0 }, { x: 200, y: 0 }],
+        relative: true
+    }));
+
+    return { physics, world };
+}
+
+// 地面上的一排箱子（会休眠）、两个用距离约束连接的箱子，以及站在平台上的玩家
+function createRestingScene(game) {
+    const physics = new game.PhysicsEngine();
+    const box = (x, y, options = {}) => physics.createBody({
+        shape: { type: 'rect', width: 20, height: 20 },
+        position: new game.Vector2(x, y),
+        ...options
+    });
+
+    physics.createBody({
+        type: 'static',
+        shape: { type: 'rect', width: 1000, height: 20 },
+        position: new game.Vector2(0, 100)
+    });
+    for (let i = 0; i < 4; i++) box(-200 + i * 30, 80);
+
+    const linkedA = box(100, 80);
+    const linkedB = box(140, 80);
+    physics.createConstraint('distance', linkedA, linkedB, { length: 40 });
+
+    box(250, 80, { userData: { type: 'player' } });
+    physics.updateSpatialHash();
+
+    return physics;
+}
+
+test('physics restore resumes exactly with sleeping constraints and platform contacts', () => {
+    const original = createGame();
+    const physics = createRestingScene(original);
+    for (let i = 0; i < 120; i++) physics.update(1 / 60);
+
+    const saved = physics.serialize();
+    assert.ok(Array.from(physics.bodies.values()).some(body => body.isSleeping), 'scene should have sleeping bodies');
+    assert.strictEqual(saved.platformContacts.length, 7);
+
+    const resumed = createGame();
+    const restored = new resumed.PhysicsEngine();
+    restored.restore(JSON.parse(JSON.stringify(saved)));
+    assert.strictEqual(JSON.stringify(restored.serialize()), JSON.stringify(saved));
+
+    let landings = 0;
+    resumed.gameEventBus.on(resumed.GameEvents.COLLISION_PLAYER_PLATFORM, () => landings++);
+
+    for (let i = 0; i < 60; i++) {
+        physics.update(1 / 60);
+        restored.update(1 / 60);
+    }
+
+    assert.strictEqual(JSON.stringify(restored.serialize()), JSON.stringify(physics.serialize()));
+    assert.strictEqual(landings, 0, 'restored player should not land again');
+});
+
+test('save, load and step keeps the player and platforms moving', () => {
+    const game = createGame();
+    const { physics, world } = createSaveScene(game);
+    const saveManager = new game.SaveManager(game.engine, { physics: physics });
+
+    game.engine.start();
+    game.engine.step(30);
+
+    const json = saveManager.exportJSON();
+    game.warnings.length = 0;
+    const entities = saveManager.restoreSnapshot(json);
+
+    assert.strictEqual(entities.length, 3);
+    assert.deepStrictEqual(game.warnings, []);
+
+    const player = world.getEntities().find(entity => entity.getComponent('controller'));
+    const platform = world.getEntities().find(entity => entity.getComponent('platform'));
+    const controller = player.getComponent('controller');
+
+    assert.strictEqual(controller.body, player.physicsBody);
+    assert.strictEqual(platform.getComponent('platform').body, platform.physicsBody);
+    assert.strictEqual(player.physicsBody.userData.entity, player);
+
+    const playerX = player.physicsBody.position.x;
+    const platformX = platform.physicsBody.position.x;
+
+    controller.setMoveInput(1);
+    game.engine.step(30);
+
+    assert.ok(player.physicsBody.position.x > playerX + 10, 'player moves after loading');
+    assert.ok(controller.isGrounded, 'player stays on the ground');
+    assert.ok(platform.physicsBody.position.x > platformX, 'platform moves after loading');
+    assert.deepStrictEqual(game.warnings, []);
+});
+
+test('loading does not leave bodies created by entity constructors in the physics world', () => {
+    const game = createGame();
+    const physics = new game.PhysicsEngine({ sleepEnabled: false });
+    const world = new game.World();
+    game.engine.registerSystem('physics', physics, 10);
+    game.engine.registerSystem('world', world, 20);
+
+    class Runner extends game.Entity {
+        initialize() {
+            this.setPhysicsBody(physics, { type: 'kinematic', useGravity: false });
+            this.addComponent('controller', new game.CharacterController({ physics: physics }));
+        }
+    }
+    game.EntityTypes.register('Runner', Runner);
+
+    const ground = world.add(new game.Entity(0, 320, { width: 2000, height: 40 }));
+    ground.setPhysicsBody(physics, { type: 'static' });
+    world.add(new Runner(0, 284));
+
+    const saveManager = new game.SaveManager(game.engine, { physics: physics });
+    game.engine.start();
+    game.engine.step(10);
+
+    const json = saveManager.exportJSON();
+    const bodyIds = Array.from(physics.bodies.keys()).sort();
+    saveManager.restoreSnapshot(json);
+
+    assert.deepStrictEqual(Array.from(physics.bodies.keys()).sort(), bodyIds);
+    const runner = world.getEntities().find(entity => entity instanceof Runner);
+    assert.strictEqual(physics.bodies.get(runner.physicsBody.id), runner.physicsBody);
+    assert.strictEqual(runner.getComponent('controller').body, runner.physicsBody);
+
+    game.engine.step(10);
+    assert.deepStrictEqual(Array.from(physics.bodies.keys()).sort(), bodyIds);
+});
+
+// ---------------------------------------------------------------------------
+// 动画
+// ---------------------------------------------------------------------------
+
+// 包含玩家默认片段所有帧的图集（每帧 32x32）
+function createPlayerSheet(game) {
+    const sprites = new Map();
+    Object.values(game.Animator.PLAYER_CLIPS).forEach(clip => {
+        clip.frames.forEach(frame => {
+            const name = typeof frame === 'string' ? frame : frame.sprite;
+            sprites.set(name, { x: sprites.size * 32, y: 0, width: 32, height: 32, offsetX: 0, offsetY: 0 });
+        });
+    });
+    return { image: { width: sprites.size * 32, height: 32 }, sprites: sprites };
+}
+
+test('player animator switches between the Contra states', () => {
+    const game = createGame();
+    const player = new game.Entity(0, 0);
+    const animator = player.addComponent('animator', game.Animator.createPlayer(createPlayerSheet(game)));
+    const step = (parameters, frames = 1) => {
+        Object.entries(parameters).forEach(([name, value]) => animator.setParameter(name, value));
+        for (let i = 0; i < frames; i++) player.update(1 / 60);
+        return animator.state;
+    };
+
+    assert.strictEqual(animator.state, 'idle');
+    assert.strictEqual(step({ speed: 200 }), 'run');
+    assert.strictEqual(step({ aim: 'diagonal' }), 'run-diagonal');
+    assert.strictEqual(step({ speed: 0 }), 'aim-diagonal');
+    assert.strictEqual(step({ aim: 'up', speed: 200 }), 'run');
+    assert.strictEqual(step({ speed: 0 }), 'aim-up');
+    assert.strictEqual(step({ aim: 'none', prone: true }), 'prone');
+    assert.strictEqual(step({ prone: false, grounded: false }), 'jump');
+    assert.strictEqual(step({ grounded: true }), 'idle');
+    assert.strictEqual(step({ dead: true }, 60), 'die');
+    assert.ok(animator.finished);
+    assert.strictEqual(player.sprite.x, animator.getClip().getSprite(3).x);
+    assert.deepStrictEqual(game.warnings, []);
+});
+
+test('footstep frames emit FOOTSTEP with the ground material', () => {
+    const game = createGame();
+    const physics = new game.PhysicsEngine({ sleepEnabled: false });
+    physics.createBody({
+        type: 'static',
+        shape: { type: 'rect', width: 2000, height: 40 },
+        position: new game.Vector2(0, 320),
+        material: 'metal'
+    });
+
+    const player = new game.Entity(0, 284, { width: 20, height: 32 });
+    player.setPhysicsBody(physics, { type: 'kinematic', useGravity: false });
+    const controller = player.addComponent('controller', new game.CharacterController({ physics: physics, stepDistance: 0 }));
+    const animator = player.addComponent('animator', game.Animator.createPlayer(createPlayerSheet(game)));
+
+    const footsteps = [];
+    const frameEvents = [];
+    game.gameEventBus.on(game.GameEvents.FOOTSTEP, event => footsteps.push(event));
+    game.gameEventBus.on(game.GameEvents.ANIMATION_EVENT, event => frameEvents.push(event.name));
+
+    controller.setMoveInput(-1);
+    for (let i = 0; i < 60; i++) {
+        player.update(1 / 60);
+        animator.updateFromController();
+        physics.update(1 / 60);
+    }
+
+    assert.strictEqual(animator.state, 'run');
+    assert.ok(animator.flipX && player.sprite.flipX, 'facing left');
+    assert.ok(footsteps.length >= 4, `expected footsteps from run frames, got ${footsteps.length}`);
+    assert.strictEqual(footsteps.length, frameEvents.filter(name => name === 'footstep').length);
+    assert.strictEqual(footsteps[0].entity, player);
+    assert.strictEqual(footsteps[0].animator, animator);
+    assert.strictEqual(footsteps[0].sound, 'footstep_metal');
+});
+
+test('standing diagonal aim does not emit footsteps', () => {
+    const game = createGame();
+    const player = new game.Entity(0, 0);
+    const animator = player.addComponent('animator', game.Animator.createPlayer(createPlayerSheet(game)));
+    const footsteps = [];
+    game.gameEventBus.on(game.GameEvents.FOOTSTEP, event => footsteps.push(event));
+
+    animator.setParameter('aim', 'diagonal');
+    for (let i = 0; i < 120; i++) player.update(1 / 60);
+    assert.strictEqual(animator.state, 'aim-diagonal');
+    assert.strictEqual(footsteps.length, 0);
+
+    animator.setParameter('speed', 200);
+    for (let i = 0; i < 60; i++) player.update(1 / 60);
+    assert.strictEqual(animator.state, 'run-diagonal');
+    assert.ok(footsteps.length > 0, 'running while aiming diagonally still steps');
+});
+
+test('animators restore from saves only when the entity type builds them', () => {
+    const game = createGame();
+    game.run(`
+        class AnimatedPlayer extends Entity {
+            constructor(x, y, options) {
+                super(x, y, options);
+                this.addComponent('animator', Animator.createPlayer(null));
+            }
+        }
+        EntityTypes.register('AnimatedPlayer', AnimatedPlayer);
+        globalThis.AnimatedPlayer = AnimatedPlayer;
+    `);
+
+    const player = new game.context.AnimatedPlayer(0, 0);
+    const animator = player.getComponent('animator');
+    animator.setParameter('speed', 200);
+    animator.setFlipX(true);
+    for (let i = 0; i < 20; i++) player.update(1 / 60);
+
+    const restored = game.Entity.deserialize(JSON.parse(JSON.stringify(player.serialize())));
+    const restoredAnimator = restored.getComponent('animator');
+    assert.strictEqual(restoredAnimator.state, 'run');
+    assert.strictEqual(restoredAnimator.frameIndex, animator.frameIndex);
+    assert.strictEqual(restoredAnimator.flipX, true);
+    assert.deepStrictEqual(game.warnings, []);
+
+    // 普通实体读档时只能创建空的动画器：给出警告而不是静默丢失动画
+    const plain = new game.Entity(0, 0);
+    plain.addComponent('animator', game.Animator.createPlayer(null));
+    const data = JSON.parse(JSON.stringify(plain.serialize()));
+    const restoredPlain = game.Entity.deserialize(data);
+    assert.strictEqual(restoredPlain.getComponent('animator').state, null);
+    assert.ok(game.warnings.some(warning => warning.includes("Cannot restore animation state 'idle'")));
+});
+
+// 运行测试，返回失败数量
+function runTests(filter) {
+    let passed = 0;
+    let failed = 0;
+
+    tests.filter(entry => !filter || entry.name.includes(filter)).forEach(entry => {
+        try {
+            entry.fn();
+            passed++;
+            console.log(`  ok    ${entry.name}`);
+        } catch (error) {
+            failed++;
+            console.log(`  FAIL  ${entry.name}`);
+            console.log(`        ${(error.stack || String(error)).split('\n').join('\n        ')}`);
+        }
+    });
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    return failed;
+}
+
+if (require.main === module) {
+    process.exitCode = runTests(process.argv[2]) > 0 ? 1 : 0;
+}
+
+module.exports = { test, runTests, createGame };
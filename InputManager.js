@@ -2,12 +2,23 @@
  * 输入管理器 - 处理键盘、鼠标、触摸等输入
  */
 class InputManager {
-    constructor() {
+    constructor(options = {}) {
+        // 无头模式：不监听 DOM 事件，输入只能来自回放或 setVirtualKey
+        this.headless = options.headless || false;
+        
         // 键盘状态
         this.keys = new Map();
         this.keysPressed = new Set();
         this.keysReleased = new Set();
         
+        // 按固定步锁存的按键边沿：保留到下一个固定步处理完为止，
+        // 没有固定步的渲染帧不会丢失边沿，一帧内执行多个固定步时边沿也只出现一次
+        this.tickKeysPressed = new Set();
+        this.tickKeysReleased = new Set();
+        
+        // 所属引擎（注册为系统时设置，用于判断查询是否发生在固定步中）
+        this.engine = null;
+        
         // 鼠标状态
         this.mouse = {
             x: 0,
@@ -31,15 +42,20 @@ class InputManager {
         this.setupDefaultKeyMappings();
         
         // 事件监听器
-        this.setupEventListeners();
+        if (!this.headless) {
+            this.setupEventListeners();
+        }
         
         // 移动端检测
-        this.isMobile = this.detectMobile();
+        this.isMobile = this.headless ? false : this.detectMobile();
         
         // 输入缓冲
         this.inputBuffer = [];
         this.bufferSize = 10;
         this.bufferTime = 100; // ms
+        
+        // 回放输入源（设置后动作查询由回放数据提供，实时设备输入被忽略）
+        this.playbackSource = null;
     }
 
     // 设置默认按键映射
@@ -95,6 +111,7 @@ class InputManager {
         if (!this.keys.get(key)) {
             this.keys.set(key, true);
             this.keysPressed.add(key);
+            this.tickKeysPressed.add(key);
             this.addToInputBuffer('keydown', key, performance.now());
             
             gameEventBus.emit(GameEvents.INPUT_KEY_DOWN, {
@@ -116,6 +133,7 @@ class InputManager {
         
         this.keys.set(key, false);
         this.keysReleased.add(key);
+        this.tickKeysReleased.add(key);
         this.addToInputBuffer('keyup', key, performance.now());
         
         gameEventBus.emit(GameEvents.INPUT_KEY_UP, {
@@ -238,9 +256,11 @@ class InputManager {
         
         if (pressed && !wasPressed) {
             this.keysPressed.add(key);
+            this.tickKeysPressed.add(key);
             gameEventBus.emit(GameEvents.INPUT_KEY_DOWN, { key: key });
         } else if (!pressed && wasPressed) {
             this.keysReleased.add(key);
+            this.tickKeysReleased.add(key);
             gameEventBus.emit(GameEvents.INPUT_KEY_UP, { key: key });
         }
     }
@@ -266,30 +286,47 @@ class InputManager {
         return this.keys.get(key) || this.virtualKeys.get(key) || false;
     }
 
-    // 检查按键是否刚按下
+    // 检查按键是否刚按下（固定步中返回自上一个固定步以来的边沿）
     isKeyPressed(key) {
-        return this.keysPressed.has(key);
+        return (this.isInFixedStep() ? this.tickKeysPressed : this.keysPressed).has(key);
     }
 
-    // 检查按键是否刚释放
+    // 检查按键是否刚释放（固定步中返回自上一个固定步以来的边沿）
     isKeyReleased(key) {
-        return this.keysReleased.has(key);
+        return (this.isInFixedStep() ? this.tickKeysReleased : this.keysReleased).has(key);
+    }
+
+    // 检查引擎是否正在执行固定步
+    isInFixedStep() {
+        return this.engine !== null && this.engine.isInFixedUpdate();
     }
 
     // 检查动作是否激活（通过映射）
     isActionDown(action) {
+        if (this.playbackSource) {
+            return this.playbackSource.isActionDown(action);
+        }
+        
         const keys = this.keyMappings.get(action) || [];
         return keys.some(key => this.isKeyDown(key));
     }
 
     // 检查动作是否刚激活
     isActionPressed(action) {
+        if (this.playbackSource) {
+            return this.playbackSource.isActionPressed(action);
+        }
+        
         const keys = this.keyMappings.get(action) || [];
         return keys.some(key => this.isKeyPressed(key));
     }
 
     // 检查动作是否刚释放
     isActionReleased(action) {
+        if (this.playbackSource) {
+            return this.playbackSource.isActionReleased(action);
+        }
+        
         const keys = this.keyMappings.get(action) || [];
         return keys.some(key => this.isKeyReleased(key));
     }
@@ -342,11 +379,24 @@ class InputManager {
         return this.keyMappings.get(action) || [];
     }
 
+    // 设置回放输入源（传入 null 恢复实时设备输入）
+    setPlaybackSource(source) {
+        this.playbackSource = source;
+        this.clearAllInputs();
+    }
+
+    // 检查是否正在回放
+    isPlayingBack() {
+        return this.playbackSource !== null;
+    }
+
     // 清除所有输入状态
     clearAllInputs() {
         this.keys.clear();
         this.keysPressed.clear();
         this.keysReleased.clear();
+        this.tickKeysPressed.clear();
+        this.tickKeysReleased.clear();
         this.virtualKeys.clear();
         
         this.mouse.buttons.clear();
@@ -359,6 +409,17 @@ class InputManager {
         this.touchesEnded.clear();
     }
 
+    // 注册到引擎时记录引擎引用
+    onRegister(engine) {
+        this.engine = engine;
+    }
+
+    // 固定步更新：清除已被本固定步处理的锁存边沿（与 update 一样需要以较大的优先级注册，在其他系统之后执行）
+    fixedUpdate() {
+        this.tickKeysPressed.clear();
+        this.tickKeysReleased.clear();
+    }
+
     // 更新输入状态（每帧调用）
     update() {
         // 清除本帧的按键事件
@@ -373,6 +434,11 @@ class InputManager {
         this.touchesEnded.clear();
     }
 
+    // 暂停时更新输入状态（暂停菜单仍需响应按键）
+    updatePaused() {
+        this.update();
+    }
+
     // 检查是否为移动设备
     isMobileDevice() {
         return this.isMobile;
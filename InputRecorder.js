@@ -0,0 +1,292 @@
+/**
+ * 输入录制与回放 - 按固定步记录动作状态，并可替代实时设备回放
+ *
+ * 需作为引擎系统注册，且优先级要高于读取输入的游戏逻辑系统（数值更小），
+ * 保证每个固定步先采样/推进回放，再由游戏逻辑读取。
+ */
+class InputRecorder {
+    constructor(inputManager, engine = null) {
+        this.input = inputManager;
+        this.engine = engine;
+
+        // 录制状态
+        this.recording = false;
+        this.actions = [];
+        this.runs = []; // 游程编码：[重复帧数, 按下位, 刚按下位, 刚释放位]
+        this.frameCount = 0;
+        this.startState = null;
+        this.metadata = {};
+
+        // 回放状态
+        this.playing = false;
+        this.replay = null;
+        this.playbackFrame = -1;
+        this.runIndex = 0;
+        this.runOffset = 0;
+        this.currentFrame = { down: 0, pressed: 0, released: 0 };
+        this.loop = false;
+    }
+
+    // 开始录制
+    startRecording(metadata = {}) {
+        if (this.playing) {
+            console.warn('Cannot record while a replay is playing');
+            return false;
+        }
+
+        this.actions = Array.from(this.input.keyMappings.keys());
+        if (this.actions.length > InputRecorder.MAX_ACTIONS) {
+            console.error(`Too many actions to record: ${this.actions.length} (max ${InputRecorder.MAX_ACTIONS})`);
+            return false;
+        }
+
+        // 确定性模式下才能逐帧复现，记录录制开始时的随机数状态
+        if (this.engine) {
+            if (!this.engine.isDeterministic()) {
+                this.engine.setDeterministic(true);
+            }
+            this.startState = {
+                tick: this.engine.getTick(),
+                random: this.engine.random.getState()
+            };
+        }
+
+        this.runs = [];
+        this.frameCount = 0;
+        this.metadata = { ...metadata };
+        this.recording = true;
+
+        console.log('Input recording started');
+        return true;
+    }
+
+    // 停止录制并返回回放数据
+    stopRecording() {
+        if (!this.recording) return null;
+
+        this.recording = false;
+        console.log(`Input recording stopped (${this.frameCount} frames)`);
+
+        return this.getReplay();
+    }
+
+    // 获取回放数据
+    getReplay() {
+        return {
+            version: InputRecorder.FORMAT_VERSION,
+            frameTime: this.engine ? this.engine.frameTime : null,
+            actions: this.actions.slice(),
+            frameCount: this.frameCount,
+            startState: this.startState,
+            metadata: this.metadata,
+            runs: this.runs.map(run => run.slice())
+        };
+    }
+
+    // 导出为JSON字符串
+    exportReplay() {
+        return JSON.stringify(this.getReplay());
+    }
+
+    // 下载回放文件（用于附加到缺陷报告）
+    downloadReplay(filename = 'replay.json') {
+        const blob = new Blob([this.exportReplay()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    // 解析回放数据
+    static parseReplay(data) {
+        const replay = typeof data === 'string' ? JSON.parse(data) : data;
+
+        if (!replay || replay.version !== InputRecorder.FORMAT_VERSION) {
+            throw new Error(`Unsupported replay version: ${replay ? replay.version : 'none'}`);
+        }
+
+        return replay;
+    }
+
+    // 开始回放
+    startPlayback(data, options = {}) {
+        if (this.recording) {
+            console.warn('Cannot play a replay while recording');
+            return false;
+        }
+
+        let replay;
+        try {
+            replay = InputRecorder.parseReplay(data);
+        } catch (error) {
+            console.error('Failed to load replay:', error);
+            return false;
+        }
+
+        if (!replay.frameCount) {
+            console.warn('Replay contains no frames');
+            return false;
+        }
+
+        // 检查动作映射是否一致
+        const missing = replay.actions.filter(action => !this.input.keyMappings.has(action));
+        if (missing.length > 0) {
+            console.warn(`Replay contains unknown actions: ${missing.join(', ')}`);
+        }
+
+        // 恢复录制开始时的随机数状态和固定步计数（按步数触发的游戏逻辑也能逐帧复现）
+        if (this.engine && replay.startState) {
+            this.engine.setDeterministic(true);
+            this.engine.random.setState(replay.startState.random);
+            this.engine.tick = replay.startState.tick;
+        }
+
+        this.replay = replay;
+        this.loop = options.loop || false;
+        this.resetPlayback();
+        this.playing = true;
+
+        // 接管 InputManager 的动作查询
+        this.input.setPlaybackSource(this);
+
+        console.log(`Replay playback started (${replay.frameCount} frames)`);
+        return true;
+    }
+
+    // 停止回放
+    stopPlayback() {
+        if (!this.playing) return;
+
+        this.playing = false;
+        this.input.setPlaybackSource(null);
+
+        console.log('Replay playback stopped');
+        gameEventBus.emit(GameEvents.REPLAY_END, { frames: this.playbackFrame + 1 });
+    }
+
+    // 重置回放游标
+    resetPlayback() {
+        this.playbackFrame = -1;
+        this.runIndex = 0;
+        this.runOffset = 0;
+        this.currentFrame.down = 0;
+        this.currentFrame.pressed = 0;
+        this.currentFrame.released = 0;
+    }
+
+    // 固定时间步长更新
+    fixedUpdate(fixedDeltaTime) {
+        if (this.playing) {
+            this.advancePlayback();
+        } else if (this.recording) {
+            this.sampleFrame();
+        }
+    }
+
+    // 采样当前固定步的动作状态（在固定步中查询，按下/释放边沿由 InputManager 按固定步锁存，每个边沿只记录一次）
+    sampleFrame() {
+        let down = 0;
+        let pressed = 0;
+        let released = 0;
+
+        this.actions.forEach((action, index) => {
+            const bit = 1 << index;
+            if (this.input.isActionDown(action)) down |= bit;
+            if (this.input.isActionPressed(action)) pressed |= bit;
+            if (this.input.isActionReleased(action)) released |= bit;
+        });
+
+        // 与上一游程相同则合并
+        const lastRun = this.runs[this.runs.length - 1];
+        if (lastRun && lastRun[1] === down && lastRun[2] === pressed && lastRun[3] === released) {
+            lastRun[0]++;
+        } else {
+            this.runs.push([1, down, pressed, released]);
+        }
+
+        this.frameCount++;
+    }
+
+    // 推进到下一回放帧
+    advancePlayback() {
+        const runs = this.replay.runs;
+
+        if (this.playbackFrame + 1 >= this.replay.frameCount) {
+            if (this.loop) {
+                this.resetPlayback();
+            } else {
+                this.stopPlayback();
+                return;
+            }
+        }
+
+        const run = runs[this.runIndex];
+        this.currentFrame.down = run[1];
+        this.currentFrame.pressed = run[2];
+        this.currentFrame.released = run[3];
+
+        this.playbackFrame++;
+        this.runOffset++;
+        if (this.runOffset >= run[0]) {
+            this.runIndex++;
+            this.runOffset = 0;
+        }
+    }
+
+    // 查询回放中动作的位
+    getActionBit(action) {
+        const index = this.replay.actions.indexOf(action);
+        return index === -1 ? 0 : 1 << index;
+    }
+
+    // 回放：检查动作是否按下
+    isActionDown(action) {
+        return (this.currentFrame.down & this.getActionBit(action)) !== 0;
+    }
+
+    // 回放：检查动作是否刚按下
+    isActionPressed(action) {
+        return (this.currentFrame.pressed & this.getActionBit(action)) !== 0;
+    }
+
+    // 回放：检查动作是否刚释放
+    isActionReleased(action) {
+        return (this.currentFrame.released & this.getActionBit(action)) !== 0;
+    }
+
+    // 检查是否正在录制
+    isRecording() {
+        return this.recording;
+    }
+
+    // 检查是否正在回放
+    isPlaying() {
+        return this.playing;
+    }
+
+    // 获取回放进度（0到1）
+    getPlaybackProgress() {
+        if (!this.replay || this.replay.frameCount === 0) return 0;
+        return (this.playbackFrame + 1) / this.replay.frameCount;
+    }
+
+    // 调试信息
+    debug() {
+        console.log('Input Recorder Debug Info:');
+        console.log(`  Recording: ${this.recording} (${this.frameCount} frames, ${this.runs.length} runs)`);
+        console.log(`  Playing: ${this.playing}`);
+        if (this.replay) {
+            console.log(`  Playback Frame: ${this.playbackFrame + 1}/${this.replay.frameCount}`);
+        }
+    }
+}
+
+// 回放文件格式版本
+InputRecorder.FORMAT_VERSION = 1;
+
+// 动作以32位整数的位保存，最多支持31个动作
+InputRecorder.MAX_ACTIONS = 31;
@@ -0,0 +1,401 @@
+/**
+ * 移动平台 - 让运动学物体沿路径点移动（电梯、移动的岩架），带动站在上面的物体并推开挡路的物体
+ *
+ * 路径模式：'linear' 走到最后一个路径点后停下，'pingPong' 到达两端后折返，'loop' 从最后一个点回到第一个点循环。
+ * 每段路径按 easing 缓动，到达路径点后停留 waitTime 秒。可作为实体组件使用：
+ *
+ *   elevator.setPhysicsBody(physics, { type: 'kinematic', useGravity: false, shape: { type: 'rect', width: 64, height: 16 } });
+ *   elevator.addComponent('mover', new MovingPlatform({
+ *       physics: physics, waypoints: [{ x: 0, y: 0 }, { x: 0, y: -240 }], relative: true, mode: 'pingPong', easing: 'easeInOut'
+ *   }));
+ *
+ * 与角色控制器相同，平台直接移动物理体，物理体的 velocity 保持为0。每次移动按 x、y 轴分别进行：
+ * 先移动平台，再把站在顶面上的物体（乘客）带着移动相同距离，最后把被平台撞到的物体沿移动方向推开。
+ * 乘客和被推的物体只会被静态物体和其他移动平台挡住，被推的物体无法让开时视为被挤压。
+ */
+class MovingPlatform {
+    constructor(options = {}) {
+        this.entity = null;
+        this.enabled = options.enabled !== false;
+
+        // 物理引擎和移动的物理体（作为组件时默认使用实体的物理引擎和物理体）
+        this.physics = options.physics || null;
+        this.body = options.body || null;
+
+        // 路径点（relative 为 true 时相对物理体的初始位置，初始化时转换为世界坐标）
+        this.waypoints = (options.waypoints || []).map(point => new Vector2(point.x, point.y));
+        this.relative = options.relative === true;
+
+        // 路径模式、移动速度（像素/秒）、缓动（名称或 t => t 函数）和在路径点的停留时间（秒）
+        this.mode = options.mode || 'pingPong';
+        this.speed = options.speed || 60;
+        this.easing = options.easing || 'linear';
+        this.waitTime = options.waitTime || 0;
+
+        // 乘客判定距离、与阻挡物保持的间隙、推到阻挡物后允许的残余重叠（超过时视为被挤压，像素）
+        this.rideTolerance = options.rideTolerance !== undefined ? options.rideTolerance : 2;
+        this.skinWidth = options.skinWidth || 0.05;
+        this.crushTolerance = options.crushTolerance || 0;
+
+        // 路径状态：当前段起点的路径点索引、方向（pingPong 返程为 -1）、本段已用时间和停留计时
+        this.index = 0;
+        this.direction = 1;
+        this.segmentTime = 0;
+        this.waitTimer = 0;
+        this.finished = false;
+        this.paused = options.paused === true;
+
+        // 上一次更新的位移和速度（乘客起跳时可以继承）
+        this.delta = new Vector2();
+        this.velocity = new Vector2();
+
+        if (!MovingPlatform.modes.includes(this.mode)) {
+            console.warn(`Unknown moving platform mode: ${this.mode}, using 'pingPong'`);
+            this.mode = 'pingPong';
+        }
+
+        if (this.body) {
+            this.initialize();
+        }
+    }
+
+    // 作为组件加入实体时绑定实体的物理体
+    initialize() {
+        if (!this.body && this.entity) {
+            this.body = this.entity.physicsBody;
+        }
+        if (!this.physics && this.entity) {
+            this.physics = this.entity.physics;
+        }
+
+        if (!this.body) {
+            console.warn('MovingPlatform requires a physics body');
+            return;
+        }
+
+        if (this.body.type !== 'kinematic') {
+            console.warn(`MovingPlatform body ${this.body.id} should be kinematic, converting it`);
+            this.body.type = 'kinematic';
+        }
+        this.body.useGravity = false;
+        MovingPlatform.bodies.add(this.body);
+
+        // 未指定碰撞层的平台归入静态地形所在的层，子弹命中平台时发送 COLLISION_BULLET_TERRAIN
+        const staticLayer = this.physics ? this.physics.collisionMatrix.staticLayer : null;
+        if (staticLayer && !this.body.layer && this.body.collisionLayer === 1) {
+            this.body.layer = staticLayer;
+            this.physics.collisionMatrix.applyLayer(this.body);
+        }
+
+        if (this.relative) {
+            this.waypoints.forEach(point => point.add(this.body.position));
+            this.relative = false;
+        }
+    }
+
+    // 开始/继续移动
+    start() {
+        this.paused = false;
+    }
+
+    // 暂停移动
+    stop() {
+        this.paused = true;
+    }
+
+    // 回到第一个路径点重新开始（瞬移，不带动乘客）
+    reset() {
+        this.index = 0;
+        this.direction = 1;
+        this.segmentTime = 0;
+        this.waitTimer = 0;
+        this.finished = false;
+
+        if (this.body && this.waypoints.length > 0) {
+            this.body.setPosition(this.waypoints[0].x, this.waypoints[0].y);
+            this.physics.syncBroadPhase(this.body);
+        }
+    }
+
+    // 更新（deltaTime 单位为秒）
+    update(deltaTime) {
+        this.delta.set(0, 0);
+        this.velocity.set(0, 0);
+
+        if (!this.body || !this.physics || this.paused || this.finished || this.waypoints.length < 2) return;
+
+        const target = this.advance(deltaTime);
+        const offset = Vector2.subtract(target, this.body.position);
+
+        this.moveAxis(new Vector2(offset.x, 0));
+        this.moveAxis(new Vector2(0, offset.y));
+
+        this.delta.copy(offset);
+        if (deltaTime > 0) {
+            this.velocity.copy(offset).divide(deltaTime);
+        }
+
+        if (this.entity) {
+            this.entity.position.copy(this.body.position);
+        }
+    }
+
+    // 推进路径时间，返回本次更新后平台应在的位置
+    advance(deltaTime) {
+        let time = deltaTime;
+        let passed = 0;
+
+        // 一次更新最多经过所有路径段两遍，避免路径点重合时死循环
+        while (time > 0 && !this.finished && passed <= this.waypoints.length * 2) {
+            if (this.waitTimer > 0) {
+                const wait = Math.min(this.waitTimer, time);
+                this.waitTimer -= wait;
+                time -= wait;
+                continue;
+            }
+
+            const duration = this.getSegmentDuration();
+            const step = Math.min(duration - this.segmentTime, time);
+            this.segmentTime += step;
+            time -= step;
+
+            if (this.segmentTime >= duration) {
+                this.nextSegment();
+                passed++;
+            }
+        }
+
+        return this.getPathPosition();
+    }
+
+    // 当前段的终点索引
+    getNextIndex() {
+        if (this.mode === 'loop') {
+            return (this.index + 1) % this.waypoints.length;
+        }
+        return this.index + this.direction;
+    }
+
+    // 当前段所需时间（秒）
+    getSegmentDuration() {
+        return Vector2.distance(this.waypoints[this.index], this.waypoints[this.getNextIndex()]) / this.speed;
+    }
+
+    // 到达当前段终点，进入下一段
+    nextSegment() {
+        const last = this.waypoints.length - 1;
+
+        this.index = this.getNextIndex();
+        this.segmentTime = 0;
+        this.waitTimer = this.waitTime;
+
+        if (this.mode === 'pingPong') {
+            if (this.index === last) {
+                this.direction = -1;
+            } else if (this.index === 0) {
+                this.direction = 1;
+            }
+        } else if (this.mode === 'linear' && this.index === last) {
+            this.finished = true;
+        }
+
+        gameEventBus.emit(GameEvents.PLATFORM_WAYPOINT, {
+            platform: this.body,
+            entity: this.entity,
+            index: this.index,
+            finished: this.finished
+        });
+    }
+
+    // 按当前段的进度和缓动计算路径上的位置
+    getPathPosition() {
+        const from = this.waypoints[this.index];
+        if (this.finished || this.segmentTime === 0) return from.clone();
+
+        const duration = this.getSegmentDuration();
+        const progress = duration > 0 ? Math.min(1, this.segmentTime / duration) : 1;
+        return Vector2.lerp(from, this.waypoints[this.getNextIndex()], this.getEasing()(progress));
+    }
+
+    // 缓动函数
+    getEasing() {
+        if (typeof this.easing === 'function') return this.easing;
+        return MovingPlatform.easings[this.easing] || MovingPlatform.easings.linear;
+    }
+
+    // 沿一个轴移动平台：记录乘客 -> 移动平台 -> 带动乘客 -> 推开被撞到的物体
+    moveAxis(offset) {
+        if (offset.isZero()) return;
+
+        const riders = this.getRiders();
+        const previousBounds = { ...this.body.bounds };
+
+        this.translate(this.body, offset);
+
+        // 被挡住的乘客（例如电梯把玩家顶向天花板）与其他物体一样被推动或挤压
+        const carried = riders.filter(rider => !this.moveBody(rider, offset));
+
+        // 单向平台只带动乘客，不阻挡其他方向的物体
+        if (!this.body.oneWay) {
+            this.pushBodies(offset, previousBounds, carried);
+        }
+    }
+
+    // 获取站在平台顶面上的物体
+    getRiders() {
+        const bounds = this.body.bounds;
+        const strip = {
+            left: bounds.left,
+            top: bounds.top - this.rideTolerance,
+            right: bounds.right,
+            bottom: bounds.top + this.rideTolerance
+        };
+
+        return Array.from(this.physics.getBroadPhaseCandidates(strip)).filter(other => {
+            if (!this.canMove(other)) return false;
+            if (this.physics.getPlatformUnder(other) === this.body) return true;
+
+            const otherBounds = other.bounds;
+            return otherBounds.bottom >= strip.top && otherBounds.bottom <= strip.bottom &&
+                   otherBounds.right > bounds.left && otherBounds.left < bounds.right &&
+                   other.position.y < bounds.top;
+        });
+    }
+
+    // 推开本次移动撞到的物体（移动前已经从侧面嵌入平台的物体不处理）
+    pushBodies(offset, previousBounds, carried) {
+        this.physics.getBroadPhaseCandidates(this.body.bounds).forEach(other => {
+            if (carried.includes(other) || !this.canMove(other)) return;
+            if (this.getLeadingDepth(other.bounds, previousBounds, offset) > this.rideTolerance) return;
+            if (!this.physics.checkCollision(this.body, other)) return;
+
+            const push = this.getPushOffset(other.bounds, offset);
+            const hit = this.moveBody(other, push);
+
+            // 推到阻挡物后仍与平台重叠：被挤压
+            if (hit && this.getLeadingDepth(other.bounds, this.body.bounds, offset) > this.crushTolerance) {
+                this.crush(other, hit.body);
+            }
+        });
+    }
+
+    // 物体嵌入平台移动方向一侧的深度
+    getLeadingDepth(otherBounds, bounds, offset) {
+        if (offset.x > 0) return bounds.right - otherBounds.left;
+        if (offset.x < 0) return otherBounds.right - bounds.left;
+        if (offset.y > 0) return bounds.bottom - otherBounds.top;
+        return otherBounds.bottom - bounds.top;
+    }
+
+    // 把物体沿移动方向推出平台所需的位移
+    getPushOffset(otherBounds, offset) {
+        const distance = this.getLeadingDepth(otherBounds, this.body.bounds, offset) + this.skinWidth;
+        return Vector2.multiply(offset.clone().normalize(), distance);
+    }
+
+    // 移动物体，被静态物体或其他移动平台挡住时停在接触位置，返回挡住它的命中结果
+    moveBody(other, offset) {
+        const hit = this.physics.castBody(other, offset, {
+            filter: blocker => blocker !== this.body && (blocker.type === 'static' || MovingPlatform.bodies.has(blocker))
+        });
+
+        const distance = offset.magnitude();
+        const travel = hit ? Math.max(0, hit.distance - this.skinWidth) : distance;
+        if (travel > 0) {
+            this.translate(other, Vector2.multiply(offset, travel / distance));
+        }
+
+        other.wake();
+        return hit;
+    }
+
+    // 平台可以带动或推开的物体（静态物体、触发器、单向平台和其他移动平台除外）
+    canMove(other) {
+        return other !== this.body &&
+               other.enabled &&
+               other.type !== 'static' &&
+               !other.isTrigger &&
+               !other.oneWay &&
+               !MovingPlatform.bodies.has(other) &&
+               this.physics.getCollisionResponse(this.body, other) === 'collide';
+    }
+
+    // 物体被平台挤在阻挡物上：调用实体的 onCrush 并发送 PLATFORM_CRUSH 事件
+    crush(other, blocker) {
+        const entity = this.physics.getBodyEntity(other);
+        if (entity && !entity.destroyed) {
+            entity.onCrush(this.entity || this.body);
+        }
+
+        gameEventBus.emit(GameEvents.PLATFORM_CRUSH, {
+            platform: this.body,
+            body: other,
+            blocker: blocker,
+            entity: entity
+        });
+    }
+
+    // 平移物体并立即更新它在空间哈希中的位置（同一帧后续的查询可以找到它）
+    translate(body, offset) {
+        body.position.add(offset);
+        body.updateBounds();
+        this.physics.syncBroadPhase(body);
+    }
+
+    // 序列化（缓动函数只保存名称，自定义函数按 linear 保存）
+    serialize() {
+        return {
+            waypoints: this.waypoints.map(point => ({ x: point.x, y: point.y })),
+            mode: this.mode,
+            speed: this.speed,
+            easing: typeof this.easing === 'string' ? this.easing : 'linear',
+            waitTime: this.waitTime,
+            index: this.index,
+            direction: this.direction,
+            segmentTime: this.segmentTime,
+            waitTimer: this.waitTimer,
+            finished: this.finished,
+            paused: this.paused
+        };
+    }
+
+    // 反序列化（物理体位置由物理引擎恢复）
+    deserialize(state) {
+        this.waypoints = state.waypoints.map(point => new Vector2(point.x, point.y));
+        this.relative = false;
+        this.mode = state.mode;
+        this.speed = state.speed;
+        this.easing = state.easing;
+        this.waitTime = state.waitTime;
+        this.index = state.index;
+        this.direction = state.direction;
+        this.segmentTime = state.segmentTime;
+        this.waitTimer = state.waitTimer;
+        this.finished = state.finished;
+        this.paused = state.paused;
+    }
+
+    // 调试信息
+    debug() {
+        console.log('Moving Platform Debug Info:');
+        console.log(`  Mode: ${this.mode}, Easing: ${typeof this.easing === 'string' ? this.easing : 'custom'}, Speed: ${this.speed}`);
+        console.log(`  Segment: ${this.index} -> ${this.finished ? '-' : this.getNextIndex()}, Time: ${this.segmentTime.toFixed(3)}, Wait: ${this.waitTimer.toFixed(3)}`);
+        console.log(`  Velocity: ${this.velocity.toString()}, Paused: ${this.paused}, Finished: ${this.finished}`);
+    }
+}
+
+// 路径模式
+MovingPlatform.modes = ['linear', 'pingPong', 'loop'];
+
+// 缓动函数（输入和输出都是 0-1 的进度）
+MovingPlatform.easings = {
+    linear: t => t,
+    easeIn: t => t * t,
+    easeOut: t => t * (2 - t),
+    easeInOut: t => t * t * (3 - 2 * t)
+};
+
+// 由移动平台驱动的物理体（不会被其他平台推动，并且会挡住被推的物体）
+MovingPlatform.bodies = new WeakSet();
+
+ComponentTypes.register('MovingPlatform', MovingPlatform);
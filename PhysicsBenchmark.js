@@ -0,0 +1,108 @@
+/**
+ * 物理基准测试 - 在 Node 中用无头运行器模拟大量物理体，输出每步耗时和广相检测的碰撞对数量
+ *
+ * 场景为两侧墙壁、一排地面砖块和随机分布的平台（静态），其余物体是从空中落下并堆积的矩形和圆。
+ * 下落高度保证物体速度不会穿透地面砖块，场景稳定后每步的工作量基本不变。
+ * 用法（--no-sleep 关闭休眠，测量所有物体都保持活动时的耗时）：
+ *
+ *   node PhysicsBenchmark.js [物体数量=2000] [步数=600] [--no-sleep]
+ */
+const { createHeadlessGame } = require('./HeadlessRunner');
+
+// 创建场景并逐步模拟，返回耗时统计（毫秒）
+function runBenchmark(options = {}) {
+    const bodyCount = options.bodyCount || 2000;
+    const steps = options.steps || 600;
+    const staticCount = Math.floor(bodyCount * (options.staticRatio !== undefined ? options.staticRatio : 0.2));
+    const deltaTime = 1 / 60;
+
+    const game = createHeadlessGame({ seed: options.seed || 1, console: options.console });
+    const { PhysicsEngine, Vector2, gameRandom } = game;
+    const random = gameRandom.stream('benchmark');
+    const physics = new PhysicsEngine({ sleepEnabled: options.sleep !== false });
+
+    // 墙壁、地面和平台
+    const tileSize = 32;
+    const floorTiles = Math.ceil(staticCount / 2);
+    const width = floorTiles * tileSize;
+
+    [-tileSize / 2, width + tileSize / 2].forEach(x => {
+        physics.createBody({
+            type: 'static',
+            layer: 'terrain',
+            shape: { type: 'rect', width: tileSize, height: 1400 },
+            position: new Vector2(x, 0)
+        });
+    });
+
+    for (let i = 2; i < staticCount; i++) {
+        const position = i < floorTiles + 2
+            ? new Vector2((i - 2) * tileSize + tileSize / 2, 600)
+            : new Vector2(random.range(0, width), random.range(0, 500));
+
+        physics.createBody({
+            type: 'static',
+            layer: 'terrain',
+            shape: { type: 'rect', width: tileSize, height: tileSize },
+            position: position
+        });
+    }
+
+    // 落下的物体
+    for (let i = staticCount; i < bodyCount; i++) {
+        physics.createBody({
+            shape: random.chance(0.5)
+                ? { type: 'rect', width: 12, height: 12 }
+                : { type: 'circle', radius: 6 },
+            position: new Vector2(random.range(0, width), random.range(-600, 400)),
+            velocity: new Vector2(random.range(-100, 100), random.range(-100, 100))
+        });
+    }
+
+    physics.updateSpatialHash();
+
+    const times = [];
+    let pairs = 0;
+
+    for (let i = 0; i < steps; i++) {
+        const start = performance.now();
+        physics.update(deltaTime);
+        times.push(performance.now() - start);
+        pairs += physics.getStats().collisionChecks;
+    }
+
+    const sorted = times.slice().sort((a, b) => a - b);
+    const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const window = Math.min(100, steps);
+
+    return {
+        bodyCount: bodyCount,
+        staticCount: staticCount,
+        steps: steps,
+        average: average(times),
+        p50: sorted[Math.floor(sorted.length * 0.5)],
+        p95: sorted[Math.floor(sorted.length * 0.95)],
+        max: sorted[sorted.length - 1],
+        firstAverage: average(times.slice(0, window)),
+        lastAverage: average(times.slice(-window)),
+        pairsPerStep: pairs / steps,
+        sleepingBodies: physics.getStats().sleepingBodies
+    };
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+    const result = runBenchmark({
+        bodyCount: parseInt(args[0], 10) || 2000,
+        steps: parseInt(args[1], 10) || 600,
+        sleep: !process.argv.includes('--no-sleep')
+    });
+    const ms = value => `${value.toFixed(3)}ms`;
+
+    console.log(`Physics benchmark: ${result.bodyCount} bodies (${result.staticCount} static), ${result.steps} steps`);
+    console.log(`  Step time: avg ${ms(result.average)}, p50 ${ms(result.p50)}, p95 ${ms(result.p95)}, max ${ms(result.max)}`);
+    console.log(`  First 100 steps: avg ${ms(result.firstAverage)}, last 100 steps: avg ${ms(result.lastAverage)}`);
+    console.log(`  Broadphase pairs per step: ${result.pairsPerStep.toFixed(1)}, sleeping bodies at end: ${result.sleepingBodies}`);
+}
+
+module.exports = { runBenchmark };
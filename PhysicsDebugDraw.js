@@ -0,0 +1,169 @@
+/**
+ * 物理调试绘制 - 把物理世界的状态加入渲染器的 debug 层：物体形状（按类型着色）、接触点和法线、
+ * 速度向量、上一帧的射线检测以及空间哈希网格
+ *
+ * 需要通过 renderer.setPhysics(physics) 指定物理引擎，并同时开启 renderer.setDebugMode(true) 和 physics.debugRender，
+ * 各叠加层由渲染器的调试选项控制：
+ *
+ *   renderer.setDebugOption('showColliders', true);   // 物体形状
+ *   renderer.setDebugOption('showContacts', true);    // 接触点和法线
+ *   renderer.setDebugOption('showVelocities', true);  // 速度向量
+ *   renderer.setDebugOption('showRaycasts', true);    // 射线和形状扫掠
+ *   renderer.setDebugOption('showGrid', true);        // 空间哈希中有物体的网格
+ */
+class PhysicsDebugDraw {
+    // 按调试选项绘制各叠加层，只绘制视野内的部分
+    static render(physics, renderer, options = {}) {
+        const layer = PhysicsDebugDraw.LAYER;
+
+        if (options.showGrid) {
+            this.drawGrid(physics, renderer, layer);
+        }
+        if (options.showColliders) {
+            this.drawBodies(physics, renderer, layer);
+        }
+        if (options.showVelocities) {
+            this.drawVelocities(physics, renderer, layer);
+        }
+        if (options.showContacts) {
+            this.drawContacts(physics, renderer, layer);
+        }
+
+        // 射线记录每次绘制后清空，关闭该叠加层时也清空，避免记录一直累积
+        if (options.showRaycasts) {
+            this.drawRaycasts(physics, renderer, layer);
+        }
+        physics.debugRaycasts.length = 0;
+    }
+
+    // 物体颜色：触发器、休眠优先于物体类型
+    static getBodyColor(body) {
+        const colors = PhysicsDebugDraw.COLORS;
+        if (body.isTrigger) return colors.trigger;
+        if (body.isSleeping) return colors.sleeping;
+        return colors[body.type] || colors.dynamic;
+    }
+
+    // 边界框是否在视野内
+    static isVisible(renderer, bounds) {
+        return renderer.isInView(bounds.left, bounds.top, bounds.right - bounds.left, bounds.bottom - bounds.top);
+    }
+
+    // 物体形状的轮廓
+    static drawBodies(physics, renderer, layer) {
+        physics.bodies.forEach(body => {
+            if (!body.enabled || !this.isVisible(renderer, body.bounds)) return;
+
+            const color = this.getBodyColor(body);
+            const shape = body.shape;
+
+            if (shape.type === 'circle') {
+                renderer.drawCircle(body.position.x, body.position.y, shape.radius, color, layer, { filled: false });
+
+                // 半径线显示旋转角度
+                const edge = Vector2.add(body.position, Vector2.fromAngle(body.rotation).multiply(shape.radius));
+                renderer.drawLine(body.position.x, body.position.y, edge.x, edge.y, color, layer);
+            } else if (shape.type === 'capsule') {
+                const core = CollisionShapes.getCore(body);
+                core.points.forEach(point => {
+                    renderer.drawCircle(point.x, point.y, core.radius, color, layer, { filled: false });
+                });
+
+                const box = CollisionShapes.getSegmentBox(core);
+                if (box) {
+                    renderer.drawLine(box[0].x, box[0].y, box[1].x, box[1].y, color, layer);
+                    renderer.drawLine(box[2].x, box[2].y, box[3].x, box[3].y, color, layer);
+                }
+            } else if (shape.type === 'rect' && CollisionShapes.isSimple(body)) {
+                const bounds = body.bounds;
+                renderer.drawRect(bounds.left, bounds.top, bounds.right - bounds.left, bounds.bottom - bounds.top, color, layer, { filled: false });
+            } else {
+                renderer.drawPolygon(CollisionShapes.getCore(body).points, color, layer, { filled: false });
+            }
+
+            // 单向平台用粗线标出可站立的顶面
+            if (body.oneWay) {
+                renderer.drawLine(body.bounds.left, body.bounds.top, body.bounds.right, body.bounds.top, color, layer, { lineWidth: 3 });
+            }
+        });
+    }
+
+    // 速度向量（显示 VELOCITY_SCALE 秒内的位移）
+    static drawVelocities(physics, renderer, layer) {
+        const scale = PhysicsDebugDraw.VELOCITY_SCALE;
+
+        physics.dynamicBodies.forEach(body => {
+            if (!body.enabled || body.isSleeping || body.velocity.isZero()) return;
+            if (!this.isVisible(renderer, body.bounds)) return;
+
+            const end = Vector2.add(body.position, Vector2.multiply(body.velocity, scale));
+            renderer.drawLine(body.position.x, body.position.y, end.x, end.y, PhysicsDebugDraw.COLORS.velocity, layer);
+        });
+    }
+
+    // 上一步的接触点和碰撞法线（法线由 bodyA 指向 bodyB）
+    static drawContacts(physics, renderer, layer) {
+        const colors = PhysicsDebugDraw.COLORS;
+        const length = PhysicsDebugDraw.NORMAL_LENGTH;
+
+        physics.collisionPairs.forEach(collision => {
+            const point = collision.contactPoint;
+            if (!point) return;
+
+            const end = Vector2.add(point, Vector2.multiply(collision.normal, length));
+            renderer.drawRect(point.x - 2, point.y - 2, 4, 4, colors.contact, layer);
+            renderer.drawLine(point.x, point.y, end.x, end.y, colors.normal, layer);
+        });
+    }
+
+    // 上一帧记录的射线（命中点画成小方块）
+    static drawRaycasts(physics, renderer, layer) {
+        const colors = PhysicsDebugDraw.COLORS;
+
+        physics.debugRaycasts.forEach(ray => {
+            renderer.drawLine(ray.origin.x, ray.origin.y, ray.end.x, ray.end.y, colors.ray, layer, { alpha: 0.8 });
+            ray.hits.forEach(point => {
+                renderer.drawRect(point.x - 2, point.y - 2, 4, 4, colors.rayHit, layer);
+            });
+        });
+    }
+
+    // 空间哈希中有物体的网格，物体越多填充越不透明
+    static drawGrid(physics, renderer, layer) {
+        const broadPhase = physics.broadPhase;
+        const size = broadPhase.cellSize;
+        const color = PhysicsDebugDraw.COLORS.grid;
+
+        broadPhase.grid.forEach((bodies, key) => {
+            const cell = SpatialHash.getCellCoords(key);
+            const x = cell.x * size;
+            const y = cell.y * size;
+            if (!renderer.isInView(x, y, size, size)) return;
+
+            renderer.drawRect(x, y, size, size, color, layer, { alpha: Math.min(0.4, bodies.size * 0.05) });
+            renderer.drawRect(x, y, size, size, color, layer, { filled: false });
+        });
+    }
+}
+
+// 绘制到的渲染层
+PhysicsDebugDraw.LAYER = 'debug';
+
+// 速度向量显示的时间长度（秒）和法线长度（像素）
+PhysicsDebugDraw.VELOCITY_SCALE = 0.1;
+PhysicsDebugDraw.NORMAL_LENGTH = 16;
+
+// 叠加层颜色
+PhysicsDebugDraw.COLORS = {
+    static: '#95a5a6',
+    dynamic: '#2ecc71',
+    kinematic: '#3498db',
+    trigger: '#f1c40f',
+    sleeping: '#9b59b6',
+    contact: '#e74c3c',
+    normal: '#e67e22',
+    velocity: '#00ffff',
+    ray: '#ff00ff',
+    rayHit: '#ffffff',
+    grid: '#555555'
+};
@@ -2,13 +2,16 @@
  * 物理引擎 - 处理2D物理模拟和碰撞检测
  */
 class PhysicsEngine {
-    constructor() {
+    constructor(options = {}) {
         // 物理世界设置
         this.gravity = new Vector2(0, 980); // 重力加速度 (pixels/s²)
         this.timeStep = 1/60; // 固定时间步长
         this.velocityIterations = 8;
         this.positionIterations = 3;
         
+        // 作为引擎系统注册时只在固定步中模拟（引擎调用 fixedUpdate，不调用 update）
+        this.fixedStepOnly = true;
+        
         // 物理体管理
         this.bodies = new Map();
         this.staticBodies = new Set();
@@ -18,55 +21,168 @@ class PhysicsEngine {
         this.collisionPairs = new Set();
         this.broadPhase = new SpatialHash(64); // 空间哈希网格大小
         
+        // 命名碰撞层和碰撞矩阵
+        this.collisionMatrix = new CollisionMatrix(options.collisionConfig || CollisionConfig);
+        
         // 约束和关节
         this.constraints = [];
         
-        // 物理材质
+        // 物理材质（物体按名称引用），以及材质没有指定组合规则时使用的默认规则
         this.materials = new Map();
+        this.frictionCombine = 'geometric';
+        this.restitutionCombine = 'min';
         this.setupDefaultMaterials();
         
-        // 调试渲染
-        this.debugRender = false;
+        // 单向平台：落点判定容差（像素），以及本步/上一步每个物体站立的平台
+        this.oneWayTolerance = 4;
+        this.platformContacts = new Map();
+        this.previousPlatformContacts = new Map();
+        
+        // 触发器接触：上一步的接触和本步检测到的接触，key 为两个物体 id 组成的配对键
+        this.triggerContacts = new Map();
+        this.currentTriggerContacts = new Map();
+        
+        // 本步已由连续碰撞检测处理的 bullet 物体（离散检测跳过它们）
+        this.sweptBodies = new Set();
+        
+        // 休眠：线速度（像素/秒）和角速度持续 timeToSleep 秒低于阈值的物体，按接触和约束组成的岛屿一起休眠
+        this.sleepEnabled = options.sleepEnabled !== false;
+        this.sleepLinearThreshold = 8;
+        this.sleepAngularThreshold = 0.1;
+        this.timeToSleep = 0.5;
+        
+        // 调试渲染：开启时记录射线检测，由 PhysicsDebugDraw 绘制后清空（最多保留 maxDebugRaycasts 条）
+        this.debugRender = options.debugRender || false;
+        this.debugRaycasts = [];
+        this.maxDebugRaycasts = 256;
         
         // 性能统计
         this.stats = {
             bodyCount: 0,
             collisionChecks: 0,
-            collisionsDetected: 0
+            collisionsDetected: 0,
+            continuousHits: 0,
+            broadPhaseMoves: 0,
+            sleepingBodies: 0,
+            awakeBodies: 0
         };
     }
 
     // 设置默认材质
     setupDefaultMaterials() {
-        this.materials.set('default', {
-            density: 1.0,
+        this.registerMaterial('default', {
             friction: 0.3,
             restitution: 0.2
         });
         
-        this.materials.set('bouncy', {
-            density: 1.0,
+        this.registerMaterial('bouncy', {
             friction: 0.1,
-            restitution: 0.9
+            restitution: 0.9,
+            restitutionCombine: 'max'
         });
         
-        this.materials.set('ice', {
-            density: 1.0,
+        this.registerMaterial('ice', {
             friction: 0.05,
-            restitution: 0.1
+            restitution: 0.1,
+            frictionCombine: 'min',
+            traction: 0.15
         });
         
-        this.materials.set('sticky', {
-            density: 1.0,
+        this.registerMaterial('sticky', {
             friction: 0.9,
-            restitution: 0.0
+            restitution: 0.0,
+            frictionCombine: 'max'
+        });
+        
+        this.registerMaterial('mud', {
+            friction: 0.8,
+            restitution: 0.0,
+            restitutionCombine: 'min',
+            traction: 0.6,
+            speedScale: 0.55
+        });
+        
+        this.registerMaterial('metal', {
+            density: 7.8,
+            friction: 0.4,
+            restitution: 0.3
+        });
+        
+        this.registerMaterial('water', {
+            friction: 0.2,
+            restitution: 0.0,
+            traction: 0.5,
+            speedScale: 0.5
+        });
+    }
+
+    // 注册（或覆盖）命名材质
+    // friction/restitution 参与碰撞求解，xxxCombine 为与另一材质组合的规则（见 PhysicsEngine.COMBINE_RULES）；
+    // traction（地面加速度比例）、speedScale（移动速度比例）和 footstep（脚步音效）供角色控制器和音频使用
+    registerMaterial(name, properties = {}) {
+        const material = {
+            name: name,
+            density: 1.0,
+            friction: 0.3,
+            restitution: 0.2,
+            frictionCombine: null,
+            restitutionCombine: null,
+            traction: 1,
+            speedScale: 1,
+            footstep: `footstep_${name}`,
+            ...properties
+        };
+        
+        ['frictionCombine', 'restitutionCombine'].forEach(key => {
+            if (material[key] && !PhysicsEngine.COMBINE_RULES[material[key]]) {
+                console.warn(`Unknown ${key} rule '${material[key]}' for material ${name}`);
+                material[key] = null;
+            }
         });
+        
+        this.materials.set(name, material);
+        return material;
+    }
+
+    // 获取物体的材质（物体的 material 可以是材质名称或材质对象，未知名称使用默认材质）
+    getMaterial(body) {
+        if (typeof body.material !== 'string') return body.material;
+        return this.materials.get(body.material) || this.materials.get('default');
+    }
+
+    // 按两个材质的组合规则计算接触的摩擦系数和反弹系数
+    combineMaterials(bodyA, bodyB) {
+        const materialA = this.getMaterial(bodyA);
+        const materialB = this.getMaterial(bodyB);
+        
+        return {
+            friction: this.combineProperty(materialA, materialB, 'friction'),
+            restitution: this.combineProperty(materialA, materialB, 'restitution')
+        };
+    }
+
+    // 组合一项材质属性，两个材质的规则不同时使用优先级较高的规则
+    combineProperty(materialA, materialB, property) {
+        const ruleA = materialA[`${property}Combine`] || this[`${property}Combine`];
+        const ruleB = materialB[`${property}Combine`] || this[`${property}Combine`];
+        const rules = Object.keys(PhysicsEngine.COMBINE_RULES);
+        const rule = rules.indexOf(ruleA) >= rules.indexOf(ruleB) ? ruleA : ruleB;
+        
+        return PhysicsEngine.COMBINE_RULES[rule](materialA[property], materialB[property]);
     }
 
     // 创建物理体
     createBody(options = {}) {
-        const body = new PhysicsBody(options);
+        return this.addBody(new PhysicsBody(options));
+    }
+
+    // 添加已创建的物理体
+    addBody(body) {
+        this.collisionMatrix.applyLayer(body);
         
+        if (typeof body.material === 'string' && !this.materials.has(body.material)) {
+            console.warn(`Unknown material '${body.material}' on body ${body.id}, using 'default'`);
+        }
         this.bodies.set(body.id, body);
         
         if (body.type === 'static') {
@@ -75,25 +191,162 @@ class PhysicsEngine {
             this.dynamicBodies.add(body);
         }
         
+        if (body.enabled) {
+            this.broadPhase.insert(body);
+        }
+        
         this.stats.bodyCount++;
         return body;
     }
 
-    // 移除物理体
+    // 移除物理体（先唤醒停在它上面或与它相连的休眠物体）
     removeBody(body) {
         if (this.bodies.has(body.id)) {
+            this.wakeNeighbours(body);
             this.bodies.delete(body.id);
             this.staticBodies.delete(body);
             this.dynamicBodies.delete(body);
+            this.broadPhase.remove(body);
+            this.platformContacts.delete(body);
+            this.previousPlatformContacts.delete(body);
+            this.removeTriggerContacts(body);
+            this.constraints = this.constraints.filter(constraint => constraint.bodyA !== body && constraint.bodyB !== body);
             this.stats.bodyCount--;
         }
     }
 
+    // 移除物体参与的触发器接触（移除的物体不再收到停留或离开事件）
+    removeTriggerContacts(body) {
+        [this.triggerContacts, this.currentTriggerContacts].forEach(contacts => {
+            contacts.forEach((contact, key) => {
+                if (contact.trigger === body || contact.other === body) {
+                    contacts.delete(key);
+                }
+            });
+        });
+    }
+
+    // 唤醒物体所在的岛屿、与它接触（包围盒相交或相距不超过 1 像素）的休眠物体，以及通过约束与它相连的物体
+    // 静态物体不属于任何岛屿，移除或禁用物体时必须显式唤醒邻居，否则停在它上面的物体会悬在半空
+    wakeNeighbours(body) {
+        const wake = other => {
+            if (other && other.isSleeping) other.wake();
+        };
+        
+        wake(body);
+        this.getConstraints(body).forEach(constraint => {
+            wake(constraint.bodyA);
+            wake(constraint.bodyB);
+        });
+        
+        const bounds = {
+            left: body.bounds.left - 1,
+            top: body.bounds.top - 1,
+            right: body.bounds.right + 1,
+            bottom: body.bounds.bottom + 1
+        };
+        this.broadPhase.queryBounds(bounds).forEach(other => {
+            if (other !== body && this.aabbOverlap(bounds, other.bounds)) {
+                wake(other);
+            }
+        });
+    }
+
+    // 添加约束
+    addConstraint(constraint) {
+        if (!constraint || this.constraints.includes(constraint)) return constraint;
+        
+        this.constraints.push(constraint);
+        
+        // 连接到休眠物体时唤醒它们
+        constraint.bodyA.wake();
+        if (constraint.bodyB) {
+            constraint.bodyB.wake();
+        }
+        
+        return constraint;
+    }
+
+    // 按类型创建约束：'distance'、'rope'、'spring'、'pin'、'hinge'
+    createConstraint(type, bodyA, bodyB = null, options = {}) {
+        return this.addConstraint(Constraint.create(type, bodyA, bodyB, options));
+    }
+
+    // 移除约束
+    removeConstraint(constraint) {
+        const index = this.constraints.indexOf(constraint);
+        if (index !== -1) {
+            this.constraints.splice(index, 1);
+        }
+    }
+
+    // 获取连接到物体的约束
+    getConstraints(body) {
+        return this.constraints.filter(constraint => constraint.bodyA === body || constraint.bodyB === body);
+    }
+
+    // 速度迭代：消除违反约束的相对速度，并移除超过断裂冲量的约束
+    solveConstraintVelocities(deltaTime) {
+        if (this.constraints.length === 0) return;
+        
+        const active = this.constraints.filter(constraint => constraint.enabled && !this.isConstraintAsleep(constraint));
+        active.forEach(constraint => {
+            // 另一端在移动时唤醒休眠的一端（如固定在移动的运动学物体上的动态物体）
+            [constraint.bodyA, constraint.bodyB].forEach(body => {
+                if (body && body.isSleeping) body.wake();
+            });
+            constraint.preStep();
+        });
+        
+        for (let i = 0; i < this.velocityIterations; i++) {
+            active.forEach(constraint => constraint.solveVelocity(deltaTime));
+        }
+        
+        active.forEach(constraint => {
+            if (constraint.shouldBreak()) {
+                this.breakConstraint(constraint);
+            }
+        });
+    }
+
+    // 位置迭代：修正积分后残余的约束误差
+    solveConstraintPositions() {
+        if (this.constraints.length === 0) return;
+        
+        for (let i = 0; i < this.positionIterations; i++) {
+            this.constraints.forEach(constraint => {
+                if (constraint.enabled && !this.isConstraintAsleep(constraint)) {
+                    constraint.solvePosition();
+                }
+            });
+        }
+    }
+
+    // 约束两端都没有活动的动态物体或移动中的运动学物体时跳过求解
+    isConstraintAsleep(constraint) {
+        const isAwake = body => body && !body.isSleeping && (body.type === 'dynamic' ||
+            (body.type === 'kinematic' && body.enabled && (body.velocity.x !== 0 || body.velocity.y !== 0 || body.angularVelocity !== 0)));
+        return !isAwake(constraint.bodyA) && !isAwake(constraint.bodyB);
+    }
+
+    // 约束断裂
+    breakConstraint(constraint) {
+        constraint.broken = true;
+        this.removeConstraint(constraint);
+        
+        gameEventBus.emit(GameEvents.CONSTRAINT_BREAK, {
+            constraint: constraint,
+            impulse: constraint.impulse
+        });
+    }
+
     // 物理更新
     update(deltaTime) {
         // 重置统计
         this.stats.collisionChecks = 0;
         this.stats.collisionsDetected = 0;
+        this.stats.continuousHits = 0;
+        this.stats.broadPhaseMoves = 0;
         
         // 更新动态物体
         this.updateDynamicBodies(deltaTime);
@@ -104,6 +357,9 @@ class PhysicsEngine {
         // 解决碰撞
         this.resolveCollisions();
         
+        // 更新休眠状态
+        this.updateSleeping(deltaTime);
+        
         // 更新空间哈希
         this.updateSpatialHash();
         
@@ -114,83 +370,648 @@ class PhysicsEngine {
         });
     }
 
-    // 更新动态物体
+    // 引擎系统的固定步更新：引擎传入的时间单位为毫秒，换算为秒（与 World.fixedUpdate 一致）
+    fixedUpdate(deltaTime) {
+        this.update(deltaTime / 1000);
+    }
+
+    // 更新动态物体和运动学物体（半隐式欧拉：先更新所有速度并求解约束速度，再用新速度更新位置并修正约束位置）
     updateDynamicBodies(deltaTime) {
         this.dynamicBodies.forEach(body => {
-            if (!body.enabled) return;
-            
-            // 应用重力
-            if (body.useGravity) {
-                body.velocity.add(Vector2.multiply(this.gravity, deltaTime));
-            }
+            // 休眠的物体不参与模拟
+            if (body.isSleeping) return;
             
-            // 应用阻尼
-            body.velocity.multiply(Math.pow(1 - body.linearDamping, deltaTime));
-            body.angularVelocity *= Math.pow(1 - body.angularDamping, deltaTime);
+            // 记录积分前的位置（单向平台判断物体是否从上方落下）
+            body.previousPosition.copy(body.position);
             
-            // 限制速度
-            if (body.maxVelocity > 0) {
-                body.velocity.limit(body.maxVelocity);
+            if (body.oneWayIgnoreTime > 0) {
+                body.oneWayIgnoreTime = Math.max(0, body.oneWayIgnoreTime - deltaTime);
             }
             
-            // 更新位置
-            const deltaPos = Vector2.multiply(body.velocity, deltaTime);
-            body.position.add(deltaPos);
+            if (body.enabled && body.type === 'dynamic') {
+                this.integrateVelocity(body, deltaTime);
+            }
             
-            // 更新旋转
-            body.rotation += body.angularVelocity * deltaTime;
+            // 每步结束清除累积的力
+            body.clearForces();
+        });
+        
+        this.solveConstraintVelocities(deltaTime);
+        
+        this.dynamicBodies.forEach(body => {
+            if (!body.enabled || body.isSleeping) return;
             
-            // 更新边界框
-            body.updateBounds();
+            if (body.type === 'kinematic') {
+                this.integrateKinematic(body, deltaTime);
+            } else {
+                this.integratePosition(body, deltaTime);
+            }
         });
+        
+        this.solveConstraintPositions();
+    }
+
+    // 动态物体速度积分（用累积的力和重力更新速度）
+    integrateVelocity(body, deltaTime) {
+        const inverseMass = body.getInverseMass();
+        
+        // 加速度 = 累积力 / 质量 + 重力
+        let accelerationX = body.force.x * inverseMass;
+        let accelerationY = body.force.y * inverseMass;
+        
+        if (body.useGravity) {
+            accelerationX += this.gravity.x;
+            accelerationY += this.gravity.y;
+        }
+        
+        body.velocity.x += accelerationX * deltaTime;
+        body.velocity.y += accelerationY * deltaTime;
+        
+        // 应用阻尼（阻尼系数表示每秒损失的速度比例）
+        body.velocity.multiply(Math.pow(1 - body.linearDamping, deltaTime));
+        body.angularVelocity *= Math.pow(1 - body.angularDamping, deltaTime);
+        
+        // 限制速度
+        if (body.maxVelocity > 0) {
+            body.velocity.limit(body.maxVelocity);
+        }
+    }
+
+    // 动态物体位置积分（用更新后的速度推进位置和旋转）
+    integratePosition(body, deltaTime) {
+        body.position.x += body.velocity.x * deltaTime;
+        body.position.y += body.velocity.y * deltaTime;
+        body.rotation += body.angularVelocity * deltaTime;
+        
+        body.updateBounds();
+    }
+
+    // 运动学物体积分（只按设定的速度移动，不受力、重力和阻尼影响）
+    integrateKinematic(body, deltaTime) {
+        body.position.x += body.velocity.x * deltaTime;
+        body.position.y += body.velocity.y * deltaTime;
+        body.rotation += body.angularVelocity * deltaTime;
+        
+        body.updateBounds();
     }
 
     // 碰撞检测
     detectCollisions() {
         this.collisionPairs.clear();
         
-        // 广相检测 - 使用空间哈希
-        const potentialPairs = this.broadPhase.getPotentialCollisions();
+        // 交换本步与上一步的平台接触记录
+        const previousContacts = this.previousPlatformContacts;
+        this.previousPlatformContacts = this.platformContacts;
+        this.platformContacts = previousContacts;
+        this.platformContacts.clear();
         
-        potentialPairs.forEach(pair => {
-            const [bodyA, bodyB] = pair;
+        // 休眠的物体不参与检测，保留它们上一步站立的平台
+        this.previousPlatformContacts.forEach((contact, body) => {
+            if (body.isSleeping) {
+                this.platformContacts.set(body, contact);
+            }
+        });
+        
+        // 高速物体先做连续碰撞检测
+        this.detectContinuousCollisions();
+        
+        // 广相检测 - 使用空间哈希（不会产生两个静态物体的组合）
+        this.broadPhase.forEachPair((bodyA, bodyB) => {
             this.stats.collisionChecks++;
             
-            // 跳过相同物体
-            if (bodyA === bodyB) return;
+            // 跳过本步已由连续碰撞检测处理的物体
+            if (this.sweptBodies.has(bodyA) || this.sweptBodies.has(bodyB)) return;
             
-            // 跳过两个静态物体
-            if (bodyA.type === 'static' && bodyB.type === 'static') return;
-            
-            // 检查碰撞层
-            if (!this.shouldCollide(bodyA, bodyB)) return;
+            // 按碰撞矩阵检查两层之间是碰撞、只通知还是互不影响
+            const response = this.getCollisionResponse(bodyA, bodyB);
+            if (!response) return;
             
             // 精确碰撞检测
             const collision = this.checkCollision(bodyA, bodyB);
-            if (collision) {
-                this.collisionPairs.add(collision);
+            if (collision && this.filterOneWayCollision(collision)) {
                 this.stats.collisionsDetected++;
+                collision.response = response;
+                
+                // 触发器只记录接触，只通知的层只发送事件，都不参与碰撞解决
+                if (bodyA.isTrigger || bodyB.isTrigger) {
+                    collision.isTrigger = true;
+                    this.recordTriggerContact(collision);
+                } else if (response === 'collide') {
+                    this.collisionPairs.add(collision);
+                    
+                    // 记录站立的平台
+                    this.trackPlatformContact(collision);
+                }
                 
                 // 发送碰撞事件
                 this.emitCollisionEvent(bodyA, bodyB, collision);
             }
         });
+        
+        this.emitPlatformLandings();
+        this.updateTriggerContacts();
+    }
+
+    // 记录本步的触发器接触（两个都是触发器时以 id 较小的一方作为触发器）
+    recordTriggerContact(collision) {
+        const { bodyA, bodyB } = collision;
+        const trigger = bodyA.isTrigger && (!bodyB.isTrigger || bodyA.id < bodyB.id) ? bodyA : bodyB;
+        const other = trigger === bodyA ? bodyB : bodyA;
+        
+        this.currentTriggerContacts.set(`${trigger.id}-${other.id}`, {
+            trigger: trigger,
+            other: other,
+            collision: collision
+        });
+    }
+
+    // 与上一步的接触比较，分发进入/停留/退出
+    updateTriggerContacts() {
+        const previous = this.triggerContacts;
+        const current = this.currentTriggerContacts;
+        
+        this.triggerContacts = current;
+        this.currentTriggerContacts = previous;
+        
+        current.forEach((contact, key) => {
+            this.dispatchTriggerEvent(previous.has(key) ? 'stay' : 'enter', contact);
+        });
+        
+        previous.forEach((contact, key) => {
+            if (current.has(key)) return;
+            
+            // 双方都休眠（或静态）时不会被检测到，保留接触而不发送离开事件
+            if (this.isDormant(contact.trigger) && this.isDormant(contact.other)) {
+                current.set(key, contact);
+            } else {
+                this.dispatchTriggerEvent('exit', contact);
+            }
+        });
+        
+        previous.clear();
+    }
+
+    // 物体是否在物理世界中但不会主动参与检测（静态或休眠）
+    isDormant(body) {
+        return this.bodies.has(body.id) && body.enabled && (body.type === 'static' || body.isSleeping);
+    }
+
+    // 调用双方实体的触发器回调并发送总线事件
+    dispatchTriggerEvent(phase, contact) {
+        const { handler, event } = PhysicsEngine.TRIGGER_PHASES[phase];
+        const triggerEntity = this.getBodyEntity(contact.trigger);
+        const otherEntity = this.getBodyEntity(contact.other);
+        
+        if (triggerEntity && !triggerEntity.destroyed) {
+            triggerEntity[handler](otherEntity || contact.other);
+        }
+        if (otherEntity && !otherEntity.destroyed) {
+            otherEntity[handler](triggerEntity || contact.trigger);
+        }
+        
+        gameEventBus.emit(event, {
+            trigger: contact.trigger,
+            other: contact.other,
+            triggerEntity: triggerEntity,
+            otherEntity: otherEntity,
+            collision: contact.collision
+        });
+    }
+
+    // 获取物理体所属的实体
+    getBodyEntity(body) {
+        return body.userData && body.userData.entity ? body.userData.entity : null;
+    }
+
+    // 检查两个物体当前是否处于触发器接触中
+    isTouchingTrigger(bodyA, bodyB) {
+        return this.triggerContacts.has(`${bodyA.id}-${bodyB.id}`) || this.triggerContacts.has(`${bodyB.id}-${bodyA.id}`);
+    }
+
+    // 单向平台过滤：只有从平台上方落下的物体才与平台顶面碰撞，返回 false 表示忽略该碰撞
+    filterOneWayCollision(collision) {
+        const { bodyA, bodyB } = collision;
+        if (!bodyA.oneWay && !bodyB.oneWay) return true;
+        if (bodyA.oneWay && bodyB.oneWay) return false;
+        
+        const platform = bodyA.oneWay ? bodyA : bodyB;
+        const other = bodyA.oneWay ? bodyB : bodyA;
+        
+        // 正在下穿平台
+        if (other.oneWayIgnoreTime > 0) return false;
+        
+        // 相对平台向上运动时可以穿过
+        if (other.velocity.y - platform.velocity.y < 0) return false;
+        
+        // 上一步物体底部必须在平台顶面之上
+        const previousBottom = other.previousPosition.y + (other.bounds.bottom - other.position.y);
+        const platformTop = platform.bounds.top;
+        if (previousBottom > platformTop + this.oneWayTolerance) return false;
+        
+        // 只从顶面解决碰撞：法线竖直，把物体推到平台顶面
+        collision.normal = new Vector2(0, other === bodyA ? 1 : -1);
+        collision.penetration = other.bounds.bottom - platformTop;
+        collision.contactPoint = new Vector2(other.position.x, platformTop);
+        
+        return collision.penetration > 0;
+    }
+
+    // 记录动态物体站在静态/运动学物体顶面上的接触
+    trackPlatformContact(collision) {
+        const { bodyA, bodyB, normal } = collision;
+        
+        // 法线由 A 指向 B：A 被向上推时 normal.y > 0，B 被向上推时 normal.y < 0
+        if (bodyA.type === 'dynamic' && bodyB.type !== 'dynamic' && normal.y > 0.5) {
+            this.platformContacts.set(bodyA, { platform: bodyB, collision: collision, material: this.getMaterial(bodyB) });
+        } else if (bodyB.type === 'dynamic' && bodyA.type !== 'dynamic' && normal.y < -0.5) {
+            this.platformContacts.set(bodyB, { platform: bodyA, collision: collision, material: this.getMaterial(bodyA) });
+        }
+    }
+
+    // 玩家落到新的平台上时发送 COLLISION_PLAYER_PLATFORM 事件
+    emitPlatformLandings() {
+        this.platformContacts.forEach((contact, body) => {
+            const previous = this.previousPlatformContacts.get(body);
+            if (previous && previous.platform === contact.platform) return;
+            if (!body.userData || body.userData.type !== 'player') return;
+            
+            gameEventBus.emit(GameEvents.COLLISION_PLAYER_PLATFORM, {
+                bodyA: body,
+                bodyB: contact.platform,
+                collision: contact.collision,
+                platformType: contact.platform.oneWay ? 'oneWay' : 'solid',
+                material: contact.material
+            });
+        });
+    }
+
+    // 让物体在一段时间内忽略单向平台（用于按下+跳跃下穿平台）
+    dropThrough(body, duration = 0.25) {
+        body.dropThrough(duration);
+    }
+
+    // 获取物体当前站立的平台
+    getPlatformUnder(body) {
+        const contact = this.platformContacts.get(body);
+        return contact ? contact.platform : null;
+    }
+
+    // 获取物体当前站立表面的材质
+    getGroundMaterial(body) {
+        const contact = this.platformContacts.get(body);
+        return contact ? contact.material : null;
+    }
+
+    // 连续碰撞检测：对开启 bullet 的物体做上一步位置到当前位置的扫掠检测，防止高速穿透
+    // 依次报告最早的阻挡物之前经过的触发器，并把物体退回到与阻挡物接触的位置
+    detectContinuousCollisions() {
+        this.sweptBodies.clear();
+        
+        this.dynamicBodies.forEach(body => {
+            if (!body.bullet || !body.enabled || body.isSleeping) return;
+            
+            const hits = this.sweepBody(body);
+            if (hits.length === 0) return;
+            
+            this.sweptBodies.add(body);
+            const motion = Vector2.subtract(body.position, body.previousPosition);
+            
+            for (const collision of hits) {
+                this.stats.collisionsDetected++;
+                this.stats.continuousHits++;
+                this.emitCollisionEvent(collision.bodyA, collision.bodyB, collision);
+                
+                if (collision.isTrigger) {
+                    this.recordTriggerContact(collision);
+                } else if (collision.response === 'collide') {
+                    body.position.copy(Vector2.add(body.previousPosition, Vector2.multiply(motion, collision.timeOfImpact)));
+                    body.updateBounds();
+                    this.collisionPairs.add(collision);
+                    break;
+                }
+            }
+        });
+    }
+
+    // 扫掠检测物体本步的运动，返回按撞击时间排序的碰撞列表
+    // timeOfImpact 为本步内的比例（0-1），normal 由该物体指向被撞物体
+    sweepBody(body) {
+        const motion = Vector2.subtract(body.position, body.previousPosition);
+        if (motion.isZero()) return [];
+        
+        // 上一步位置和当前位置的边界框之并
+        const sweptBounds = {
+            left: Math.min(body.bounds.left, body.bounds.left - motion.x),
+            top: Math.min(body.bounds.top, body.bounds.top - motion.y),
+            right: Math.max(body.bounds.right, body.bounds.right - motion.x),
+            bottom: Math.max(body.bounds.bottom, body.bounds.bottom - motion.y)
+        };
+        
+        // 空间哈希中保存的是上一步结束时的位置，与扫掠起点一致
+        const hits = [];
+        this.getBroadPhaseCandidates(sweptBounds).forEach(other => {
+            if (other === body || !other.enabled) return;
+            
+            const response = this.getCollisionResponse(body, other);
+            if (!response) return;
+            
+            this.stats.collisionChecks++;
+            const hit = this.sweepPair(body, other, response);
+            if (hit) {
+                hits.push(hit);
+            }
+        });
+        
+        return hits.sort((a, b) => a.timeOfImpact - b.timeOfImpact);
+    }
+
+    // 获取空间哈希中与区域重叠的网格内的物体
+    getBroadPhaseCandidates(bounds) {
+        return this.broadPhase.queryBounds(bounds);
+    }
+
+    // 两个物体本步运动的扫掠检测
+    sweepPair(body, other, response = 'collide') {
+        const otherStart = other.type === 'static' ? other.position : other.previousPosition;
+        const motion = Vector2.subtract(body.position, body.previousPosition)
+            .subtract(Vector2.subtract(other.position, otherStart));
+        
+        const start = body.previousPosition;
+        const hit = this.sweepShapes(body, start, motion, other, otherStart);
+        
+        if (!hit) return null;
+        
+        // 扫掠检测得到的是被撞物体表面朝外的法线，碰撞法线由 body 指向 other
+        const normal = hit.normal.negate();
+        
+        // 单向平台只接受从上方落到顶面的撞击
+        if (other.oneWay && (normal.y <= 0.5 || body.oneWayIgnoreTime > 0)) return null;
+        if (body.oneWay) return null;
+        
+        const impactPosition = Vector2.add(start, Vector2.multiply(Vector2.subtract(body.position, start), hit.time));
+        const box = this.getShapeBox(body, impactPosition);
+        
+        return {
+            bodyA: body,
+            bodyB: other,
+            normal: normal,
+            penetration: 0,
+            contactPoint: new Vector2(
+                impactPosition.x + normal.x * (box.right - box.left) / 2,
+                impactPosition.y + normal.y * (box.bottom - box.top) / 2
+            ),
+            timeOfImpact: hit.time,
+            isTrigger: body.isTrigger || other.isTrigger,
+            response: response,
+            continuous: true
+        };
+    }
+
+    // 沿位移扫掠物体形状，返回最早撞到的阻挡物（不移动物体，跳过触发器），供角色控制器做碰撞滑动
+    // 结果中 time 为位移比例（0-1），normal 为被撞物体表面朝外的法线；options.filter(other) 返回 false 时忽略该物体
+    castBody(body, displacement, options = {}) {
+        return this.sweepClosest(body, displacement, other =>
+            other !== body &&
+            !other.isTrigger &&
+            this.shouldCollide(body, other) &&
+            (!options.filter || options.filter(other))
+        );
+    }
+
+    // 沿位移扫掠形状，返回最早的命中；accept(other) 决定物体是否参与检测
+    sweepClosest(body, displacement, accept) {
+        if (displacement.isZero()) return null;
+        
+        const castBounds = {
+            left: Math.min(body.bounds.left, body.bounds.left + displacement.x),
+            top: Math.min(body.bounds.top, body.bounds.top + displacement.y),
+            right: Math.max(body.bounds.right, body.bounds.right + displacement.x),
+            bottom: Math.max(body.bounds.bottom, body.bounds.bottom + displacement.y)
+        };
+        
+        let closest = null;
+        this.getBroadPhaseCandidates(castBounds).forEach(other => {
+            if (!other.enabled || !accept(other)) return;
+            
+            const hit = this.sweepShapes(body, body.position, displacement, other, other.position);
+            if (!hit || (closest && hit.time >= closest.time)) return;
+            
+            // 单向平台只挡住从上方落下的物体
+            if (other.oneWay && (hit.normal.y >= -0.5 || body.oneWayIgnoreTime > 0)) return;
+            
+            closest = {
+                body: other,
+                time: hit.time,
+                distance: hit.time * displacement.magnitude(),
+                normal: hit.normal,
+                position: Vector2.add(body.position, Vector2.multiply(displacement, hit.time)),
+                material: this.getMaterial(other)
+            };
+        });
+        
+        return closest;
+    }
+
+    // 形状扫掠检测（以被撞物体为参照系，转化为点/圆对扩展形状的射线检测）
+    // motion 为 body 相对 other 的位移，返回的 normal 为 other 表面朝外的法线
+    sweepShapes(body, start, motion, other, otherStart) {
+        if (motion.isZero()) return null;
+        
+        // 旋转矩形、多边形和胶囊体没有解析解，改用采样 + 二分
+        if (!CollisionShapes.isSimple(body) || !CollisionShapes.isSimple(other)) {
+            return this.sweepShapesSampled(body, start, motion, other, otherStart);
+        }
+        
+        const otherBox = this.getShapeBox(other, otherStart);
+        let hit;
+        
+        if (body.shape.type === 'circle' && other.shape.type === 'circle') {
+            hit = this.sweepPointCircle(start, motion, otherStart, body.shape.radius + other.shape.radius);
+        } else if (body.shape.type === 'circle') {
+            hit = this.sweepCircleBox(start, body.shape.radius, motion, otherBox);
+        } else if (other.shape.type === 'circle') {
+            // 矩形撞圆：改为圆以相反方向撞向矩形，法线方向随之相反
+            hit = this.sweepCircleBox(otherStart, other.shape.radius, Vector2.multiply(motion, -1), this.getShapeBox(body, start));
+            if (hit) {
+                hit.normal.negate();
+            }
+        } else {
+            const box = this.getShapeBox(body, start);
+            const halfWidth = (box.right - box.left) / 2;
+            const halfHeight = (box.bottom - box.top) / 2;
+            hit = this.sweepPointBox(start, motion, {
+                left: otherBox.left - halfWidth,
+                top: otherBox.top - halfHeight,
+                right: otherBox.right + halfWidth,
+                bottom: otherBox.bottom + halfHeight
+            });
+        }
+        
+        return hit;
+    }
+
+    // 采样扫掠检测：沿位移按形状最小尺寸的一半步进找到第一次重叠，再二分逼近撞击时刻
+    sweepShapesSampled(body, start, motion, other, otherStart) {
+        const probe = this.createProbe(body.shape, start, body.rotation);
+        const target = this.createProbe(other.shape, otherStart, other.rotation);
+        
+        const overlapAt = time => {
+            probe.position = Vector2.add(start, Vector2.multiply(motion, time));
+            PhysicsBody.prototype.updateBounds.call(probe);
+            return this.checkCollision(probe, target);
+        };
+        
+        // 起点已重叠，交给离散检测
+        if (overlapAt(0)) return null;
+        
+        const minSize = bounds => Math.min(bounds.right - bounds.left, bounds.bottom - bounds.top);
+        const step = Math.max(1, Math.min(minSize(probe.bounds), minSize(target.bounds)) / 2);
+        const steps = Math.min(64, Math.ceil(motion.magnitude() / step));
+        
+        let before = 0;
+        let after = -1;
+        let collision = null;
+        
+        for (let i = 1; i <= steps; i++) {
+            const time = i / steps;
+            collision = overlapAt(time);
+            if (collision) {
+                after = time;
+                break;
+            }
+            before = time;
+        }
+        
+        if (after < 0) return null;
+        
+        for (let i = 0; i < 12; i++) {
+            const time = (before + after) / 2;
+            const hit = overlapAt(time);
+            if (hit) {
+                after = time;
+                collision = hit;
+            } else {
+                before = time;
+            }
+        }
+        
+        // 碰撞法线由 A 指向 B，转换为被撞物体表面朝外的法线
+        const normal = collision.bodyA === probe ? Vector2.multiply(collision.normal, -1) : collision.normal.clone();
+        return { time: before, normal: normal };
+    }
+
+    // 物体在指定位置时的边界框
+    getShapeBox(body, position) {
+        return {
+            left: body.bounds.left - body.position.x + position.x,
+            top: body.bounds.top - body.position.y + position.y,
+            right: body.bounds.right - body.position.x + position.x,
+            bottom: body.bounds.bottom - body.position.y + position.y
+        };
+    }
+
+    // 线段（起点 + 位移）与矩形的首次相交（起点已在矩形内时返回 null，交给离散检测）
+    sweepPointBox(origin, motion, box) {
+        let entryTime = -Infinity;
+        let exitTime = Infinity;
+        let normal = null;
+        
+        const axes = [
+            { origin: origin.x, delta: motion.x, min: box.left, max: box.right, normal: new Vector2(motion.x > 0 ? -1 : 1, 0) },
+            { origin: origin.y, delta: motion.y, min: box.top, max: box.bottom, normal: new Vector2(0, motion.y > 0 ? -1 : 1) }
+        ];
+        
+        for (const axis of axes) {
+            if (axis.delta === 0) {
+                if (axis.origin <= axis.min || axis.origin >= axis.max) return null;
+                continue;
+            }
+            
+            const t1 = (axis.min - axis.origin) / axis.delta;
+            const t2 = (axis.max - axis.origin) / axis.delta;
+            const near = Math.min(t1, t2);
+            const far = Math.max(t1, t2);
+            
+            if (near > entryTime) {
+                entryTime = near;
+                normal = axis.normal;
+            }
+            exitTime = Math.min(exitTime, far);
+        }
+        
+        if (entryTime > exitTime || entryTime < 0 || entryTime > 1) return null;
+        
+        return { time: entryTime, normal: normal };
+    }
+
+    // 线段与圆的首次相交
+    sweepPointCircle(origin, motion, center, radius) {
+        const offset = Vector2.subtract(origin, center);
+        const a = motion.dot(motion);
+        const b = 2 * offset.dot(motion);
+        const c = offset.dot(offset) - radius * radius;
+        
+        // 起点已在圆内
+        if (c < 0 || a === 0) return null;
+        
+        const discriminant = b * b - 4 * a * c;
+        if (discriminant < 0) return null;
+        
+        const time = (-b - Math.sqrt(discriminant)) / (2 * a);
+        if (time < 0 || time > 1) return null;
+        
+        const hitPoint = Vector2.add(origin, Vector2.multiply(motion, time));
+        return { time: time, normal: Vector2.subtract(hitPoint, center).normalize() };
+    }
+
+    // 圆与矩形的扫掠检测：扩展后的圆角矩形由横向、纵向扩展的两个矩形和四个角点圆组成，取最早的撞击
+    sweepCircleBox(center, radius, motion, box) {
+        // 起点已与矩形重叠
+        const closestX = Math.max(box.left, Math.min(center.x, box.right));
+        const closestY = Math.max(box.top, Math.min(center.y, box.bottom));
+        if (Vector2.subtract(center, new Vector2(closestX, closestY)).magnitudeSquared() < radius * radius) return null;
+        
+        const hits = [
+            this.sweepPointBox(center, motion, { left: box.left - radius, top: box.top, right: box.right + radius, bottom: box.bottom }),
+            this.sweepPointBox(center, motion, { left: box.left, top: box.top - radius, right: box.right, bottom: box.bottom + radius }),
+            this.sweepPointCircle(center, motion, new Vector2(box.left, box.top), radius),
+            this.sweepPointCircle(center, motion, new Vector2(box.right, box.top), radius),
+            this.sweepPointCircle(center, motion, new Vector2(box.left, box.bottom), radius),
+            this.sweepPointCircle(center, motion, new Vector2(box.right, box.bottom), radius)
+        ];
+        
+        return hits.reduce((earliest, hit) => (hit && (!earliest || hit.time < earliest.time) ? hit : earliest), null);
     }
 
     // 检查两个物体是否应该碰撞
     shouldCollide(bodyA, bodyB) {
-        // 检查碰撞层
-        return (bodyA.collisionMask & bodyB.collisionLayer) !== 0 ||
-               (bodyB.collisionMask & bodyA.collisionLayer) !== 0;
+        // 只有碰撞矩阵中为 'collide' 的层之间会互相阻挡
+        return this.getCollisionResponse(bodyA, bodyB) === 'collide';
+    }
+
+    // 获取两个物体之间的碰撞响应：'collide'、'notify' 或 null
+    getCollisionResponse(bodyA, bodyB) {
+        return this.collisionMatrix.getResponse(bodyA, bodyB);
+    }
+
+    // 替换碰撞层配置，并重新计算已有物体的碰撞层
+    setCollisionConfig(config) {
+        this.collisionMatrix.configure(config);
+        this.bodies.forEach(body => this.collisionMatrix.applyLayer(body));
     }
 
-    // 精确碰撞检测
+    // 精确碰撞检测（返回的法线统一由 bodyA 指向 bodyB）
     checkCollision(bodyA, bodyB) {
         // AABB预检测
         if (!this.aabbOverlap(bodyA.bounds, bodyB.bounds)) {
             return null;
         }
         
+        // 旋转矩形、多边形和胶囊体使用分离轴检测
+        if (!CollisionShapes.isSimple(bodyA) || !CollisionShapes.isSimple(bodyB)) {
+            return CollisionShapes.collide(bodyA, bodyB);
+        }
+        
         // 根据形状类型选择检测方法
         if (bodyA.shape.type === 'circle' && bodyB.shape.type === 'circle') {
             return this.circleCircleCollision(bodyA, bodyB);
@@ -247,11 +1068,11 @@ class PhysicsEngine {
             
             if (overlapX < overlapY) {
                 // 水平碰撞
-                normal = new Vector2(bodyA.position.x < bodyB.position.x ? -1 : 1, 0);
+                normal = new Vector2(bodyA.position.x < bodyB.position.x ? 1 : -1, 0);
                 penetration = overlapX;
             } else {
                 // 垂直碰撞
-                normal = new Vector2(0, bodyA.position.y < bodyB.position.y ? -1 : 1);
+                normal = new Vector2(0, bodyA.position.y < bodyB.position.y ? 1 : -1);
                 penetration = overlapY;
             }
             
@@ -282,7 +1103,7 @@ class PhysicsEngine {
         const distance = circle.distanceTo(new Vector2(closestX, closestY));
         
         if (distance < circleBody.shape.radius) {
-            const normal = Vector2.subtract(circle, new Vector2(closestX, closestY)).normalize();
+            const normal = Vector2.subtract(new Vector2(closestX, closestY), circle).normalize();
             const penetration = circleBody.shape.radius - distance;
             
             return {
@@ -308,6 +1129,10 @@ class PhysicsEngine {
     resolveCollision(collision) {
         const { bodyA, bodyB, normal, penetration } = collision;
         
+        // 被活动物体撞到时唤醒休眠的物体（及其所在岛屿）
+        if (bodyA.isSleeping) bodyA.wake();
+        if (bodyB.isSleeping) bodyB.wake();
+        
         // 位置修正
         this.resolvePosition(bodyA, bodyB, normal, penetration);
         
@@ -341,8 +1166,8 @@ class PhysicsEngine {
         // 如果物体正在分离，不需要修正
         if (velocityAlongNormal > 0) return;
         
-        // 计算反弹系数
-        const restitution = Math.min(bodyA.material.restitution, bodyB.material.restitution);
+        // 按材质组合规则计算反弹和摩擦系数
+        const { restitution, friction } = this.combineMaterials(bodyA, bodyB);
         
         // 计算冲量
         const impulseScalar = -(1 + restitution) * velocityAlongNormal;
@@ -362,11 +1187,11 @@ class PhysicsEngine {
         }
         
         // 摩擦力
-        this.applyFriction(bodyA, bodyB, normal, impulseScalar);
+        this.applyFriction(bodyA, bodyB, normal, impulseScalar, friction);
     }
 
-    // 应用摩擦力
-    applyFriction(bodyA, bodyB, normal, impulseScalar) {
+    // 应用摩擦力（mu 为组合后的摩擦系数）
+    applyFriction(bodyA, bodyB, normal, impulseScalar, mu) {
         const relativeVelocity = Vector2.subtract(bodyB.velocity, bodyA.velocity);
         const tangent = Vector2.subtract(relativeVelocity, Vector2.multiply(normal, relativeVelocity.dot(normal))).normalize();
         
@@ -375,8 +1200,6 @@ class PhysicsEngine {
         
         if (totalInvMass === 0) return;
         
-        const mu = Math.sqrt(bodyA.material.friction * bodyB.material.friction);
-        
         let friction;
         if (Math.abs(frictionImpulse) < impulseScalar * mu) {
             friction = Vector2.multiply(tangent, frictionImpulse / totalInvMass);
@@ -394,46 +1217,176 @@ class PhysicsEngine {
         }
     }
 
-    // 更新空间哈希
-    updateSpatialHash() {
-        this.broadPhase.clear();
+    // 更新休眠状态：低速持续 timeToSleep 秒的物体按接触和约束组成岛屿，岛屿内所有物体都满足条件时一起休眠
+    // 速度按本步的实际位移计算：堆叠的物体在单次迭代的碰撞解决后仍残留速度，但位置已不再变化
+    updateSleeping(deltaTime) {
+        let sleeping = 0;
+        let awake = 0;
+        let ready = false;
+        const linearThresholdSq = this.sleepLinearThreshold * this.sleepLinearThreshold;
         
-        this.bodies.forEach(body => {
-            if (body.enabled) {
-                this.broadPhase.insert(body);
+        this.dynamicBodies.forEach(body => {
+            if (!body.enabled) return;
+            
+            if (body.isSleeping) {
+                sleeping++;
+                return;
+            }
+            awake++;
+            
+            if (body.type !== 'dynamic') return;
+            
+            const dx = body.position.x - body.previousPosition.x;
+            const dy = body.position.y - body.previousPosition.y;
+            
+            if (body.allowSleep &&
+                (dx * dx + dy * dy) / (deltaTime * deltaTime) < linearThresholdSq &&
+                Math.abs(body.angularVelocity) < this.sleepAngularThreshold) {
+                body.sleepTime += deltaTime;
+                ready = ready || body.sleepTime >= this.timeToSleep;
+            } else {
+                body.sleepTime = 0;
             }
         });
+        
+        if (this.sleepEnabled && ready) {
+            this.buildIslands().forEach(island => {
+                if (!island.every(body => body.allowSleep && body.sleepTime >= this.timeToSleep)) return;
+                
+                island.forEach(body => body.sleep(island));
+                sleeping += island.length;
+                awake -= island.length;
+            });
+        }
+        
+        this.stats.sleepingBodies = sleeping;
+        this.stats.awakeBodies = awake;
     }
 
-    // 发送碰撞事件
-    emitCollisionEvent(bodyA, bodyB, collision) {
-        const eventData = {
-            bodyA: bodyA,
-            bodyB: bodyB,
-            collision: collision
+    // 把活动的动态物体按本步的碰撞接触和约束连接分组（静态和运动学物体不连接岛屿）
+    buildIslands() {
+        const parents = new Map();
+        
+        const find = body => {
+            let root = body;
+            while (parents.get(root) !== root) {
+                root = parents.get(root);
+            }
+            // 路径压缩
+            while (body !== root) {
+                const next = parents.get(body);
+                parents.set(body, root);
+                body = next;
+            }
+            return root;
+        };
+        
+        const union = (bodyA, bodyB) => {
+            if (!parents.has(bodyA) || !parents.has(bodyB)) return;
+            const rootA = find(bodyA);
+            const rootB = find(bodyB);
+            if (rootA !== rootB) {
+                parents.set(rootB, rootA);
+            }
         };
         
-        // 根据物体类型发送不同事件
-        if (bodyA.userData && bodyB.userData) {
-            const typeA = bodyA.userData.type;
-            const typeB = bodyB.userData.type;
+        this.dynamicBodies.forEach(body => {
+            if (body.enabled && !body.isSleeping && body.type === 'dynamic') {
+                parents.set(body, body);
+            }
+        });
+        
+        this.collisionPairs.forEach(collision => union(collision.bodyA, collision.bodyB));
+        this.constraints.forEach(constraint => {
+            if (constraint.enabled && constraint.bodyB) {
+                union(constraint.bodyA, constraint.bodyB);
+            }
+        });
+        
+        const islands = new Map();
+        parents.forEach((parent, body) => {
+            const root = find(body);
+            if (!islands.has(root)) {
+                islands.set(root, []);
+            }
+            islands.get(root).push(body);
+        });
+        
+        return Array.from(islands.values());
+    }
+
+    // 获取所有休眠岛屿
+    getSleepingIslands() {
+        const islands = new Set();
+        this.dynamicBodies.forEach(body => {
+            if (body.isSleeping) {
+                islands.add(body.island || [body]);
+            }
+        });
+        return Array.from(islands);
+    }
+
+    // 唤醒所有休眠的物体
+    wakeAll() {
+        this.dynamicBodies.forEach(body => body.wake());
+    }
+
+    // 更新空间哈希（只移动所占网格单元发生变化的物体，休眠的物体不会移动；禁用的物体移出前先唤醒它的邻居）
+    updateSpatialHash() {
+        this.bodies.forEach(body => {
+            if (!body.enabled) {
+                if (this.broadPhase.has(body)) {
+                    this.wakeNeighbours(body);
+                    this.broadPhase.remove(body);
+                }
+                return;
+            }
+            
+            if (body.isSleeping) return;
             
-            if ((typeA === 'player' && typeB === 'enemy') || (typeA === 'enemy' && typeB === 'player')) {
-                gameEventBus.emit(GameEvents.COLLISION_PLAYER_ENEMY, eventData);
-            } else if ((typeA === 'bullet' && typeB === 'enemy') || (typeA === 'enemy' && typeB === 'bullet')) {
-                gameEventBus.emit(GameEvents.COLLISION_BULLET_ENEMY, eventData);
-            } else if ((typeA === 'player' && typeB === 'powerup') || (typeA === 'powerup' && typeB === 'player')) {
-                gameEventBus.emit(GameEvents.COLLISION_PLAYER_POWERUP, eventData);
+            if (this.broadPhase.update(body)) {
+                this.stats.broadPhaseMoves++;
             }
+        });
+    }
+
+    // 在物理步之外移动物体后立即更新它在空间哈希中的位置（供同一帧内的查询使用）
+    syncBroadPhase(body) {
+        if (body.enabled && this.broadPhase.has(body)) {
+            this.broadPhase.update(body);
         }
     }
 
-    // 射线检测
-    raycast(origin, direction, maxDistance = Infinity, layerMask = 0xFFFFFFFF) {
+    // 发送碰撞事件
+    emitCollisionEvent(bodyA, bodyB, collision) {
+        // 事件名称由碰撞矩阵按两层查出，bodyA/bodyB 按配置中的顺序排列
+        const route = this.collisionMatrix.getEvent(bodyA, bodyB);
+        if (!route) return;
+        
+        gameEventBus.emit(route.event, {
+            bodyA: route.bodyA,
+            bodyB: route.bodyB,
+            collision: collision,
+            materialA: this.getMaterial(route.bodyA),
+            materialB: this.getMaterial(route.bodyB)
+        });
+    }
+
+    // 检查物体是否满足查询条件（layerMask 为数值掩码、层名称或名称数组，与物体的碰撞层相与不为0）
+    // options.ignoreTriggers 跳过触发器，options.filter(body) 返回 false 时跳过
+    matchesQuery(body, layerMask, options = {}) {
+        if (!body.enabled || (body.collisionLayer & this.collisionMatrix.getMask(layerMask)) === 0) return false;
+        if (options.ignoreTriggers && body.isTrigger) return false;
+        if (options.filter && !options.filter(body)) return false;
+        return true;
+    }
+
+    // 射线检测：返回按距离排序的所有命中（起点在形状内部的物体不算命中）
+    raycast(origin, direction, maxDistance = Infinity, layerMask = 0xFFFFFFFF, options = {}) {
         const hits = [];
         
-        this.bodies.forEach(body => {
-            if (!body.enabled || (body.collisionLayer & layerMask) === 0) return;
+        this.traverseRay(origin, direction, maxDistance, body => {
+            if (!this.matchesQuery(body, layerMask, options)) return;
             
             const hit = this.raycastBody(origin, direction, maxDistance, body);
             if (hit) {
@@ -444,56 +1397,313 @@ class PhysicsEngine {
         // 按距离排序
         hits.sort((a, b) => a.distance - b.distance);
         
+        if (this.debugRender) {
+            this.recordRaycast(origin, direction, maxDistance, hits.map(hit => hit.point));
+        }
+        
         return hits;
     }
 
-    // 对单个物体进行射线检测
-    raycastBody(origin, direction, maxDistance, body) {
-        // 简化实现：只支持矩形
-        if (body.shape.type !== 'rect') return null;
+    // 射线检测：只返回最近的命中（按网格顺序遍历，找到命中后提前结束）
+    raycastClosest(origin, direction, maxDistance = Infinity, layerMask = 0xFFFFFFFF, options = {}) {
+        let closest = null;
         
-        const bounds = body.bounds;
-        const dirNorm = direction.normalized();
+        this.traverseRay(origin, direction, maxDistance, (body, cellExitDistance) => {
+            if (!this.matchesQuery(body, layerMask, options)) return false;
+            
+            const hit = this.raycastBody(origin, direction, maxDistance, body);
+            if (hit && (!closest || hit.distance < closest.distance)) {
+                closest = hit;
+            }
+            
+            // 命中点在当前网格内时，后面的网格不会有更近的命中
+            return closest !== null && closest.distance <= cellExitDistance;
+        });
         
-        // 计算射线与AABB的交点
-        const tMin = (bounds.left - origin.x) / dirNorm.x;
-        const tMax = (bounds.right - origin.x) / dirNorm.x;
-        const tYMin = (bounds.top - origin.y) / dirNorm.y;
-        const tYMax = (bounds.bottom - origin.y) / dirNorm.y;
+        if (this.debugRender) {
+            this.recordRaycast(origin, direction, closest ? closest.distance : maxDistance, closest ? [closest.point] : []);
+        }
         
-        const tNear = Math.max(Math.min(tMin, tMax), Math.min(tYMin, tYMax));
-        const tFar = Math.min(Math.max(tMin, tMax), Math.max(tYMin, tYMax));
+        return closest;
+    }
+
+    // 记录射线检测（起点、方向、长度和命中点）供调试绘制，无限长的射线截到有物体的网格范围
+    recordRaycast(origin, direction, distance, points) {
+        const length = isFinite(distance) ? distance : this.getRayLimit(origin);
+        
+        this.debugRaycasts.push({
+            origin: origin.clone(),
+            end: Vector2.add(origin, direction.normalized().multiply(length)),
+            hits: points
+        });
         
-        if (tNear <= tFar && tNear >= 0 && tNear <= maxDistance) {
-            const hitPoint = Vector2.add(origin, Vector2.multiply(dirNorm, tNear));
+        if (this.debugRaycasts.length > this.maxDebugRaycasts) {
+            this.debugRaycasts.shift();
+        }
+    }
+
+    // 沿射线按先后顺序遍历空间哈希网格（DDA），对每个物体调用一次 visit(body, cellExitDistance)
+    // visit 在处理完一个网格后返回 true 时停止遍历
+    traverseRay(origin, direction, maxDistance, visit) {
+        const length = direction.magnitude();
+        if (length === 0) return;
+        
+        const dir = Vector2.multiply(direction, 1 / length);
+        const cellSize = this.broadPhase.cellSize;
+        const limit = Math.min(maxDistance, this.getRayLimit(origin));
+        
+        let cellX = Math.floor(origin.x / cellSize);
+        let cellY = Math.floor(origin.y / cellSize);
+        const stepX = dir.x > 0 ? 1 : -1;
+        const stepY = dir.y > 0 ? 1 : -1;
+        
+        // 到下一条网格线的距离和跨过一格的距离（方向分量为0时为无穷大）
+        let nextX = dir.x !== 0 ? ((cellX + (dir.x > 0 ? 1 : 0)) * cellSize - origin.x) / dir.x : Infinity;
+        let nextY = dir.y !== 0 ? ((cellY + (dir.y > 0 ? 1 : 0)) * cellSize - origin.y) / dir.y : Infinity;
+        const deltaX = dir.x !== 0 ? cellSize / Math.abs(dir.x) : Infinity;
+        const deltaY = dir.y !== 0 ? cellSize / Math.abs(dir.y) : Infinity;
+        
+        const visited = new Set();
+        let distance = 0;
+        
+        while (distance <= limit) {
+            const cellExitDistance = Math.min(nextX, nextY);
+            const cell = this.broadPhase.getCell(cellX, cellY);
+            let stop = false;
             
-            return {
-                body: body,
-                point: hitPoint,
-                distance: tNear,
-                normal: this.calculateHitNormal(hitPoint, bounds)
-            };
+            if (cell) {
+                cell.forEach(body => {
+                    if (visited.has(body)) return;
+                    visited.add(body);
+                    if (visit(body, cellExitDistance)) {
+                        stop = true;
+                    }
+                });
+            }
+            
+            if (stop) return;
+            
+            if (nextX < nextY) {
+                distance = nextX;
+                nextX += deltaX;
+                cellX += stepX;
+            } else {
+                distance = nextY;
+                nextY += deltaY;
+                cellY += stepY;
+            }
+        }
+    }
+
+    // 射线最远需要遍历的距离：起点到空间哈希中有物体的单元范围的最远角（与物体数量无关）
+    getRayLimit(origin) {
+        const extent = this.broadPhase.getExtentBounds();
+        return extent ? this.getFarthestDistance(origin, extent) : 0;
+    }
+
+    // 起点到边界框最远角的距离
+    getFarthestDistance(origin, bounds) {
+        const dx = Math.max(Math.abs(bounds.left - origin.x), Math.abs(bounds.right - origin.x));
+        const dy = Math.max(Math.abs(bounds.top - origin.y), Math.abs(bounds.bottom - origin.y));
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    // 射线与单个物体的检测
+    raycastBody(origin, direction, maxDistance, body) {
+        const dir = direction.normalized();
+        
+        // 把射线截成线段：无限长射线截到物体边界框的最远角
+        const range = isFinite(maxDistance) ? maxDistance : this.getFarthestDistance(origin, body.bounds) + 1;
+        const hit = this.sweepShapeRay(origin, Vector2.multiply(dir, range), body);
+        if (!hit) return null;
+        
+        return {
+            body: body,
+            point: Vector2.add(origin, Vector2.multiply(dir, hit.time * range)),
+            distance: hit.time * range,
+            normal: hit.normal,
+            material: this.getMaterial(body)
+        };
+    }
+
+    // 线段与物体形状的首次相交（time 为线段比例，normal 为表面朝外的法线）
+    sweepShapeRay(origin, motion, body) {
+        if (body.shape.type === 'circle') {
+            return this.sweepPointCircle(origin, motion, body.position, body.shape.radius);
         }
         
-        return null;
+        if (CollisionShapes.isSimple(body)) {
+            return this.sweepPointBox(origin, motion, body.bounds);
+        }
+        
+        const core = CollisionShapes.getCore(body);
+        if (body.shape.type !== 'capsule') {
+            return CollisionShapes.sweepPointPolygon(origin, motion, core.points);
+        }
+        
+        // 胶囊体：中段矩形和两端的圆，取最早的撞击
+        if (this.containsPoint(body, origin)) return null;
+        
+        const segmentBox = CollisionShapes.getSegmentBox(core);
+        const hits = core.points.map(point => this.sweepPointCircle(origin, motion, point, core.radius));
+        if (segmentBox) {
+            hits.push(CollisionShapes.sweepPointPolygon(origin, motion, segmentBox));
+        }
+        
+        return hits.reduce((earliest, hit) => (hit && (!earliest || hit.time < earliest.time) ? hit : earliest), null);
+    }
+
+    // 点查询：返回包含该点的物体
+    queryPoint(point, layerMask = 0xFFFFFFFF, options = {}) {
+        const bounds = { left: point.x, top: point.y, right: point.x, bottom: point.y };
+        
+        return Array.from(this.getBroadPhaseCandidates(bounds)).filter(body =>
+            this.matchesQuery(body, layerMask, options) && this.containsPoint(body, point)
+        );
     }
 
-    // 计算碰撞法线
-    calculateHitNormal(point, bounds) {
-        const center = new Vector2(
-            (bounds.left + bounds.right) / 2,
-            (bounds.top + bounds.bottom) / 2
+    // 矩形区域查询：返回与区域重叠的物体（可用于出生点空地检查）
+    queryAABB(bounds, layerMask = 0xFFFFFFFF, options = {}) {
+        const probe = this.createProbe(
+            { type: 'rect', width: bounds.right - bounds.left, height: bounds.bottom - bounds.top },
+            new Vector2((bounds.left + bounds.right) / 2, (bounds.top + bounds.bottom) / 2)
         );
         
-        const diff = Vector2.subtract(point, center);
-        const absX = Math.abs(diff.x);
-        const absY = Math.abs(diff.y);
+        return this.queryShape(probe, layerMask, options);
+    }
+
+    // 圆形区域查询：返回与圆重叠的物体
+    queryCircle(center, radius, layerMask = 0xFFFFFFFF, options = {}) {
+        return this.queryShape(this.createProbe({ type: 'circle', radius: radius }, center), layerMask, options);
+    }
+
+    // 形状重叠查询
+    queryShape(probe, layerMask, options) {
+        return Array.from(this.getBroadPhaseCandidates(probe.bounds)).filter(body =>
+            this.matchesQuery(body, layerMask, options) && this.checkCollision(probe, body) !== null
+        );
+    }
+
+    // 形状扫掠查询：形状从 position 沿 displacement 移动，返回最早撞到的物体（options.rotation 为形状的旋转）
+    // 结果包含 body、time（位移比例）、distance、normal（表面朝外的法线）和撞击时形状的 position
+    shapecast(shape, position, displacement, layerMask = 0xFFFFFFFF, options = {}) {
+        const probe = this.createProbe(shape, position, options.rotation || 0);
+        const hit = this.sweepClosest(probe, displacement, body => this.matchesQuery(body, layerMask, options));
+        
+        if (this.debugRender) {
+            this.recordRaycast(position, displacement, displacement.magnitude() * (hit ? hit.time : 1), hit ? [hit.position] : []);
+        }
         
-        if (absX > absY) {
-            return new Vector2(diff.x > 0 ? 1 : -1, 0);
-        } else {
-            return new Vector2(0, diff.y > 0 ? 1 : -1);
+        return hit;
+    }
+
+    // 检查点是否在物体形状内
+    containsPoint(body, point) {
+        if (body.shape.type === 'circle') {
+            return point.distanceToSquared(body.position) <= body.shape.radius * body.shape.radius;
+        }
+        
+        if (!CollisionShapes.isSimple(body)) {
+            return CollisionShapes.containsPoint(body, point);
         }
+        
+        const bounds = body.bounds;
+        return point.x >= bounds.left && point.x <= bounds.right && point.y >= bounds.top && point.y <= bounds.bottom;
+    }
+
+    // 创建用于查询的临时形状（不加入物理世界，也不消耗物理体标识符）
+    createProbe(shape, position, rotation = 0) {
+        const probe = {
+            shape: CollisionShapes.normalizeShape(shape),
+            position: position.clone(),
+            rotation: rotation,
+            bounds: { left: 0, top: 0, right: 0, bottom: 0 },
+            oneWayIgnoreTime: 0,
+            isTrigger: false
+        };
+        PhysicsBody.prototype.updateBounds.call(probe);
+        
+        return probe;
+    }
+
+    // 移除所有物理体
+    clear() {
+        this.bodies.clear();
+        this.staticBodies.clear();
+        this.dynamicBodies.clear();
+        this.collisionPairs.clear();
+        this.constraints = [];
+        this.platformContacts.clear();
+        this.previousPlatformContacts.clear();
+        this.triggerContacts.clear();
+        this.currentTriggerContacts.clear();
+        this.broadPhase.clear();
+        this.debugRaycasts = [];
+        this.stats.bodyCount = 0;
+    }
+
+    // 序列化物理世界（物理体按创建顺序保存，保证恢复后迭代顺序一致）
+    serialize() {
+        return {
+            gravity: { x: this.gravity.x, y: this.gravity.y },
+            bodies: Array.from(this.bodies.values()).map(body => body.serialize()),
+            constraints: this.constraints.map(constraint => constraint.serialize()),
+            triggerContacts: Array.from(this.triggerContacts.values()).map(contact => [contact.trigger.id, contact.other.id]),
+            platformContacts: Array.from(this.platformContacts.entries()).map(([body, contact]) => [body.id, contact.platform.id]),
+            sleepingIslands: this.getSleepingIslands().map(island => island.map(body => body.id))
+        };
+    }
+
+    // 从序列化数据恢复物理世界，返回 id 到物理体的映射
+    restore(data) {
+        this.clear();
+        this.gravity.set(data.gravity.x, data.gravity.y);
+        
+        const bodiesById = new Map();
+        data.bodies.forEach(bodyData => {
+            const body = PhysicsBody.deserialize(bodyData);
+            this.addBody(body);
+            bodiesById.set(body.id, body);
+        });
+        
+        // 约束（直接加入，不经过 addConstraint，避免唤醒保存时正在休眠的物体）
+        (data.constraints || []).forEach(constraintData => {
+            const constraint = Constraint.deserialize(constraintData, bodiesById);
+            if (constraint) {
+                this.constraints.push(constraint);
+            }
+        });
+        
+        // 恢复触发器接触，避免读档后对已在触发器内的物体重复发送进入事件
+        (data.triggerContacts || []).forEach(([triggerId, otherId]) => {
+            const trigger = bodiesById.get(triggerId);
+            const other = bodiesById.get(otherId);
+            if (trigger && other) {
+                this.triggerContacts.set(`${triggerId}-${otherId}`, { trigger: trigger, other: other, collision: null });
+            }
+        });
+        
+        // 恢复平台接触，避免读档后对已站在平台上的玩家重复发送落地事件（碰撞信息只在新落地时使用）
+        (data.platformContacts || []).forEach(([bodyId, platformId]) => {
+            const body = bodiesById.get(bodyId);
+            const platform = bodiesById.get(platformId);
+            if (body && platform) {
+                this.platformContacts.set(body, { platform: platform, collision: null, material: this.getMaterial(platform) });
+            }
+        });
+        
+        // 恢复休眠岛屿，使读档后唤醒其中一个物体时整组一起唤醒
+        (data.sleepingIslands || []).forEach(ids => {
+            const island = ids.map(id => bodiesById.get(id)).filter(body => body && body.isSleeping);
+            island.forEach(body => {
+                body.island = island;
+            });
+        });
+        
+        // 空间哈希在每步末尾更新，恢复后立即重建以匹配保存时的状态
+        this.updateSpatialHash();
+        
+        return bodiesById;
     }
 
     // 设置重力
@@ -514,16 +1724,35 @@ class PhysicsEngine {
         console.log(`  Dynamic: ${this.dynamicBodies.size}`);
         console.log(`  Collision Checks: ${this.stats.collisionChecks}`);
         console.log(`  Collisions: ${this.stats.collisionsDetected}`);
+        console.log(`  Sleeping: ${this.stats.sleepingBodies}, Awake: ${this.stats.awakeBodies}`);
+        console.log(`  Broadphase: ${this.broadPhase.grid.size} cells, ${this.stats.broadPhaseMoves} bodies moved cells`);
         console.log(`  Gravity: ${this.gravity.toString()}`);
+        console.log(`  Materials: ${Array.from(this.materials.keys()).join(', ')}`);
     }
 }
 
+// 触发器阶段对应的实体回调和总线事件
+PhysicsEngine.TRIGGER_PHASES = {
+    enter: { handler: 'onTriggerEnter', event: GameEvents.TRIGGER_ENTER },
+    stay: { handler: 'onTriggerStay', event: GameEvents.TRIGGER_STAY },
+    exit: { handler: 'onTriggerExit', event: GameEvents.TRIGGER_EXIT }
+};
+
+// 材质属性的组合规则，按优先级从低到高排列（两个材质的规则不同时使用靠后的规则）
+PhysicsEngine.COMBINE_RULES = {
+    average: (a, b) => (a + b) / 2,
+    geometric: (a, b) => Math.sqrt(a * b),
+    min: (a, b) => Math.min(a, b),
+    multiply: (a, b) => a * b,
+    max: (a, b) => Math.max(a, b)
+};
+
 /**
  * 物理体类
  */
 class PhysicsBody {
     constructor(options = {}) {
-        this.id = Math.random().toString(36).substr(2, 9);
+        this.id = gameRandom.stream(RandomStreams.IDS).nextId();
         
         // 基本属性
         this.position = options.position ? options.position.clone() : new Vector2();
@@ -537,22 +1766,45 @@ class PhysicsBody {
         this.useGravity = options.useGravity !== false;
         this.enabled = options.enabled !== false;
         
-        // 阻尼
-        this.linearDamping = options.linearDamping || 0.01;
-        this.angularDamping = options.angularDamping || 0.05;
+        // 阻尼（每秒损失的速度比例，允许为0）
+        this.linearDamping = options.linearDamping !== undefined ? options.linearDamping : 0.01;
+        this.angularDamping = options.angularDamping !== undefined ? options.angularDamping : 0.05;
         this.maxVelocity = options.maxVelocity || 0;
         
-        // 形状
-        this.shape = options.shape || { type: 'rect', width: 32, height: 32 };
+        // 本步累积的力（每步积分后清除）
+        this.force = new Vector2();
         
-        // 材质
-        this.material = options.material || { friction: 0.3, restitution: 0.2, density: 1.0 };
+        // 形状：rect、circle、polygon 或 capsule（见 CollisionShapes，多边形在这里检查凸性并统一顶点顺序）
+        this.shape = CollisionShapes.normalizeShape(options.shape || { type: 'rect', width: 32, height: 32 });
         
-        // 碰撞
+        // 材质：PhysicsEngine 中注册的材质名称，或自定义的材质对象
+        this.material = options.material || 'default';
+        
+        // 碰撞（指定命名层 layer 时，加入物理引擎后按碰撞矩阵设置 collisionLayer 和 collisionMask）
+        this.layer = options.layer || null;
         this.collisionLayer = options.collisionLayer || 1;
         this.collisionMask = options.collisionMask || 0xFFFFFFFF;
         this.isTrigger = options.isTrigger || false;
         
+        // 高速物体（子弹）：开启连续碰撞检测，防止穿透薄墙
+        this.bullet = options.bullet || false;
+        
+        // 单向平台：只从顶面发生碰撞
+        this.oneWay = options.oneWay || false;
+        
+        // 休眠：低速持续一段时间后停止模拟，被接触、施力或调用 wake() 时唤醒
+        // island 为一起休眠的物体，唤醒其中一个时全部唤醒
+        this.allowSleep = options.allowSleep !== false;
+        this.isSleeping = false;
+        this.sleepTime = 0;
+        this.island = null;
+        
+        // 忽略单向平台的剩余时间（秒）
+        this.oneWayIgnoreTime = 0;
+        
+        // 上一步的位置
+        this.previousPosition = this.position.clone();
+        
         // 边界框
         this.bounds = { left: 0, top: 0, right: 0, bottom: 0 };
         this.updateBounds();
@@ -563,7 +1815,7 @@ class PhysicsBody {
 
     // 更新边界框
     updateBounds() {
-        if (this.shape.type === 'rect') {
+        if (this.shape.type === 'rect' && this.rotation === 0) {
             const halfWidth = this.shape.width / 2;
             const halfHeight = this.shape.height / 2;
             
@@ -578,58 +1830,295 @@ class PhysicsBody {
             this.bounds.right = this.position.x + radius;
             this.bounds.top = this.position.y - radius;
             this.bounds.bottom = this.position.y + radius;
+        } else {
+            // 旋转的矩形、多边形和胶囊体
+            CollisionShapes.computeBounds(this, this.bounds);
         }
     }
 
-    // 获取逆质量
+    // 获取逆质量（静态和运动学物体不受冲量和位置修正影响，视为无限质量）
     getInverseMass() {
-        return this.type === 'static' ? 0 : 1 / this.mass;
+        return this.type === 'dynamic' ? 1 / this.mass : 0;
     }
 
-    // 应用力
+    // 序列化（userData 中的实体引用保存为实体 id）
+    serialize() {
+        const userData = {};
+        if (this.userData) {
+            Object.entries(this.userData).forEach(([key, value]) => {
+                if (key === 'entity') {
+                    userData.entityId = value ? value.id : null;
+                } else {
+                    userData[key] = value;
+                }
+            });
+        }
+        
+        return {
+            id: this.id,
+            position: { x: this.position.x, y: this.position.y },
+            velocity: { x: this.velocity.x, y: this.velocity.y },
+            rotation: this.rotation,
+            angularVelocity: this.angularVelocity,
+            mass: this.mass,
+            type: this.type,
+            useGravity: this.useGravity,
+            enabled: this.enabled,
+            linearDamping: this.linearDamping,
+            angularDamping: this.angularDamping,
+            maxVelocity: this.maxVelocity,
+            shape: { ...this.shape },
+            material: typeof this.material === 'string' ? this.material : { ...this.material },
+            layer: this.layer,
+            collisionLayer: this.collisionLayer,
+            collisionMask: this.collisionMask,
+            isTrigger: this.isTrigger,
+            bullet: this.bullet,
+            oneWay: this.oneWay,
+            oneWayIgnoreTime: this.oneWayIgnoreTime,
+            allowSleep: this.allowSleep,
+            isSleeping: this.isSleeping,
+            sleepTime: this.sleepTime,
+            previousPosition: { x: this.previousPosition.x, y: this.previousPosition.y },
+            userData: this.userData ? userData : null
+        };
+    }
+
+    // 反序列化（实体引用需由调用方重新关联）
+    static deserialize(data) {
+        const body = new PhysicsBody({
+            ...data,
+            position: new Vector2(data.position.x, data.position.y),
+            velocity: new Vector2(data.velocity.x, data.velocity.y)
+        });
+        
+        // 阻尼等数值可能为0，构造函数中的 || 默认值会覆盖它们
+        body.id = data.id;
+        body.mass = data.mass;
+        body.linearDamping = data.linearDamping;
+        body.angularDamping = data.angularDamping;
+        body.maxVelocity = data.maxVelocity;
+        body.collisionLayer = data.collisionLayer;
+        body.collisionMask = data.collisionMask;
+        body.oneWayIgnoreTime = data.oneWayIgnoreTime || 0;
+        body.isSleeping = data.isSleeping || false;
+        body.sleepTime = data.sleepTime || 0;
+        if (data.previousPosition) {
+            body.previousPosition.set(data.previousPosition.x, data.previousPosition.y);
+        }
+        body.updateBounds();
+        
+        return body;
+    }
+
+    // 应用力（累积到本步，在积分时按 F/m 转换为加速度）
     applyForce(force) {
         if (this.type === 'dynamic') {
-            const acceleration = Vector2.multiply(force, this.getInverseMass());
-            this.velocity.add(acceleration);
+            this.force.add(force);
+            this.wake();
         }
     }
 
+    // 瞬移到指定位置（不产生扫掠运动）
+    setPosition(x, y) {
+        this.position.set(x, y);
+        this.previousPosition.set(x, y);
+        this.updateBounds();
+        this.wake();
+    }
+
+    // 在一段时间内忽略单向平台
+    dropThrough(duration = 0.25) {
+        this.oneWayIgnoreTime = Math.max(this.oneWayIgnoreTime, duration);
+        this.wake();
+    }
+
+    // 清除累积的力
+    clearForces() {
+        this.force.set(0, 0);
+    }
+
     // 应用冲量
     applyImpulse(impulse) {
         if (this.type === 'dynamic') {
             const deltaV = Vector2.multiply(impulse, this.getInverseMass());
             this.velocity.add(deltaV);
+            this.wake();
         }
     }
+
+    // 进入休眠（由物理引擎按岛屿调用）
+    sleep(island = [this]) {
+        this.isSleeping = true;
+        this.island = island;
+        this.velocity.set(0, 0);
+        this.angularVelocity = 0;
+        this.clearForces();
+    }
+
+    // 唤醒（同一岛屿的物体一起唤醒）
+    wake() {
+        this.sleepTime = 0;
+        if (!this.isSleeping) return;
+        
+        (this.island || [this]).forEach(body => {
+            body.isSleeping = false;
+            body.sleepTime = 0;
+            body.island = null;
+        });
+    }
 }
 
 /**
- * 空间哈希 - 用于广相碰撞检测
+ * 空间哈希 - 用于广相碰撞检测的增量均匀网格
+ *
+ * 网格单元使用数值 key。每个物体记录自己占用的单元范围，只有范围变化时才从旧单元移到新单元。
+ * 碰撞对只从非静态物体出发枚举，静态物体之间的组合不会出现。
  */
 class SpatialHash {
     constructor(cellSize) {
         this.cellSize = cellSize;
         this.grid = new Map();
+        
+        // 物体占用的单元范围，以及参与碰撞对枚举的非静态物体
+        this.ranges = new Map();
+        this.movingBodies = new Set();
+        
+        // 曾经有物体的单元范围（只扩大不缩小，清空时重置），用于把无限长射线截到有限长度
+        this.extent = null;
+    }
+
+    // 网格坐标转数值 key（每个轴支持正负 2^20 个单元）
+    static key(cellX, cellY) {
+        return (cellX + SpatialHash.KEY_OFFSET) * SpatialHash.KEY_SPAN + (cellY + SpatialHash.KEY_OFFSET);
+    }
+
+    // 数值 key 转回网格坐标
+    static getCellCoords(key) {
+        return {
+            x: Math.floor(key / SpatialHash.KEY_SPAN) - SpatialHash.KEY_OFFSET,
+            y: key % SpatialHash.KEY_SPAN - SpatialHash.KEY_OFFSET
+        };
     }
 
     // 清空网格
     clear() {
         this.grid.clear();
+        this.ranges.clear();
+        this.movingBodies.clear();
+        this.extent = null;
     }
 
-    // 插入物体
+    // 插入物体（已在网格中时按当前位置更新）
     insert(body) {
-        const cells = this.getCells(body.bounds);
+        this.update(body);
+    }
+
+    // 按物体当前边界框更新所占单元，返回是否移动到了新的单元
+    update(body) {
+        const bounds = body.bounds;
+        const startX = Math.floor(bounds.left / this.cellSize);
+        const endX = Math.floor(bounds.right / this.cellSize);
+        const startY = Math.floor(bounds.top / this.cellSize);
+        const endY = Math.floor(bounds.bottom / this.cellSize);
         
-        cells.forEach(cellKey => {
-            if (!this.grid.has(cellKey)) {
-                this.grid.set(cellKey, new Set());
+        let range = this.ranges.get(body);
+        if (range) {
+            if (range.startX === startX && range.endX === endX && range.startY === startY && range.endY === endY) {
+                return false;
             }
-            this.grid.get(cellKey).add(body);
-        });
+            this.removeFromCells(body, range);
+        } else {
+            range = { startX: 0, endX: 0, startY: 0, endY: 0, moving: body.type !== 'static' };
+            this.ranges.set(body, range);
+            if (range.moving) {
+                this.movingBodies.add(body);
+            }
+        }
+        
+        range.startX = startX;
+        range.endX = endX;
+        range.startY = startY;
+        range.endY = endY;
+        this.addToCells(body, range);
+        
+        return true;
+    }
+
+    // 移除物体
+    remove(body) {
+        const range = this.ranges.get(body);
+        if (!range) return;
+        
+        this.removeFromCells(body, range);
+        this.ranges.delete(body);
+        this.movingBodies.delete(body);
+    }
+
+    // 检查物体是否在网格中
+    has(body) {
+        return this.ranges.has(body);
     }
 
-    // 获取物体占用的网格单元
+    // 把物体加入范围内的单元
+    addToCells(body, range) {
+        this.expandExtent(range);
+        
+        for (let x = range.startX; x <= range.endX; x++) {
+            for (let y = range.startY; y <= range.endY; y++) {
+                const key = SpatialHash.key(x, y);
+                let cell = this.grid.get(key);
+                if (!cell) {
+                    cell = new Set();
+                    this.grid.set(key, cell);
+                }
+                cell.add(body);
+            }
+        }
+    }
+
+    // 扩大有物体的单元范围
+    expandExtent(range) {
+        if (!this.extent) {
+            this.extent = { startX: range.startX, endX: range.endX, startY: range.startY, endY: range.endY };
+            return;
+        }
+        
+        this.extent.startX = Math.min(this.extent.startX, range.startX);
+        this.extent.endX = Math.max(this.extent.endX, range.endX);
+        this.extent.startY = Math.min(this.extent.startY, range.startY);
+        this.extent.endY = Math.max(this.extent.endY, range.endY);
+    }
+    
+    // 获取有物体的单元范围的世界坐标边界框（网格为空时返回 null）
+    getExtentBounds() {
+        if (!this.extent) return null;
+        
+        return {
+            left: this.extent.startX * this.cellSize,
+            top: this.extent.startY * this.cellSize,
+            right: (this.extent.endX + 1) * this.cellSize,
+            bottom: (this.extent.endY + 1) * this.cellSize
+        };
+    }
+
+    // 把物体从范围内的单元移除（删除空单元）
+    removeFromCells(body, range) {
+        for (let x = range.startX; x <= range.endX; x++) {
+            for (let y = range.startY; y <= range.endY; y++) {
+                const key = SpatialHash.key(x, y);
+                const cell = this.grid.get(key);
+                if (!cell) continue;
+                
+                cell.delete(body);
+                if (cell.size === 0) {
+                    this.grid.delete(key);
+                }
+            }
+        }
+    }
+
+    // 获取边界框占用的网格单元 key
     getCells(bounds) {
         const cells = [];
         
@@ -640,37 +2129,70 @@ class SpatialHash {
         
         for (let x = startX; x <= endX; x++) {
             for (let y = startY; y <= endY; y++) {
-                cells.push(`${x},${y}`);
+                cells.push(SpatialHash.key(x, y));
             }
         }
         
         return cells;
     }
 
-    // 获取潜在碰撞对
-    getPotentialCollisions() {
-        const pairs = new Set();
-        const processed = new Set();
+    // 获取网格单元内的物体
+    getCell(cellX, cellY) {
+        return this.grid.get(SpatialHash.key(cellX, cellY)) || null;
+    }
+
+    // 获取与区域重叠的网格内的所有物体
+    queryBounds(bounds) {
+        const bodies = new Set();
+        
+        this.getCells(bounds).forEach(cellKey => {
+            const cell = this.grid.get(cellKey);
+            if (cell) {
+                cell.forEach(body => bodies.add(body));
+            }
+        });
         
-        this.grid.forEach(bodies => {
-            const bodyArray = Array.from(bodies);
+        return bodies;
+    }
+
+    // 遍历潜在碰撞对 callback(bodyA, bodyB)，bodyA 总是活动的非静态物体（休眠物体之间、休眠与静态物体之间不产生碰撞对）
+    // 不需要配对键去重：一对物体只在两者单元范围交集的左上角单元中报告一次
+    forEachPair(callback) {
+        this.movingBodies.forEach(body => {
+            if (body.isSleeping) return;
             
-            for (let i = 0; i < bodyArray.length; i++) {
-                for (let j = i + 1; j < bodyArray.length; j++) {
-                    const bodyA = bodyArray[i];
-                    const bodyB = bodyArray[j];
-                    
-                    const pairKey = bodyA.id < bodyB.id ? `${bodyA.id}-${bodyB.id}` : `${bodyB.id}-${bodyA.id}`;
+            const range = this.ranges.get(body);
+            
+            for (let x = range.startX; x <= range.endX; x++) {
+                for (let y = range.startY; y <= range.endY; y++) {
+                    const cell = this.grid.get(SpatialHash.key(x, y));
                     
-                    if (!processed.has(pairKey)) {
-                        pairs.add([bodyA, bodyB]);
-                        processed.add(pairKey);
+                    for (const other of cell) {
+                        if (other === body) continue;
+                        
+                        // 两个活动的非静态物体只从 id 较小的一方报告
+                        const otherRange = this.ranges.get(other);
+                        if (otherRange.moving && !other.isSleeping && other.id < body.id) continue;
+                        
+                        // 只在交集的左上角单元报告
+                        if (x !== (range.startX > otherRange.startX ? range.startX : otherRange.startX) ||
+                            y !== (range.startY > otherRange.startY ? range.startY : otherRange.startY)) continue;
+                        
+                        callback(body, other);
                     }
                 }
             }
         });
-        
-        return Array.from(pairs);
+    }
+
+    // 获取潜在碰撞对
+    getPotentialCollisions() {
+        const pairs = [];
+        this.forEachPair((bodyA, bodyB) => pairs.push([bodyA, bodyB]));
+        return pairs;
     }
 }
 
+// 数值 key 的坐标偏移和跨度
+SpatialHash.KEY_OFFSET = 0x100000;
+SpatialHash.KEY_SPAN = 0x200000;
@@ -0,0 +1,154 @@
+/**
+ * 可设定种子的随机数流 - 基于 mulberry32 算法，状态为单个32位整数，便于保存和回放
+ */
+class RandomStream {
+    constructor(seed = 0) {
+        this.seed = 0;
+        this.state = 0;
+        this.setSeed(seed);
+    }
+
+    // 设置种子（重置状态）
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // 生成 [0, 1) 之间的随机数
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // 生成 [min, max) 之间的浮点数
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // 生成 [min, max] 之间的整数
+    nextInt(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    // 按概率返回 true
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    // 随机返回 -1 或 1
+    sign() {
+        return this.next() < 0.5 ? -1 : 1;
+    }
+
+    // 从数组中随机选取一个元素
+    pick(array) {
+        if (!array || array.length === 0) return undefined;
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    // 生成随机标识符（格式与原 Math.random().toString(36) 方案一致）
+    nextId(length = 9) {
+        let id = '';
+        while (id.length < length) {
+            id += Math.floor(this.next() * 36).toString(36);
+        }
+        return id;
+    }
+
+    // 获取内部状态
+    getState() {
+        return this.state;
+    }
+
+    // 恢复内部状态
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
+
+/**
+ * 随机数服务 - 管理按名称区分的随机数流，所有子系统共用同一个种子
+ */
+class RandomService {
+    constructor(seed = Date.now()) {
+        this.seed = seed >>> 0;
+        this.streams = new Map();
+    }
+
+    // 设置种子（重置所有随机数流）
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+
+        this.streams.forEach((stream, name) => {
+            stream.setSeed(this.deriveSeed(name));
+        });
+    }
+
+    // 获取种子
+    getSeed() {
+        return this.seed;
+    }
+
+    // 获取随机数流（不存在时按名称派生种子创建）
+    stream(name) {
+        if (!this.streams.has(name)) {
+            this.streams.set(name, new RandomStream(this.deriveSeed(name)));
+        }
+        return this.streams.get(name);
+    }
+
+    // 根据主种子和流名称派生子种子（FNV-1a）
+    deriveSeed(name) {
+        let hash = 0x811C9DC5 ^ this.seed;
+
+        for (let i = 0; i < name.length; i++) {
+            hash ^= name.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        return hash >>> 0;
+    }
+
+    // 获取所有随机数流的状态
+    getState() {
+        const streams = {};
+        this.streams.forEach((stream, name) => {
+            streams[name] = stream.getState();
+        });
+
+        return { seed: this.seed, streams: streams };
+    }
+
+    // 恢复所有随机数流的状态
+    setState(state) {
+        this.setSeed(state.seed);
+
+        Object.entries(state.streams || {}).forEach(([name, streamState]) => {
+            this.stream(name).setState(streamState);
+        });
+    }
+
+    // 调试信息
+    debug() {
+        console.log('Random Service Debug Info:');
+        console.log(`  Seed: ${this.seed}`);
+        this.streams.forEach((stream, name) => {
+            console.log(`  ${name}: state=${stream.getState()}`);
+        });
+    }
+}
+
+// 随机数流名称
+const RandomStreams = {
+    GAMEPLAY: 'gameplay',   // 影响游戏逻辑（敌人AI、掉落等），必须只在 fixedUpdate 中使用
+    COSMETIC: 'cosmetic',   // 纯表现效果（摄像机震动、粒子等），不影响模拟结果
+    IDS: 'ids'              // 实体和物理体标识符
+};
+
+// 创建全局随机数服务实例
+const gameRandom = new RandomService();
@@ -2,14 +2,17 @@
  * 渲染器 - 处理游戏的2D图形渲染
  */
 class Renderer {
-    constructor(canvas) {
-        this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
+    constructor(canvas, options = {}) {
+        this.canvas = canvas || null;
+        this.ctx = canvas ? canvas.getContext('2d') : null;
+        
+        // 无头模式：没有画布时只维护渲染队列和摄像机，不进行实际绘制
+        this.headless = this.ctx === null;
         
         // 渲染设置
-        this.width = canvas.width;
-        this.height = canvas.height;
-        this.pixelRatio = window.devicePixelRatio || 1;
+        this.width = canvas ? canvas.width : (options.width || 1280);
+        this.height = canvas ? canvas.height : (options.height || 720);
+        this.pixelRatio = this.headless ? 1 : (window.devicePixelRatio || 1);
         
         // 摄像机
         this.camera = {
@@ -35,12 +38,20 @@ class Renderer {
         this.postEffects = [];
         this.effectsEnabled = true;
         
+        // 物理引擎（用于物理调试叠加层，通过 options.physics 或 setPhysics 设置）
+        this.physics = options.physics || null;
+        
         // 调试渲染
         this.debugMode = false;
+        // showColliders/showContacts/showVelocities/showRaycasts/showGrid 为物理调试叠加层（见 PhysicsDebugDraw）
         this.debugInfo = {
             showFPS: false,
             showColliders: false,
-            showGrid: false
+            showContacts: false,
+            showVelocities: false,
+            showRaycasts: false,
+            showGrid: false,
+            showProfiler: false
         };
         
         // 初始化渲染器
@@ -49,19 +60,23 @@ class Renderer {
 
     // 初始化渲染器
     initialize() {
-        // 设置高DPI支持
-        this.setupHighDPI();
-        
-        // 设置默认渲染状态
-        this.ctx.imageSmoothingEnabled = false; // 像素艺术风格
-        this.ctx.textAlign = 'left';
-        this.ctx.textBaseline = 'top';
+        if (!this.headless) {
+            // 设置高DPI支持
+            this.setupHighDPI();
+            
+            // 设置默认渲染状态
+            this.ctx.imageSmoothingEnabled = false; // 像素艺术风格
+            this.ctx.textAlign = 'left';
+            this.ctx.textBaseline = 'top';
+        }
         
         // 创建默认渲染层
         this.createLayer('background', -100);
         this.createLayer('game', 0);
         this.createLayer('effects', 50);
         this.createLayer('ui', 100);
+        this.createLayer('debug', 150);
+        this.createLayer('overlay', 200, { screenSpace: true });
         
         console.log('Renderer initialized');
     }
@@ -82,9 +97,11 @@ class Renderer {
     }
 
     // 创建渲染层
-    createLayer(name, zIndex) {
+    // screenSpace 层不受摄像机变换影响，坐标为屏幕像素（用于调试叠加层）
+    createLayer(name, zIndex, options = {}) {
         this.layers.set(name, {
             zIndex: zIndex,
+            screenSpace: options.screenSpace || false,
             visible: true,
             alpha: 1.0,
             renderQueue: []
@@ -130,6 +147,13 @@ class Renderer {
 
     // 结束渲染帧
     endFrame() {
+        if (this.headless) return;
+        
+        // 调试叠加层需在绘制各层之前加入渲染队列
+        if (this.debugMode) {
+            this.queueDebugOverlays();
+        }
+        
         // 清除画布
         this.clear();
         
@@ -137,16 +161,24 @@ class Renderer {
         this.ctx.save();
         this.applyCameraTransform();
         
-        // 渲染所有层
+        // 渲染所有世界空间层
         this.layerOrder.forEach(layerName => {
             const layer = this.layers.get(layerName);
-            if (layer && layer.visible) {
+            if (layer && layer.visible && !layer.screenSpace) {
                 this.renderLayer(layer);
             }
         });
         
         this.ctx.restore();
         
+        // 渲染屏幕空间层
+        this.layerOrder.forEach(layerName => {
+            const layer = this.layers.get(layerName);
+            if (layer && layer.visible && layer.screenSpace) {
+                this.renderLayer(layer);
+            }
+        });
+        
         // 应用后处理效果
         if (this.effectsEnabled && this.postEffects.length > 0) {
             this.applyPostEffects();
@@ -219,6 +251,9 @@ class Renderer {
             case 'line':
                 this.renderLine(command);
                 break;
+            case 'polygon':
+                this.renderPolygon(command);
+                break;
             case 'text':
                 this.renderText(command);
                 break;
@@ -379,6 +414,83 @@ class Renderer {
         this.ctx.restore();
     }
 
+    // 添加线段到渲染队列
+    drawLine(x1, y1, x2, y2, color, layer = 'game', options = {}) {
+        const layerObj = this.layers.get(layer);
+        if (!layerObj) return;
+        
+        layerObj.renderQueue.push({
+            type: 'line',
+            x1: x1,
+            y1: y1,
+            x2: x2,
+            y2: y2,
+            color: color,
+            lineWidth: options.lineWidth || 1,
+            alpha: options.alpha || 1
+        });
+    }
+
+    // 渲染线段
+    renderLine(command) {
+        this.ctx.save();
+        
+        if (command.alpha !== 1) {
+            this.ctx.globalAlpha = command.alpha;
+        }
+        
+        this.ctx.strokeStyle = command.color;
+        this.ctx.lineWidth = command.lineWidth;
+        this.ctx.beginPath();
+        this.ctx.moveTo(command.x1, command.y1);
+        this.ctx.lineTo(command.x2, command.y2);
+        this.ctx.stroke();
+        
+        this.ctx.restore();
+    }
+
+    // 添加多边形到渲染队列（points 为 { x, y } 数组）
+    drawPolygon(points, color, layer = 'game', options = {}) {
+        const layerObj = this.layers.get(layer);
+        if (!layerObj || points.length < 2) return;
+        
+        layerObj.renderQueue.push({
+            type: 'polygon',
+            points: points.map(point => ({ x: point.x, y: point.y })),
+            color: color,
+            filled: options.filled !== false,
+            lineWidth: options.lineWidth || 1,
+            alpha: options.alpha || 1
+        });
+    }
+
+    // 渲染多边形
+    renderPolygon(command) {
+        this.ctx.save();
+        
+        if (command.alpha !== 1) {
+            this.ctx.globalAlpha = command.alpha;
+        }
+        
+        this.ctx.beginPath();
+        this.ctx.moveTo(command.points[0].x, command.points[0].y);
+        for (let i = 1; i < command.points.length; i++) {
+            this.ctx.lineTo(command.points[i].x, command.points[i].y);
+        }
+        this.ctx.closePath();
+        
+        if (command.filled) {
+            this.ctx.fillStyle = command.color;
+            this.ctx.fill();
+        } else {
+            this.ctx.strokeStyle = command.color;
+            this.ctx.lineWidth = command.lineWidth;
+            this.ctx.stroke();
+        }
+        
+        this.ctx.restore();
+    }
+
     // 添加文本到渲染队列
     drawText(text, x, y, font, color, layer = 'ui', options = {}) {
         const layerObj = this.layers.get(layer);
@@ -446,9 +558,11 @@ class Renderer {
         if (this.camera.shake.duration > 0) {
             this.camera.shake.duration--;
             
+            // 使用表现用随机数流，避免渲染帧率影响游戏逻辑的随机序列
+            const random = gameRandom.stream(RandomStreams.COSMETIC);
             const intensity = this.camera.shake.intensity;
-            this.camera.shake.x = (Math.random() - 0.5) * intensity;
-            this.camera.shake.y = (Math.random() - 0.5) * intensity;
+            this.camera.shake.x = (random.next() - 0.5) * intensity;
+            this.camera.shake.y = (random.next() - 0.5) * intensity;
         } else {
             this.camera.shake.x = 0;
             this.camera.shake.y = 0;
@@ -520,6 +634,22 @@ class Renderer {
         this.ctx.restore();
     }
 
+    // 将调试叠加层加入渲染队列
+    queueDebugOverlays() {
+        if (this.debugInfo.showProfiler && gameEngine.getProfiler()) {
+            gameEngine.getProfiler().renderOverlay(this);
+        }
+        
+        if (this.physics && this.physics.debugRender) {
+            PhysicsDebugDraw.render(this.physics, this, this.debugInfo);
+        }
+    }
+
+    // 设置绘制调试叠加层的物理引擎
+    setPhysics(physics) {
+        this.physics = physics;
+    }
+
     // 设置调试模式
     setDebugMode(enabled) {
         this.debugMode = enabled;
@@ -532,6 +662,14 @@ class Renderer {
         }
     }
 
+    // 切换调试选项（运行时按键开关叠加层）
+    toggleDebugOption(option) {
+        if (this.debugInfo.hasOwnProperty(option)) {
+            this.debugInfo[option] = !this.debugInfo[option];
+        }
+        return this.debugInfo[option];
+    }
+
     // 获取渲染统计
     getStats() {
         return { ...this.stats };
@@ -0,0 +1,308 @@
+/**
+ * 存档管理器 - 将整个游戏世界序列化为带版本号的JSON文档，并能从中精确恢复
+ *
+ * 存档包含：所有实体（含组件和物理体）、物理世界、摄像机、引擎时间和随机数状态。
+ * 应在帧之间（fixedUpdate 之外）调用 createSnapshot/restoreSnapshot。
+ */
+class SaveManager {
+    constructor(engine, options = {}) {
+        this.engine = engine;
+
+        // 物理引擎和渲染器（未指定时从引擎系统中查找）
+        this.physics = options.physics || null;
+        this.renderer = options.renderer || null;
+
+        // 实体来源与恢复后的接收方（默认使用引擎中注册的 World）
+        this.getEntities = options.getEntities || (() => {
+            const world = this.engine.getSystem('world');
+            return world ? world.getEntities() : [];
+        });
+        this.setEntities = options.setEntities || (entities => {
+            const world = this.engine.getSystem('world');
+            if (world) {
+                world.replaceAll(entities);
+            }
+        });
+
+        // 未注册组件类型的工厂：(name, state, entity, type) => component
+        this.componentFactory = options.componentFactory || null;
+
+        // 本地存储键前缀
+        this.storagePrefix = options.storagePrefix || 'contra-hd-save:';
+    }
+
+    // 获取物理引擎
+    getPhysics() {
+        return this.physics || this.engine.getSystem('physics');
+    }
+
+    // 获取渲染器
+    getRenderer() {
+        return this.renderer || this.engine.getSystem('renderer');
+    }
+
+    // 创建存档快照
+    createSnapshot(metadata = {}) {
+        const physics = this.getPhysics();
+        const renderer = this.getRenderer();
+
+        const entities = Array.from(this.getEntities())
+            .filter(entity => !entity.destroyed)
+            .map(entity => entity.serialize());
+
+        return {
+            format: SaveManager.FORMAT,
+            version: SaveManager.FORMAT_VERSION,
+            createdAt: new Date().toISOString(),
+            metadata: metadata,
+            engine: {
+                gameTime: this.engine.gameTime,
+                realTime: this.engine.realTime,
+                tick: this.engine.tick,
+                timeScale: this.engine.timeScale,
+                accumulator: this.engine.accumulator,
+                deterministic: this.engine.deterministic
+            },
+            random: this.engine.random.getState(),
+            camera: renderer ? this.serializeCamera(renderer.camera) : null,
+            physics: physics ? physics.serialize() : null,
+            entities: entities
+        };
+    }
+
+    // 序列化摄像机
+    serializeCamera(camera) {
+        return {
+            x: camera.x,
+            y: camera.y,
+            zoom: camera.zoom,
+            rotation: camera.rotation,
+            shake: { ...camera.shake }
+        };
+    }
+
+    // 校验存档文档
+    validateSnapshot(snapshot) {
+        if (!snapshot || snapshot.format !== SaveManager.FORMAT) {
+            throw new Error('Invalid save data: unknown format');
+        }
+
+        if (snapshot.version > SaveManager.FORMAT_VERSION) {
+            throw new Error(`Save data version ${snapshot.version} is newer than supported version ${SaveManager.FORMAT_VERSION}`);
+        }
+    }
+
+    // 将旧版本存档迁移到当前版本
+    migrateSnapshot(snapshot) {
+        let migrated = snapshot;
+
+        while (migrated.version < SaveManager.FORMAT_VERSION) {
+            const migration = SaveManager.migrations[migrated.version];
+            if (!migration) {
+                throw new Error(`Missing save data migration from version ${migrated.version}`);
+            }
+
+            migrated = { ...migration(migrated), version: migrated.version + 1 };
+        }
+
+        return migrated;
+    }
+
+    // 从存档快照恢复，返回恢复的实体列表
+    restoreSnapshot(data) {
+        const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+        this.validateSnapshot(parsed);
+        const snapshot = this.migrateSnapshot(parsed);
+
+        // 先按类型创建实体，子类构造时自动创建的物理体随后在恢复物理世界时被清除，不会与恢复的物理体重复
+        const instances = snapshot.entities.map(entityData => Entity.instantiate(entityData));
+
+        // 物理世界
+        const physics = this.getPhysics();
+        const bodiesById = physics && snapshot.physics ? physics.restore(snapshot.physics) : new Map();
+
+        // 实体状态
+        const entities = instances.map(({ entity, state }) => this.restoreEntity(entity, state, bodiesById));
+
+        // 摄像机
+        const renderer = this.getRenderer();
+        if (renderer && snapshot.camera) {
+            Object.assign(renderer.camera, snapshot.camera, { shake: { ...snapshot.camera.shake } });
+        }
+
+        // 引擎时间
+        Object.assign(this.engine, {
+            gameTime: snapshot.engine.gameTime,
+            realTime: snapshot.engine.realTime,
+            tick: snapshot.engine.tick,
+            timeScale: snapshot.engine.timeScale,
+            accumulator: snapshot.engine.accumulator,
+            deterministic: snapshot.engine.deterministic
+        });
+
+        // 随机数状态最后恢复（创建实体和物理体时会消耗标识符随机数流）
+        this.engine.random.setState(snapshot.random);
+
+        if (this.setEntities) {
+            this.setEntities(entities);
+        }
+
+        gameEventBus.emit(GameEvents.GAME_LOAD, {
+            metadata: snapshot.metadata,
+            entityCount: entities.length
+        });
+
+        return entities;
+    }
+
+    // 恢复已创建实体的状态和组件，物理体在恢复组件之前重新关联
+    restoreEntity(entity, state, bodiesById) {
+        entity.restoreState(state, {
+            componentFactory: this.componentFactory,
+            linkPhysicsBody: (target, bodyId) => this.linkPhysicsBody(target, bodyId ? bodiesById.get(bodyId) : null)
+        });
+        return entity;
+    }
+
+    // 把恢复的物理体关联到实体，替换子类构造时创建、已不在物理世界中的物理体
+    linkPhysicsBody(entity, body) {
+        const previous = entity.physicsBody;
+        const physics = this.getPhysics();
+        const orphaned = previous && physics && physics.bodies.get(previous.id) !== previous;
+
+        if (!body) {
+            // 存档时实体没有物理体
+            if (orphaned) {
+                entity.physicsBody = null;
+            }
+            return;
+        }
+
+        // 保持 userData 的键顺序，把 entityId 替换回实体引用
+        const userData = {};
+        Object.entries(body.userData || {}).forEach(([key, value]) => {
+            if (key === 'entityId') {
+                userData.entity = entity;
+            } else {
+                userData[key] = value;
+            }
+        });
+        body.userData = userData;
+        entity.physics = physics;
+        entity.physicsBody = body;
+        entity.usePhysics = true;
+
+        // 构造时添加的组件（角色控制器、移动平台）绑定的是被替换的物理体，重新初始化以绑定恢复的物理体
+        if (previous && previous !== body) {
+            entity.components.forEach(component => {
+                if (component.body === previous) {
+                    component.body = null;
+                    if (component.initialize) {
+                        component.initialize();
+                    }
+                }
+            });
+        }
+    }
+
+    // 导出为JSON字符串
+    exportJSON(metadata = {}) {
+        return JSON.stringify(this.createSnapshot(metadata));
+    }
+
+    // 保存到存档槽
+    saveToSlot(slot, metadata = {}) {
+        if (typeof localStorage === 'undefined') {
+            console.warn('Local storage is not available');
+            return false;
+        }
+
+        try {
+            const json = this.exportJSON({ ...metadata, slot: slot });
+            localStorage.setItem(this.storagePrefix + slot, json);
+
+            gameEventBus.emit(GameEvents.GAME_SAVE, { slot: slot, metadata: metadata });
+            return true;
+        } catch (error) {
+            console.error(`Failed to save slot '${slot}':`, error);
+            return false;
+        }
+    }
+
+    // 从存档槽读取
+    loadFromSlot(slot) {
+        if (typeof localStorage === 'undefined') {
+            console.warn('Local storage is not available');
+            return null;
+        }
+
+        const json = localStorage.getItem(this.storagePrefix + slot);
+        if (!json) {
+            console.warn(`Save slot not found: ${slot}`);
+            return null;
+        }
+
+        try {
+            return this.restoreSnapshot(json);
+        } catch (error) {
+            console.error(`Failed to load slot '${slot}':`, error);
+            return null;
+        }
+    }
+
+    // 检查存档槽是否存在
+    hasSlot(slot) {
+        return typeof localStorage !== 'undefined' && localStorage.getItem(this.storagePrefix + slot) !== null;
+    }
+
+    // 删除存档槽
+    deleteSlot(slot) {
+        if (typeof localStorage !== 'undefined') {
+            localStorage.removeItem(this.storagePrefix + slot);
+        }
+    }
+
+    // 列出所有存档槽
+    listSlots() {
+        if (typeof localStorage === 'undefined') return [];
+
+        const slots = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key.startsWith(this.storagePrefix)) continue;
+
+            try {
+                const snapshot = JSON.parse(localStorage.getItem(key));
+                slots.push({
+                    slot: key.slice(this.storagePrefix.length),
+                    createdAt: snapshot.createdAt,
+                    version: snapshot.version,
+                    metadata: snapshot.metadata
+                });
+            } catch (error) {
+                console.warn(`Corrupted save slot: ${key}`);
+            }
+        }
+
+        return slots;
+    }
+}
+
+// 存档格式标识与版本
+SaveManager.FORMAT = 'contra-hd-save';
+SaveManager.FORMAT_VERSION = 2;
+
+// 存档迁移：{ [旧版本]: snapshot => 下一版本snapshot }
+SaveManager.migrations = {
+    // v2：组件数据带上类型名称和结构版本，v1 的组件没有类型信息，交给组件工厂恢复
+    1: snapshot => ({
+        ...snapshot,
+        entities: snapshot.entities.map(entity => {
+            const components = {};
+            Object.entries(entity.components || {}).forEach(([name, state]) => {
+                components[name] = { type: null, schemaVersion: 1, state: state };
+            });
+            return { ...entity, components: components };
+        })
+    })
+};
@@ -0,0 +1,410 @@
+/**
+ * 场景管理器 - 基于栈的游戏状态管理（主菜单、游戏、暂停、游戏结束）
+ */
+class SceneManager {
+    constructor(engine) {
+        this.engine = engine;
+
+        // 场景注册表与场景栈
+        this.scenes = new Map();
+        this.stack = [];
+    }
+
+    // 注册场景
+    register(name, scene) {
+        scene.name = name;
+        scene.manager = this;
+        this.scenes.set(name, scene);
+
+        return scene;
+    }
+
+    // 注册默认场景（对应 index.html 中的各个界面）
+    registerDefaultScenes() {
+        this.register('menu', new MenuScene());
+        this.register('controls', new ControlsScene());
+        this.register('gameplay', new GameplayScene());
+        this.register('pause', new PauseScene());
+        this.register('gameOver', new GameOverScene());
+    }
+
+    // 获取场景
+    getScene(name) {
+        return this.scenes.get(name) || null;
+    }
+
+    // 获取栈顶场景
+    getCurrentScene() {
+        return this.stack.length > 0 ? this.stack[this.stack.length - 1] : null;
+    }
+
+    // 检查场景是否在栈中
+    isInStack(name) {
+        return this.stack.some(scene => scene.name === name);
+    }
+
+    // 压入场景（当前场景暂停）
+    push(name, data = {}) {
+        const scene = this.scenes.get(name);
+        if (!scene) {
+            console.error(`Scene not found: ${name}`);
+            return false;
+        }
+
+        if (this.stack.includes(scene)) {
+            console.warn(`Scene '${name}' is already in the stack`);
+            return false;
+        }
+
+        const current = this.getCurrentScene();
+        if (current) {
+            current.paused = true;
+            current.pause();
+        }
+
+        this.stack.push(scene);
+        scene.active = true;
+        scene.paused = false;
+        scene.enter(data);
+
+        return true;
+    }
+
+    // 弹出栈顶场景（下层场景恢复）
+    pop(data = {}) {
+        const scene = this.stack.pop();
+        if (!scene) return false;
+
+        scene.active = false;
+        scene.exit();
+
+        const current = this.getCurrentScene();
+        if (current) {
+            current.paused = false;
+            current.resume(data);
+        }
+
+        return true;
+    }
+
+    // 替换栈顶场景
+    change(name, data = {}) {
+        if (!this.scenes.has(name)) {
+            console.error(`Scene not found: ${name}`);
+            return false;
+        }
+
+        const scene = this.stack.pop();
+        if (scene) {
+            scene.active = false;
+            scene.exit();
+        }
+
+        return this.push(name, data);
+    }
+
+    // 清空场景栈并进入新场景
+    reset(name, data = {}) {
+        if (!this.scenes.has(name)) {
+            console.error(`Scene not found: ${name}`);
+            return false;
+        }
+
+        this.clear();
+        return this.push(name, data);
+    }
+
+    // 清空场景栈（从栈顶开始依次退出）
+    clear() {
+        while (this.stack.length > 0) {
+            const scene = this.stack.pop();
+            scene.active = false;
+            scene.exit();
+        }
+    }
+
+    // 固定时间步长更新（只更新栈顶场景）
+    fixedUpdate(fixedDeltaTime) {
+        const current = this.getCurrentScene();
+        if (current) {
+            current.fixedUpdate(fixedDeltaTime);
+        }
+    }
+
+    // 可变时间步长更新（只更新栈顶场景）
+    update(deltaTime) {
+        const current = this.getCurrentScene();
+        if (current) {
+            current.update(deltaTime);
+        }
+    }
+
+    // 引擎暂停时的更新（暂停菜单依赖此方法响应输入）
+    updatePaused(deltaTime) {
+        const current = this.getCurrentScene();
+        if (current) {
+            current.updatePaused(deltaTime);
+        }
+    }
+
+    // 渲染（覆盖层场景会连同其下方场景一起渲染）
+    render(interpolation) {
+        let startIndex = this.stack.length - 1;
+        while (startIndex > 0 && this.stack[startIndex].overlay) {
+            startIndex--;
+        }
+
+        for (let i = Math.max(0, startIndex); i < this.stack.length; i++) {
+            this.stack[i].render(interpolation);
+        }
+    }
+
+    // 调试信息
+    debug() {
+        console.log('Scene Manager Debug Info:');
+        console.log(`  Registered Scenes: ${Array.from(this.scenes.keys()).join(', ')}`);
+        console.log(`  Stack: ${this.stack.map(scene => scene.name).join(' > ')}`);
+    }
+}
+
+/**
+ * 场景基类 - 子类重写生命周期钩子
+ */
+class Scene {
+    constructor(options = {}) {
+        this.name = null;
+        this.manager = null;
+
+        // 覆盖层场景（如暂停菜单）渲染时保留下层场景
+        this.overlay = options.overlay || false;
+
+        // 状态
+        this.active = false;
+        this.paused = false;
+    }
+
+    // 进入场景
+    enter(data) {
+        // 子类实现
+    }
+
+    // 退出场景
+    exit() {
+        // 子类实现
+    }
+
+    // 被其他场景覆盖
+    pause() {
+        // 子类实现
+    }
+
+    // 覆盖场景移除后恢复
+    resume(data) {
+        // 子类实现
+    }
+
+    // 固定时间步长更新
+    fixedUpdate(fixedDeltaTime) {
+        // 子类实现
+    }
+
+    // 可变时间步长更新
+    update(deltaTime) {
+        // 子类实现
+    }
+
+    // 引擎暂停时的更新
+    updatePaused(deltaTime) {
+        // 子类实现
+    }
+
+    // 渲染
+    render(interpolation) {
+        // 子类实现
+    }
+
+    // 获取引擎系统
+    getSystem(name) {
+        return this.manager && this.manager.engine ? this.manager.engine.getSystem(name) : null;
+    }
+}
+
+/**
+ * 界面场景 - 控制 index.html 中 .screen 元素的显示与隐藏
+ */
+class ScreenScene extends Scene {
+    constructor(elementId, options = {}) {
+        super(options);
+
+        this.elementId = elementId;
+        this.element = typeof document !== 'undefined' ? document.getElementById(elementId) : null;
+
+        // 被覆盖时是否隐藏界面
+        this.hideWhenPaused = options.hideWhenPaused !== false;
+    }
+
+    // 显示界面
+    show() {
+        if (this.element) {
+            this.element.classList.remove('hidden');
+        }
+    }
+
+    // 隐藏界面
+    hide() {
+        if (this.element) {
+            this.element.classList.add('hidden');
+        }
+    }
+
+    // 绑定按钮点击
+    bindButton(buttonId, handler) {
+        if (typeof document === 'undefined') return;
+
+        const button = document.getElementById(buttonId);
+        if (!button) {
+            console.warn(`Button not found: ${buttonId}`);
+            return;
+        }
+
+        button.addEventListener('click', () => {
+            if (this.active && !this.paused) {
+                handler();
+            }
+        });
+    }
+
+    enter(data) {
+        this.show();
+    }
+
+    exit() {
+        this.hide();
+    }
+
+    pause() {
+        if (this.hideWhenPaused) {
+            this.hide();
+        }
+    }
+
+    resume(data) {
+        this.show();
+    }
+}
+
+/**
+ * 主菜单场景
+ */
+class MenuScene extends ScreenScene {
+    constructor() {
+        super('startScreen');
+
+        this.bindButton('startGame', () => this.manager.reset('gameplay', { level: 1 }));
+        this.bindButton('showControls', () => this.manager.push('controls'));
+    }
+}
+
+/**
+ * 操作说明场景
+ */
+class ControlsScene extends ScreenScene {
+    constructor() {
+        super('controlsScreen', { overlay: true });
+
+        this.bindButton('backFromControls', () => this.manager.pop());
+    }
+}
+
+/**
+ * 游戏进行场景
+ */
+class GameplayScene extends Scene {
+    constructor() {
+        super();
+
+        this.level = 1;
+        this.score = 0;
+    }
+
+    enter(data = {}) {
+        this.level = data.level || 1;
+        this.score = 0;
+
+        // 开始或重新开始一局（GAME_START 和 GAME_OVER 只由场景切换发送，引擎启动/停止时不发送）
+        gameEventBus.emit(GameEvents.GAME_START, { level: this.level });
+        gameEventBus.emit(GameEvents.LEVEL_START, { level: this.level });
+    }
+
+    update(deltaTime) {
+        const input = this.getSystem('input');
+        if (input && input.isActionPressed('pause')) {
+            this.manager.push('pause');
+        }
+    }
+
+    // 进入下一关
+    nextLevel() {
+        this.level++;
+        gameEventBus.emit(GameEvents.LEVEL_START, { level: this.level });
+    }
+
+    // 结束游戏
+    gameOver() {
+        this.manager.change('gameOver', { score: this.score, level: this.level });
+    }
+}
+
+/**
+ * 暂停场景 - 覆盖在游戏场景之上，并暂停引擎
+ */
+class PauseScene extends ScreenScene {
+    constructor() {
+        super('pauseScreen', { overlay: true });
+
+        this.bindButton('resumeGame', () => this.manager.pop());
+        this.bindButton('restartGame', () => this.manager.reset('gameplay', { level: 1 }));
+        this.bindButton('backToMenu', () => this.manager.reset('menu'));
+    }
+
+    enter(data) {
+        super.enter(data);
+        this.manager.engine.pause();
+    }
+
+    exit() {
+        super.exit();
+        this.manager.engine.resume();
+    }
+
+    updatePaused(deltaTime) {
+        const input = this.getSystem('input');
+        if (input && input.isActionPressed('pause')) {
+            this.manager.pop();
+        }
+    }
+}
+
+/**
+ * 游戏结束场景
+ */
+class GameOverScene extends ScreenScene {
+    constructor() {
+        super('gameOverScreen');
+
+        this.bindButton('restartFromGameOver', () => this.manager.reset('gameplay', { level: 1 }));
+        this.bindButton('backToMenuFromGameOver', () => this.manager.reset('menu'));
+    }
+
+    enter(data = {}) {
+        super.enter(data);
+
+        const score = data.score || 0;
+        const scoreElement = typeof document !== 'undefined' ? document.getElementById('finalScore') : null;
+        if (scoreElement) {
+            scoreElement.textContent = score;
+        }
+
+        gameEventBus.emit(GameEvents.GAME_OVER, { score: score, level: data.level || 1 });
+    }
+}
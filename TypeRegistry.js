@@ -0,0 +1,95 @@
+/**
+ * 类型注册表 - 为实体和组件类提供稳定的类型名称、结构版本和数据迁移
+ *
+ * 注册名称不依赖 constructor.name，代码压缩后存档依然可以正确还原子类。
+ */
+class TypeRegistry {
+    constructor(kind) {
+        this.kind = kind;
+        this.types = new Map();
+        this.names = new Map(); // 类 -> 注册名称
+    }
+
+    // 注册类型
+    // options.version: 当前结构版本；options.migrations: { [旧版本]: state => 新版本state }
+    register(name, typeClass, options = {}) {
+        if (this.types.has(name) && this.types.get(name).typeClass !== typeClass) {
+            console.warn(`${this.kind} type '${name}' is already registered and will be replaced`);
+        }
+
+        this.types.set(name, {
+            typeClass: typeClass,
+            version: options.version || 1,
+            migrations: options.migrations || {}
+        });
+        this.names.set(typeClass, name);
+
+        return typeClass;
+    }
+
+    // 获取类型对应的类
+    get(name) {
+        const entry = this.types.get(name);
+        return entry ? entry.typeClass : null;
+    }
+
+    // 检查类型是否已注册
+    has(name) {
+        return this.types.has(name);
+    }
+
+    // 获取类的注册名称（未注册时退回 constructor.name）
+    getName(typeClass) {
+        return this.names.get(typeClass) || typeClass.name;
+    }
+
+    // 获取类型的当前结构版本
+    getVersion(name) {
+        const entry = this.types.get(name);
+        return entry ? entry.version : 1;
+    }
+
+    // 将数据从旧结构版本迁移到当前版本
+    migrate(name, version, state) {
+        const entry = this.types.get(name);
+        let currentVersion = version || 1;
+
+        if (!entry) {
+            return { version: currentVersion, state: state };
+        }
+
+        if (currentVersion > entry.version) {
+            throw new Error(`${this.kind} type '${name}' data version ${currentVersion} is newer than registered version ${entry.version}`);
+        }
+
+        let migrated = state;
+        while (currentVersion < entry.version) {
+            const migration = entry.migrations[currentVersion];
+            if (!migration) {
+                throw new Error(`Missing ${this.kind} migration for '${name}' from version ${currentVersion}`);
+            }
+
+            migrated = migration(migrated);
+            currentVersion++;
+        }
+
+        return { version: currentVersion, state: migrated };
+    }
+
+    // 获取所有注册名称
+    getNames() {
+        return Array.from(this.types.keys());
+    }
+
+    // 调试信息
+    debug() {
+        console.log(`${this.kind} Type Registry Debug Info:`);
+        this.types.forEach((entry, name) => {
+            console.log(`  ${name}: v${entry.version}`);
+        });
+    }
+}
+
+// 全局实体和组件类型注册表
+const EntityTypes = new TypeRegistry('Entity');
+const ComponentTypes = new TypeRegistry('Component');
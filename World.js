@@ -0,0 +1,407 @@
+/**
+ * 游戏世界 - 统一管理实体的创建、销毁和遍历，提供按标签/组件索引的查询和空间查询
+ *
+ * 作为引擎系统注册后，fixedUpdate 按 zIndex 顺序在固定步中更新所有实体（包括组件），render 按 zIndex 顺序渲染。
+ * 实体模拟不放在可变步 update 中，以保证确定性模式和回放的结果与帧率无关。
+ * 引擎传入的时间单位为毫秒，实体收到的 deltaTime 换算为秒（与物理引擎一致）。
+ */
+class World {
+    constructor(options = {}) {
+        // 实体存储
+        this.entities = new Map();
+        this.orderedEntities = [];
+        this.orderDirty = false;
+
+        // 索引
+        this.tagIndex = new Map();
+        this.componentIndex = new Map();
+
+        // 延迟到本帧末尾销毁的实体
+        this.pendingDestroy = new Set();
+
+        // 对象池（声明了 poolSize 的实体类销毁后回收复用）
+        this.pools = options.pools || new PoolManager();
+
+        // 空间索引（按需重建）
+        this.cellSize = options.cellSize || 128;
+        this.spatialGrid = new Map();
+        this.spatialDirty = true;
+
+        // 引擎和渲染器
+        this.engine = null;
+        this.renderer = options.renderer || null;
+
+        // 统计
+        this.stats = {
+            entityCount: 0,
+            created: 0,
+            destroyed: 0
+        };
+    }
+
+    // 注册到引擎时记录引擎引用
+    onRegister(engine) {
+        this.engine = engine;
+    }
+
+    // 获取渲染器
+    getRenderer() {
+        return this.renderer || (this.engine ? this.engine.getSystem('renderer') : null);
+    }
+
+    // 创建实体并加入世界（声明了 poolSize 的实体类从对象池中复用）
+    create(EntityClass, x = 0, y = 0, options = {}) {
+        return this.add(this.pools.acquire(EntityClass, x, y, options));
+    }
+
+    // 加入已创建的实体
+    add(entity) {
+        if (this.entities.has(entity.id)) {
+            console.warn(`Entity ${entity.id} is already in the world`);
+            return entity;
+        }
+
+        entity.world = this;
+        this.entities.set(entity.id, entity);
+        this.orderedEntities.push(entity);
+        this.orderDirty = true;
+        this.spatialDirty = true;
+
+        entity.tags.forEach(tag => this.indexTag(entity, tag));
+        entity.components.forEach((component, name) => this.indexComponent(entity, name));
+
+        this.stats.entityCount++;
+        this.stats.created++;
+
+        gameEventBus.emit(GameEvents.ENTITY_CREATED, { entity: entity });
+        return entity;
+    }
+
+    // 请求销毁实体（在本帧末尾执行）
+    destroy(entity) {
+        if (this.entities.has(entity.id)) {
+            this.pendingDestroy.add(entity);
+        }
+    }
+
+    // 执行延迟销毁（同时清理自行销毁的实体）
+    flush() {
+        this.orderedEntities.forEach(entity => {
+            if (entity.destroyed) {
+                this.pendingDestroy.add(entity);
+            }
+        });
+
+        if (this.pendingDestroy.size === 0) return;
+
+        this.pendingDestroy.forEach(entity => {
+            if (!entity.destroyed) {
+                entity.destroy();
+            }
+            this.remove(entity);
+            this.pools.release(entity);
+        });
+        this.pendingDestroy.clear();
+
+        this.orderedEntities = this.orderedEntities.filter(entity => this.entities.has(entity.id));
+    }
+
+    // 从世界和索引中移除实体（不调用 destroy）
+    remove(entity) {
+        if (!this.entities.has(entity.id)) return;
+
+        this.entities.delete(entity.id);
+        this.tagIndex.forEach(set => set.delete(entity));
+        this.componentIndex.forEach(set => set.delete(entity));
+
+        entity.world = null;
+        this.spatialDirty = true;
+        this.stats.entityCount--;
+        this.stats.destroyed++;
+    }
+
+    // 移除所有实体
+    clear() {
+        this.entities.forEach(entity => {
+            entity.world = null;
+        });
+
+        this.entities.clear();
+        this.orderedEntities = [];
+        this.tagIndex.clear();
+        this.componentIndex.clear();
+        this.pendingDestroy.clear();
+        this.spatialGrid.clear();
+        this.spatialDirty = true;
+        this.stats.entityCount = 0;
+    }
+
+    // 用新的实体列表替换世界内容（用于读档）
+    replaceAll(entities) {
+        this.clear();
+        entities.forEach(entity => this.add(entity));
+    }
+
+    // 标签索引
+    indexTag(entity, tag) {
+        if (!this.tagIndex.has(tag)) {
+            this.tagIndex.set(tag, new Set());
+        }
+        this.tagIndex.get(tag).add(entity);
+    }
+
+    unindexTag(entity, tag) {
+        const set = this.tagIndex.get(tag);
+        if (set) {
+            set.delete(entity);
+        }
+    }
+
+    // 组件索引
+    indexComponent(entity, name) {
+        if (!this.componentIndex.has(name)) {
+            this.componentIndex.set(name, new Set());
+        }
+        this.componentIndex.get(name).add(entity);
+    }
+
+    unindexComponent(entity, name) {
+        const set = this.componentIndex.get(name);
+        if (set) {
+            set.delete(entity);
+        }
+    }
+
+    // 按标签和组件查询：world.query({ tags: ['enemy'], components: ['health'] })
+    // 实体需同时具备所有列出的标签和组件；filter 为额外的过滤函数
+    query(criteria = {}) {
+        const tags = criteria.tags || [];
+        const components = criteria.components || [];
+        const sets = [];
+
+        for (const tag of tags) {
+            const set = this.tagIndex.get(tag);
+            if (!set || set.size === 0) return [];
+            sets.push(set);
+        }
+
+        for (const name of components) {
+            const set = this.componentIndex.get(name);
+            if (!set || set.size === 0) return [];
+            sets.push(set);
+        }
+
+        // 从最小的集合开始筛选
+        let candidates;
+        if (sets.length === 0) {
+            candidates = this.orderedEntities;
+        } else {
+            sets.sort((a, b) => a.size - b.size);
+            candidates = sets[0];
+        }
+
+        const results = [];
+        candidates.forEach(entity => {
+            if (!this.isAlive(entity)) return;
+            if (sets.length > 1 && !sets.every(set => set.has(entity))) return;
+            if (criteria.filter && !criteria.filter(entity)) return;
+            results.push(entity);
+        });
+
+        return results;
+    }
+
+    // 按标签查询
+    getByTag(tag) {
+        return this.query({ tags: [tag] });
+    }
+
+    // 查询第一个匹配的实体
+    queryFirst(criteria = {}) {
+        const results = this.query(criteria);
+        return results.length > 0 ? results[0] : null;
+    }
+
+    // 检查实体是否存活（未销毁且不在待销毁列表中）
+    isAlive(entity) {
+        return !entity.destroyed && !this.pendingDestroy.has(entity) && this.entities.has(entity.id);
+    }
+
+    // 重建空间索引
+    rebuildSpatialGrid() {
+        this.spatialGrid.clear();
+
+        this.orderedEntities.forEach(entity => {
+            if (!this.isAlive(entity)) return;
+
+            const bounds = entity.getBounds();
+            const startX = Math.floor(bounds.left / this.cellSize);
+            const endX = Math.floor(bounds.right / this.cellSize);
+            const startY = Math.floor(bounds.top / this.cellSize);
+            const endY = Math.floor(bounds.bottom / this.cellSize);
+
+            for (let x = startX; x <= endX; x++) {
+                for (let y = startY; y <= endY; y++) {
+                    const key = `${x},${y}`;
+                    if (!this.spatialGrid.has(key)) {
+                        this.spatialGrid.set(key, []);
+                    }
+                    this.spatialGrid.get(key).push(entity);
+                }
+            }
+        });
+
+        this.spatialDirty = false;
+    }
+
+    // 矩形区域查询（与实体边界框相交）
+    queryRect(left, top, right, bottom, criteria = {}) {
+        if (this.spatialDirty) {
+            this.rebuildSpatialGrid();
+        }
+
+        const found = new Set();
+        const startX = Math.floor(left / this.cellSize);
+        const endX = Math.floor(right / this.cellSize);
+        const startY = Math.floor(top / this.cellSize);
+        const endY = Math.floor(bottom / this.cellSize);
+
+        for (let x = startX; x <= endX; x++) {
+            for (let y = startY; y <= endY; y++) {
+                const cell = this.spatialGrid.get(`${x},${y}`);
+                if (cell) {
+                    cell.forEach(entity => found.add(entity));
+                }
+            }
+        }
+
+        return Array.from(found).filter(entity => {
+            const bounds = entity.getBounds();
+            if (bounds.right < left || bounds.left > right || bounds.bottom < top || bounds.top > bottom) {
+                return false;
+            }
+            return this.isAlive(entity) && this.matchesCriteria(entity, criteria);
+        });
+    }
+
+    // 圆形区域查询（以实体中心点计算距离）
+    queryRadius(x, y, radius, criteria = {}) {
+        const center = new Vector2(x, y);
+        const radiusSq = radius * radius;
+
+        return this.queryRect(x - radius, y - radius, x + radius, y + radius, criteria)
+            .filter(entity => entity.position.distanceToSquared(center) <= radiusSq);
+    }
+
+    // 查询距离最近的实体
+    findNearest(x, y, maxDistance = Infinity, criteria = {}) {
+        const center = new Vector2(x, y);
+        const candidates = maxDistance === Infinity
+            ? this.query(criteria)
+            : this.queryRadius(x, y, maxDistance, criteria);
+
+        let nearest = null;
+        let nearestDistSq = Infinity;
+
+        candidates.forEach(entity => {
+            const distSq = entity.position.distanceToSquared(center);
+            if (distSq < nearestDistSq) {
+                nearest = entity;
+                nearestDistSq = distSq;
+            }
+        });
+
+        return nearest;
+    }
+
+    // 检查实体是否满足标签/组件条件
+    matchesCriteria(entity, criteria) {
+        if (criteria.tags && !criteria.tags.every(tag => entity.hasTag(tag))) return false;
+        if (criteria.components && !criteria.components.every(name => entity.hasComponent(name))) return false;
+        if (criteria.filter && !criteria.filter(entity)) return false;
+        return true;
+    }
+
+    // 按 id 获取实体
+    getById(id) {
+        return this.entities.get(id) || null;
+    }
+
+    // 获取所有实体（按 zIndex 排序）
+    getEntities() {
+        this.sortEntities();
+        return this.orderedEntities.filter(entity => this.isAlive(entity));
+    }
+
+    // 遍历所有存活实体（按 zIndex 排序）
+    forEach(callback) {
+        this.getEntities().forEach(callback);
+    }
+
+    // 获取实体数量
+    getEntityCount() {
+        return this.entities.size;
+    }
+
+    // 按 zIndex 排序（zIndex 相同时保持加入顺序）
+    sortEntities() {
+        if (!this.orderDirty && this.isSorted()) return;
+
+        this.orderedEntities.sort((a, b) => a.zIndex - b.zIndex);
+        this.orderDirty = false;
+    }
+
+    // 检查是否已排序（实体的 zIndex 可能在运行中被修改）
+    isSorted() {
+        for (let i = 1; i < this.orderedEntities.length; i++) {
+            if (this.orderedEntities[i - 1].zIndex > this.orderedEntities[i].zIndex) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // 固定步更新所有实体，并在末尾执行延迟销毁
+    fixedUpdate(fixedDeltaTime) {
+        const seconds = fixedDeltaTime / 1000;
+
+        this.sortEntities();
+        this.orderedEntities.slice().forEach(entity => {
+            if (entity.active && !entity.destroyed) {
+                entity.update(seconds);
+            }
+        });
+
+        this.flush();
+        this.spatialDirty = true;
+    }
+
+    // 渲染所有实体
+    render(interpolation) {
+        const renderer = this.getRenderer();
+        if (!renderer) return;
+
+        this.sortEntities();
+        this.orderedEntities.forEach(entity => {
+            if (entity.visible && !entity.destroyed) {
+                entity.render(renderer);
+            }
+        });
+    }
+
+    // 获取统计信息
+    getStats() {
+        return { ...this.stats };
+    }
+
+    // 调试信息
+    debug() {
+        console.log('World Debug Info:');
+        console.log(`  Entities: ${this.entities.size}`);
+        console.log(`  Pending Destroy: ${this.pendingDestroy.size}`);
+        console.log(`  Tags: ${Array.from(this.tagIndex.keys()).join(', ')}`);
+        console.log(`  Components: ${Array.from(this.componentIndex.keys()).join(', ')}`);
+        console.log(`  Created: ${this.stats.created}, Destroyed: ${this.stats.destroyed}`);
+        this.pools.debug();
+    }
+}